@@ -2,6 +2,7 @@ import axios from 'axios';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { isSamePhoneNumber } from './utils/phoneNumber.js';
 
 // Load environment variables
 dotenv.config();
@@ -33,6 +34,15 @@ class ExotelVoicebotCaller {
     this.appId = config.appId || process.env.EXOTEL_APP_ID;
     this.callerId = config.callerId || process.env.EXOTEL_CALLER_ID;
     
+    // Status callback URL registered on every call (Exotel posts terminal statuses here)
+    // Defaults to the server's /exotel/status-callback route when a public base URL is known
+    const baseUrl = process.env.WEBHOOK_BASE_URL || process.env.RENDER_EXTERNAL_URL;
+    this.statusCallbackUrl = config.statusCallbackUrl ||
+                             process.env.EXOTEL_STATUS_CALLBACK_URL ||
+                             (baseUrl ? `${baseUrl.replace(/\/$/, '')}/exotel/status-callback` : null);
+    // A dial or agent bridge that hangs is given up (an Idempotency-Key left in progress is taken over after this)
+    this.apiTimeoutMs = parseInt(process.env.EXOTEL_API_TIMEOUT_MS) || 30000;
+    
     if (!this.apiKey || !this.apiToken || !this.sid || !this.appId || !this.callerId) {
       throw new Error('Missing required Exotel configuration. Please set environment variables or pass config object.');
     }
@@ -43,7 +53,7 @@ class ExotelVoicebotCaller {
    * Based on backendRef implementation pattern
    * 
    * @param {string} toNumber - The customer number to call (e.g., +9324606985)
-   * @param {string} fromNumber - Optional: The Exotel phone number to use (defaults to callerId)
+   * @param {string} fromNumber - Optional: The ExoPhone shown to the customer (defaults to callerId)
    * @param {string} customField - Optional: Custom data to pass (e.g., callLogId for tracking)
    * @returns {Promise<Object>} - API response with call details
    */
@@ -51,13 +61,8 @@ class ExotelVoicebotCaller {
     // Exotel v1 API endpoint
     const url = `https://${this.apiKey}:${this.apiToken}@${this.subdomain}/v1/Accounts/${this.sid}/Calls/connect`;
     
-    // Normalize numbers for comparison (remove +, spaces, dashes)
-    const normalizeNumber = (num) => num ? num.replace(/[^0-9]/g, '') : '';
-    const normalizedTo = normalizeNumber(toNumber);
-    const normalizedCallerId = normalizeNumber(this.callerId);
-    
-    // Validate toNumber
-    if (!toNumber || normalizedTo === normalizedCallerId) {
+    // Validate toNumber (compared in E.164 so local and international formats match)
+    if (!toNumber || isSamePhoneNumber(toNumber, this.callerId)) {
       throw new Error(`Invalid target number. To number (${toNumber}) cannot be same as CallerId (${this.callerId}).`);
     }
     
@@ -66,10 +71,9 @@ class ExotelVoicebotCaller {
     // - CallerId: Exotel phone number (what shows on recipient's phone)
     // - To: Not used in v1 API for Voicebot calls
     const from = fromNumber || this.callerId;
-    const normalizedFrom = normalizeNumber(from);
     
     // Ensure To and From are different
-    if (normalizedFrom === normalizedTo) {
+    if (isSamePhoneNumber(from, toNumber)) {
       throw new Error(`From (${from}) and To (${toNumber}) numbers cannot be the same.`);
     }
     
@@ -80,9 +84,13 @@ class ExotelVoicebotCaller {
     // v1 API uses form-encoded data (matches backendRef/src/services/exotelOutbound.service.ts)
     const params = new URLSearchParams({
       From: toNumber,  // Customer number to call (v1 API pattern from backendRef)
-      CallerId: this.callerId,  // Display number
+      CallerId: from,  // Display number (pool ExoPhone or EXOTEL_CALLER_ID)
       Url: voicebotUrl,  // Voicebot applet URL
-      ...(customField && { CustomField: customField })  // Optional tracking data
+      ...(customField && { CustomField: customField }),  // Optional tracking data
+      ...(this.statusCallbackUrl && {
+        StatusCallback: this.statusCallbackUrl,  // Terminal status webhook
+        'StatusCallbackEvents[0]': 'terminal'
+      })
     });
     
     // Log the actual parameters being sent
@@ -91,19 +99,23 @@ class ExotelVoicebotCaller {
     try {
       console.log(`📞 Initiating call via Exotel Voicebot...`);
       console.log(`   Customer Number (From): ${toNumber}`);
-      console.log(`   CallerId (Display): ${this.callerId}`);
+      console.log(`   CallerId (Display): ${from}`);
       console.log(`   Voicebot Applet ID: ${this.appId}`);
       console.log(`   Voicebot URL: ${voicebotUrl}`);
       console.log(`   Account SID: ${this.sid}`);
       if (customField) {
         console.log(`   CustomField: ${customField}`);
       }
+      if (this.statusCallbackUrl) {
+        console.log(`   StatusCallback: ${this.statusCallbackUrl}`);
+      }
       
       // POST to Exotel API with form-encoded data
       const response = await axios.post(url, params.toString(), {
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
-        }
+        },
+        timeout: this.apiTimeoutMs
       });
 
       console.log('✅ Call initiated successfully!');
@@ -134,6 +146,71 @@ class ExotelVoicebotCaller {
       }
     }
   }
+
+  /**
+   * Bridge two numbers with Exotel's Connect API (no Voicebot)
+   * Exotel calls `firstNumber` first and connects `secondNumber` once it answers,
+   * e.g. an agent followed by the customer for a live transfer
+   * 
+   * @param {string} firstNumber - Number dialed first (e.g. the agent)
+   * @param {string} secondNumber - Number connected once the first leg answers (e.g. the customer)
+   * @param {Object} options - Optional: { callerId, customField, timeLimit (seconds) }
+   * @returns {Promise<Object>} - API response with call details
+   */
+  async connectCall(firstNumber, secondNumber, options = {}) {
+    const url = `https://${this.apiKey}:${this.apiToken}@${this.subdomain}/v1/Accounts/${this.sid}/Calls/connect`;
+    
+    if (!firstNumber || !secondNumber || isSamePhoneNumber(firstNumber, secondNumber)) {
+      throw new Error(`Invalid bridge numbers: ${firstNumber} and ${secondNumber} must be two different numbers.`);
+    }
+    
+    const params = new URLSearchParams({
+      From: firstNumber,  // First leg
+      To: secondNumber,  // Second leg, dialed after the first answers
+      CallerId: options.callerId || this.callerId,  // Display number on both legs
+      ...(options.customField && { CustomField: options.customField }),
+      ...(options.timeLimit && { TimeLimit: String(options.timeLimit) })
+    });
+    
+    console.log(`   API Parameters:`, Object.fromEntries(params));
+
+    try {
+      console.log(`🔀 Bridging ${firstNumber} → ${secondNumber} via Exotel Connect API...`);
+      
+      const response = await axios.post(url, params.toString(), {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: this.apiTimeoutMs
+      });
+
+      console.log('✅ Bridge call initiated successfully!');
+      
+      return {
+        success: true,
+        data: response.data,
+        callSid: response.data.Call?.Sid || response.data.Sid
+      };
+    } catch (error) {
+      console.error('❌ Error initiating bridge call:');
+      
+      if (error.response) {
+        console.error('   Status:', error.response.status);
+        console.error('   Response:', JSON.stringify(error.response.data, null, 2));
+        return {
+          success: false,
+          error: error.response.data,
+          status: error.response.status
+        };
+      } else {
+        console.error('   Message:', error.message);
+        return {
+          success: false,
+          error: error.message
+        };
+      }
+    }
+  }
 }
 
 // Main execution
@@ -0,0 +1,104 @@
+/**
+ * CallAttempt Model
+ * Stores every outbound dial attempt, its outcome and scheduled retries
+ */
+
+import mongoose from 'mongoose';
+
+const callAttemptSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  from: {
+    type: String, // ExoPhone shown to the callee (chosen from the caller ID pool when not fixed)
+    trim: true
+  },
+  callerIdStrategy: {
+    type: String, // fixed, round-robin or region (see utils/callerIdService.js)
+    enum: ['fixed', 'round-robin', 'region']
+  },
+  customField: {
+    type: String // CustomField passed to Exotel
+  },
+  attemptNumber: {
+    type: Number, // 1 for the first dial, 2 for the first retry, ...
+    default: 1
+  },
+  retryEnabled: {
+    type: Boolean, // Whether the scheduler should re-dial on a retryable outcome
+    default: true
+  },
+  retryPolicy: {
+    type: mongoose.Schema.Types.Mixed // Per-call override of the default retry policy
+  },
+  previousAttemptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallAttempt'
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CampaignContact'
+  },
+  callbackForCallSid: {
+    type: String, // CallSid of the call in which the callee asked to be called back
+    trim: true
+  },
+  status: {
+    type: String,
+    // scheduled → dialing → in-progress (answered) → ended, or cancelled/blocked before dialing
+    enum: ['scheduled', 'dialing', 'in-progress', 'ended', 'cancelled', 'blocked'],
+    default: 'scheduled'
+  },
+  outcome: {
+    type: String,
+    // machine: answered by an answering machine and hung up, voicemail: voicemail message left
+    enum: ['completed', 'busy', 'no-answer', 'failed', 'canceled', 'blocked', 'machine', 'voicemail']
+  },
+  error: {
+    type: String
+  },
+  blockedReason: {
+    type: String // Compliance reason code (DNC_LISTED, OUTSIDE_CALLING_HOURS, FREQUENCY_CAP_EXCEEDED)
+  },
+  retryAfter: {
+    type: Date // Earliest time a blocked call would be permitted (null when never)
+  },
+  callSid: {
+    type: String,
+    trim: true
+  },
+  transcriptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transcript'
+  },
+  scheduledAt: {
+    type: Date,
+    default: Date.now
+  },
+  dialedAt: {
+    type: Date
+  },
+  answeredAt: {
+    type: Date
+  },
+  endedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// Create indexes for efficient queries
+callAttemptSchema.index({ phoneNumber: 1, createdAt: -1 });
+callAttemptSchema.index({ status: 1, scheduledAt: 1 });
+callAttemptSchema.index({ callSid: 1 });
+
+const CallAttempt = mongoose.models.CallAttempt || mongoose.model('CallAttempt', callAttemptSchema);
+
+export default CallAttempt;
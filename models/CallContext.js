@@ -0,0 +1,35 @@
+/**
+ * CallContext Model
+ * Stores per-call parameters (persona, greeting, customer details) keyed by
+ * the call token sent to Exotel as CustomField
+ */
+
+import mongoose from 'mongoose';
+
+const callContextSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed, // e.g. persona_name, customer_name, greeting, voice_id
+    default: {}
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// MongoDB removes expired contexts automatically
+callContextSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Note: unique: true on token field automatically creates a unique index
+
+const CallContext = mongoose.models.CallContext || mongoose.model('CallContext', callContextSchema);
+
+export default CallContext;
@@ -0,0 +1,64 @@
+/**
+ * CallerId Model
+ * Stores ExoPhones in the caller ID pool with their usage and answer statistics
+ */
+
+import mongoose from 'mongoose';
+
+const callerIdSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String, // E.164 ExoPhone number
+    required: true,
+    unique: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  regions: {
+    type: [String], // E.164 prefixes this number serves, e.g. ["+9122", "+91"]
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  retiredReason: {
+    type: String, // e.g. "spam", "low answer rate"
+    trim: true
+  },
+  retiredAt: {
+    type: Date
+  },
+  totalCalls: {
+    type: Number, // Calls placed with this caller ID
+    default: 0
+  },
+  answeredCalls: {
+    type: Number, // Calls that were answered (voicebot stream started)
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date // Used for round-robin selection (least recently used first)
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt automatically
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Share of placed calls that were answered (null until the number has been used)
+callerIdSchema.virtual('answerRate').get(function() {
+  return this.totalCalls > 0 ? this.answeredCalls / this.totalCalls : null;
+});
+
+// Create indexes for efficient queries
+// Note: unique: true on phoneNumber field automatically creates a unique index
+callerIdSchema.index({ status: 1, lastUsedAt: 1 });
+
+const CallerId = mongoose.models.CallerId || mongoose.model('CallerId', callerIdSchema);
+
+export default CallerId;
@@ -0,0 +1,76 @@
+/**
+ * Campaign Model
+ * Stores bulk outbound calling campaigns and their dialing settings
+ */
+
+import mongoose from 'mongoose';
+
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'running', 'paused', 'completed', 'cancelled'],
+    default: 'draft'
+  },
+  settings: {
+    concurrency: {
+      type: Number, // Maximum simultaneous calls
+      min: 1,
+      default: 1
+    },
+    callsPerMinute: {
+      type: Number, // Pacing - maximum new calls started per minute
+      min: 1,
+      default: 10
+    },
+    from: {
+      type: String, // Fixed ExoPhone for this campaign (chosen from the pool on first dial when callerIdStrategy is fixed)
+      trim: true
+    },
+    callerIdStrategy: {
+      type: String, // fixed, round-robin or region (default: CALLER_ID_STRATEGY, or fixed when from is set)
+      enum: ['fixed', 'round-robin', 'region']
+    },
+    retryPolicy: {
+      type: mongoose.Schema.Types.Mixed // Partial override of the default retry policy (see utils/retryPolicy.js)
+    },
+    params: {
+      type: mongoose.Schema.Types.Mixed // Per-call parameters for every contact (persona_name, greeting, voice_id, ...)
+    },
+    answeringMachine: {
+      action: {
+        type: String, // off, hangup or voicemail when a machine answers (default: AMD_DEFAULT_ACTION)
+        enum: ['off', 'hangup', 'voicemail']
+      },
+      voicemailMessage: {
+        type: String, // Spoken after the beep when action is voicemail
+        trim: true
+      }
+    }
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// Create indexes for efficient queries
+campaignSchema.index({ status: 1 });
+campaignSchema.index({ createdAt: -1 });
+
+const Campaign = mongoose.models.Campaign || mongoose.model('Campaign', campaignSchema);
+
+export default Campaign;
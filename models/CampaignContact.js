@@ -0,0 +1,76 @@
+/**
+ * CampaignContact Model
+ * Stores a single contact of a campaign and the outcome of dialing it
+ */
+
+import mongoose from 'mongoose';
+
+const campaignContactSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  phoneNumber: {
+    type: String, // E.164
+    required: true,
+    trim: true
+  },
+  numberType: {
+    type: String,
+    enum: ['mobile', 'landline', 'toll-free', 'unknown'],
+    default: 'unknown'
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  variables: {
+    type: Map, // Extra columns from the uploaded list (e.g. city, plan)
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'in-progress', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  outcome: {
+    type: String, // Outcome of the latest attempt: completed, busy, no-answer, failed, canceled, blocked, machine, voicemail
+    trim: true
+  },
+  attempts: {
+    type: Number, // Number of dial attempts made so far
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date // Set while a retry is waiting; contact is not dialed before this time
+  },
+  error: {
+    type: String
+  },
+  callSid: {
+    type: String,
+    trim: true
+  },
+  transcriptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transcript'
+  },
+  dialedAt: {
+    type: Date
+  },
+  endedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// Create indexes for efficient queries
+campaignContactSchema.index({ campaignId: 1, status: 1 });
+campaignContactSchema.index({ callSid: 1 });
+
+const CampaignContact = mongoose.models.CampaignContact || mongoose.model('CampaignContact', campaignContactSchema);
+
+export default CampaignContact;
@@ -0,0 +1,33 @@
+/**
+ * DncEntry Model
+ * Stores numbers on the Do-Not-Call / opt-out list
+ */
+
+import mongoose from 'mongoose';
+
+const dncEntrySchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String, // E.164 number (see utils/phoneNumber.js)
+    required: true,
+    unique: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  source: {
+    type: String,
+    enum: ['api', 'import', 'opt-out'],
+    default: 'api'
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// Note: unique: true on phoneNumber field automatically creates a unique index
+
+const DncEntry = mongoose.models.DncEntry || mongoose.model('DncEntry', dncEntrySchema);
+
+export default DncEntry;
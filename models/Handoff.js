@@ -0,0 +1,78 @@
+/**
+ * Handoff Model
+ * Stores live transfers from the voicebot to a human agent, with the transcript so far
+ */
+
+import mongoose from 'mongoose';
+
+const handoffSchema = new mongoose.Schema({
+  callId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  callSid: {
+    type: String,
+    trim: true
+  },
+  customerNumber: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    // caller-request: asked for a human, frustration: repeated frustration, model: flagged by the LLM,
+    // keypad: selected a transfer option of the keypad menu
+    enum: ['caller-request', 'frustration', 'model', 'keypad'],
+    required: true
+  },
+  triggerText: {
+    type: String // Caller utterance that triggered the handoff
+  },
+  targets: {
+    type: [String], // Agent numbers (tried by the Connect applet / bridged via API)
+    default: []
+  },
+  mode: {
+    type: String,
+    enum: ['flow', 'api'], // flow: Exotel Connect applet after the Voicebot, api: new bridge call
+    default: 'flow'
+  },
+  status: {
+    type: String,
+    // pending → transferred (target served to the flow / bridge call placed), or failed
+    enum: ['pending', 'transferred', 'failed'],
+    default: 'pending'
+  },
+  transcript: {
+    type: [{
+      role: { type: String, enum: ['user', 'assistant'], required: true },
+      content: { type: String, required: true }
+    }],
+    default: []
+  },
+  transcriptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transcript'
+  },
+  bridgeCallSid: {
+    type: String, // CallSid of the agent bridge call (api mode)
+    trim: true
+  },
+  error: {
+    type: String
+  },
+  transferredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// Create indexes for efficient queries
+handoffSchema.index({ callSid: 1, createdAt: -1 });
+handoffSchema.index({ status: 1, createdAt: -1 });
+
+const Handoff = mongoose.models.Handoff || mongoose.model('Handoff', handoffSchema);
+
+export default Handoff;
@@ -0,0 +1,59 @@
+/**
+ * IdempotencyKey Model
+ * Stores the result of a POST /call request under its Idempotency-Key header
+ * so a retried request returns the original result instead of dialing again
+ */
+
+import mongoose from 'mongoose';
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  requestHash: {
+    type: String, // SHA-256 of the request body; a reused key with another body is rejected
+    required: true
+  },
+  status: {
+    type: String,
+    // in-progress while the first request is dialing, completed once its response is stored
+    enum: ['in-progress', 'completed'],
+    default: 'in-progress'
+  },
+  statusCode: {
+    type: Number // HTTP status of the stored response
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed // Response body returned to repeated requests
+  },
+  callSid: {
+    type: String,
+    trim: true
+  },
+  attemptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallAttempt'
+  },
+  startedAt: {
+    type: Date, // When the owning request claimed the key; an in-progress key older than the takeover timeout can be claimed again
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// MongoDB removes expired keys automatically
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Note: unique: true on key field automatically creates a unique index
+
+const IdempotencyKey = mongoose.models.IdempotencyKey || mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -17,6 +17,16 @@ const personaSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Keypad menu offered alongside speech, e.g. { "prompt": "...", "options": { "1": "confirm", "2": { "label": "talk to an agent", "action": "transfer" } } }
+  keypadMenu: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Thinking fillers played while a reply is prepared: phrases or .wav sound files, e.g. ["Hmm, ek second...", "typing.wav"]
+  fillers: {
+    type: [String],
+    default: undefined
+  },
   updatedAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,70 @@
+/**
+ * Recording Model
+ * Stereo call recordings (caller left, bot right) kept on local disk or in GridFS
+ */
+
+import mongoose from 'mongoose';
+
+const recordingSchema = new mongoose.Schema({
+  callId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  callSid: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  transcriptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transcript'
+  },
+  storage: {
+    type: String,
+    enum: ['local', 'gridfs'],
+    required: true
+  },
+  path: {
+    type: String // File path (local storage)
+  },
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId // GridFS file (gridfs storage)
+  },
+  contentType: {
+    type: String,
+    default: 'audio/wav'
+  },
+  sampleRate: {
+    type: Number,
+    required: true
+  },
+  channels: {
+    type: Number,
+    default: 2
+  },
+  durationMs: {
+    type: Number,
+    default: 0
+  },
+  sizeBytes: {
+    type: Number,
+    default: 0
+  },
+  truncated: {
+    type: Boolean, // Call ran past RECORDING_MAX_SECONDS; the rest was not recorded
+    default: false
+  },
+  expiresAt: {
+    type: Date // Deleted by the retention sweep after this time (unset: kept)
+  }
+}, {
+  timestamps: true
+});
+
+recordingSchema.index({ createdAt: -1 });
+recordingSchema.index({ expiresAt: 1 });
+
+const Recording = mongoose.models.Recording || mongoose.model('Recording', recordingSchema);
+
+export default Recording;
@@ -27,7 +27,7 @@ const transcriptSchema = new mongoose.Schema({
   },
   direction: {
     type: String,
-    enum: ['inbound', 'outbound-api'],
+    enum: ['inbound', 'outbound-api', 'outbound-dial'],
     default: 'inbound'
   },
   conversationHistory: {
@@ -61,9 +61,53 @@ const transcriptSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'completed', 'failed'],
+    // busy, no-answer and canceled come from Exotel's status callback
+    enum: ['active', 'completed', 'failed', 'busy', 'no-answer', 'canceled'],
     default: 'active'
   },
+  // Answering machine detection on outbound calls (see utils/amdService.js)
+  answeringMachine: {
+    result: {
+      type: String,
+      enum: ['human', 'machine', 'unknown']
+    },
+    evidence: [String], // short-greeting, long-greeting, beep, transcript, silence, timeout
+    detectionMs: Number, // Audio heard before the decision
+    beepDetected: Boolean,
+    action: String, // hangup or voicemail
+    voicemailLeft: Boolean,
+    greetingTranscript: String
+  },
+  // Callback the caller asked for during this call (see utils/callbackService.js)
+  callback: {
+    status: {
+      type: String,
+      enum: ['scheduled', 'failed']
+    },
+    requestText: String,
+    scheduledAt: Date,
+    attemptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CallAttempt'
+    },
+    error: String
+  },
+  // Calls ended by the bot (see utils/hangupService.js); unset when the caller hung up
+  hangup: {
+    reason: {
+      type: String,
+      enum: ['caller-goodbye', 'conversation-complete', 'no-response', 'answering-machine', 'callback-scheduled']
+    },
+    triggerText: String, // Caller input that ended the conversation
+    closingText: String,
+    closingPlayed: Boolean, // Provider acknowledged the closing line's playback mark
+    at: Date
+  },
+  // Stereo call recording (see utils/recordingService.js); unset once deleted by retention
+  recordingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recording'
+  },
   metadata: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
@@ -0,0 +1,125 @@
+/**
+ * Call API Routes
+ * Provides call attempt history and control over scheduled retries
+ */
+
+import express from 'express';
+import CallAttempt from '../models/CallAttempt.js';
+import { callScheduler } from '../utils/callScheduler.js';
+import { normalizePhoneNumber } from '../utils/phoneNumber.js';
+import { connectDB } from '../config/db.js';
+
+const router = express.Router();
+
+/**
+ * GET /calls/attempts
+ * Get attempt history
+ * Query params: phoneNumber (optional), status (optional), limit (default: 50)
+ */
+router.get('/attempts', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    let attempts;
+
+    if (req.query.phoneNumber && !req.query.status) {
+      attempts = await callScheduler.getHistory(req.query.phoneNumber, limit);
+    } else {
+      await connectDB();
+      const query = {};
+      if (req.query.phoneNumber) query.phoneNumber = normalizePhoneNumber(req.query.phoneNumber) || req.query.phoneNumber;
+      if (req.query.status) query.status = req.query.status;
+      attempts = await CallAttempt.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+    }
+
+    res.json({
+      success: true,
+      count: attempts.length,
+      attempts
+    });
+  } catch (error) {
+    console.error('❌ Error fetching call attempts:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch call attempts'
+    });
+  }
+});
+
+/**
+ * GET /calls/attempts/:id
+ * Get a single attempt
+ */
+router.get('/attempts/:id', async (req, res) => {
+  try {
+    await connectDB();
+    const attempt = await CallAttempt.findById(req.params.id).lean();
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call attempt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      attempt
+    });
+  } catch (error) {
+    console.error('❌ Error fetching call attempt:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid call attempt ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch call attempt'
+    });
+  }
+});
+
+/**
+ * POST /calls/attempts/:id/cancel
+ * Cancel a scheduled attempt (e.g. a pending retry)
+ */
+router.post('/attempts/:id/cancel', async (req, res) => {
+  try {
+    const attempt = await callScheduler.cancel(req.params.id);
+
+    if (!attempt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Call attempt not found or no longer scheduled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Scheduled call to ${attempt.phoneNumber} cancelled`,
+      attempt
+    });
+  } catch (error) {
+    console.error('❌ Error cancelling call attempt:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid call attempt ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to cancel call attempt'
+    });
+  }
+});
+
+export default router;
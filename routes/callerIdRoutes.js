@@ -0,0 +1,160 @@
+/**
+ * Caller ID Pool Routes
+ * Registers ExoPhones, reports their usage/answer rates and retires flagged numbers
+ */
+
+import express from 'express';
+import { callerIdService } from '../utils/callerIdService.js';
+
+const router = express.Router();
+
+/**
+ * Send an error response, honouring statusCode set by callerIdService
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown
+ * @param {string} fallbackMessage - Message when error has none
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid caller ID'
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message || fallbackMessage
+  });
+}
+
+/**
+ * Send the updated caller ID or a 404
+ * @param {Object} res - Express response
+ * @param {Object|null} callerId - Updated document
+ * @param {string} message - Success message
+ */
+function sendCallerId(res, callerId, message) {
+  if (!callerId) {
+    return res.status(404).json({
+      success: false,
+      error: 'Caller ID not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message,
+    callerId
+  });
+}
+
+/**
+ * GET /caller-ids
+ * List the pool with usage counts, answer rates and low-answer-rate flags
+ * Query params: status (optional: active, retired)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const callerIds = await callerIdService.list({ status: req.query.status });
+
+    res.json({
+      success: true,
+      count: callerIds.length,
+      callerIds
+    });
+  } catch (error) {
+    console.error('❌ Error fetching caller IDs:', error);
+    sendError(res, error, 'Failed to fetch caller IDs');
+  }
+});
+
+/**
+ * POST /caller-ids
+ * Add an ExoPhone to the pool
+ * Accepts: JSON { phoneNumber, label, regions: ["+9122", "+91"] }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { phoneNumber, label, regions } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'phoneNumber is required'
+      });
+    }
+
+    if (regions !== undefined && !Array.isArray(regions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'regions must be an array of number prefixes'
+      });
+    }
+
+    const callerId = await callerIdService.register({ phoneNumber, label, regions });
+
+    res.status(201).json({
+      success: true,
+      message: `${callerId.phoneNumber} added to the caller ID pool`,
+      callerId
+    });
+  } catch (error) {
+    console.error('❌ Error adding caller ID:', error);
+    sendError(res, error, 'Failed to add caller ID');
+  }
+});
+
+/**
+ * PATCH /caller-ids/:id
+ * Update the label or regions of a pool number
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { label, regions } = req.body;
+
+    if (regions !== undefined && !Array.isArray(regions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'regions must be an array of number prefixes'
+      });
+    }
+
+    const callerId = await callerIdService.update(req.params.id, { label, regions });
+    sendCallerId(res, callerId, 'Caller ID updated');
+  } catch (error) {
+    console.error('❌ Error updating caller ID:', error);
+    sendError(res, error, 'Failed to update caller ID');
+  }
+});
+
+/**
+ * POST /caller-ids/:id/retire
+ * Stop using a number (e.g. flagged as spam)
+ * Accepts: JSON { reason }
+ */
+router.post('/:id/retire', async (req, res) => {
+  try {
+    const callerId = await callerIdService.retire(req.params.id, req.body.reason || '');
+    sendCallerId(res, callerId, 'Caller ID retired');
+  } catch (error) {
+    console.error('❌ Error retiring caller ID:', error);
+    sendError(res, error, 'Failed to retire caller ID');
+  }
+});
+
+/**
+ * POST /caller-ids/:id/reactivate
+ * Put a retired number back into rotation
+ */
+router.post('/:id/reactivate', async (req, res) => {
+  try {
+    const callerId = await callerIdService.reactivate(req.params.id);
+    sendCallerId(res, callerId, 'Caller ID reactivated');
+  } catch (error) {
+    console.error('❌ Error reactivating caller ID:', error);
+    sendError(res, error, 'Failed to reactivate caller ID');
+  }
+});
+
+export default router;
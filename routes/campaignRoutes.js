@@ -0,0 +1,325 @@
+/**
+ * Campaign API Routes
+ * Handles contact list upload and campaign dialing controls
+ */
+
+import express from 'express';
+import multer from 'multer';
+import Campaign from '../models/Campaign.js';
+import CampaignContact from '../models/CampaignContact.js';
+import { campaignService, parseContacts } from '../utils/campaignService.js';
+import { connectDB } from '../config/db.js';
+import { validateRetryPolicy } from '../utils/retryPolicy.js';
+import { validateCallParams } from '../utils/callContextService.js';
+
+const router = express.Router();
+
+// Configure multer for contact list uploads (memory storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExts = ['.csv', '.json'];
+    const ext = '.' + file.originalname.split('.').pop().toLowerCase();
+
+    if (allowedExts.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unsupported file type. Allowed: ${allowedExts.join(', ')}`), false);
+    }
+  }
+});
+
+/**
+ * Read the contact list from an uploaded file, `contacts` array or `csv` text
+ * @param {Object} req - Express request
+ * @returns {{contacts: Object[], skipped: number}}
+ */
+function readContactsFromRequest(req) {
+  if (req.file) {
+    const format = req.file.originalname.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+    return parseContacts(req.file.buffer.toString('utf8'), format);
+  }
+  if (req.body.contacts) {
+    return parseContacts(req.body.contacts, typeof req.body.contacts === 'string' ? 'auto' : 'json');
+  }
+  if (req.body.csv) {
+    return parseContacts(req.body.csv, 'csv');
+  }
+  return { contacts: [], skipped: 0 };
+}
+
+/**
+ * Send an error response, honouring statusCode set by campaignService (invalid IDs and
+ * schema validation errors are 400s)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown
+ * @param {string} fallbackMessage - Message when error has none
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid campaign ID'
+    });
+  }
+
+  // Settings rejected by the Campaign schema (concurrency, callsPerMinute, callerIdStrategy, ...)
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message || fallbackMessage
+  });
+}
+
+/**
+ * POST /campaigns
+ * Create a campaign
+ * Accepts: JSON { name, description, settings: { concurrency, callsPerMinute, from, callerIdStrategy, answeringMachine, retryPolicy, params }, contacts | csv }
+ *      or multipart/form-data with "file" field (.csv / .json) and name/description fields
+ */
+router.post('/', upload.single('file'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    let settings = req.body.settings || {};
+    if (typeof settings === 'string') {
+      try {
+        settings = JSON.parse(settings); // multipart sends settings as text
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: `settings must be valid JSON: ${parseError.message}`
+        });
+      }
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return res.status(400).json({
+        success: false,
+        error: 'settings must be an object'
+      });
+    }
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Campaign name is required'
+      });
+    }
+
+    const retryPolicyError = validateRetryPolicy(settings.retryPolicy);
+    if (retryPolicyError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid retryPolicy: ${retryPolicyError}`
+      });
+    }
+
+    // Per-call parameters of every contact: same rules as POST /call
+    if (settings.params !== undefined) {
+      const paramsError = validateCallParams(settings.params);
+      if (paramsError) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid params: ${paramsError}`
+        });
+      }
+    }
+
+    let parsed;
+    try {
+      parsed = readContactsFromRequest(req);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not parse contact list: ${parseError.message}`
+      });
+    }
+
+    const campaign = await campaignService.createCampaign({ name: name.trim(), description, settings }, parsed.contacts);
+
+    res.status(201).json({
+      success: true,
+      message: `Campaign "${campaign.name}" created with ${parsed.contacts.length} contacts`,
+      campaign,
+      contactsAdded: parsed.contacts.length,
+      contactsSkipped: parsed.skipped
+    });
+  } catch (error) {
+    console.error('❌ Error creating campaign:', error);
+    sendError(res, error, 'Failed to create campaign');
+  }
+});
+
+/**
+ * GET /campaigns
+ * List campaigns (newest first)
+ * Query params: status (optional), limit (default: 50)
+ */
+router.get('/', async (req, res) => {
+  try {
+    await connectDB();
+
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const campaigns = await Campaign.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      count: campaigns.length,
+      campaigns
+    });
+  } catch (error) {
+    console.error('❌ Error fetching campaigns:', error);
+    sendError(res, error, 'Failed to fetch campaigns');
+  }
+});
+
+/**
+ * GET /campaigns/:id
+ * Get campaign with contact counts per status
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    await connectDB();
+
+    const campaign = await Campaign.findById(req.params.id).lean();
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    const stats = await campaignService.getStats(campaign._id);
+
+    res.json({
+      success: true,
+      campaign,
+      stats
+    });
+  } catch (error) {
+    console.error('❌ Error fetching campaign:', error);
+    sendError(res, error, 'Failed to fetch campaign');
+  }
+});
+
+/**
+ * GET /campaigns/:id/contacts
+ * List contacts of a campaign with their outcome and transcript link
+ * Query params: status (optional), limit (default: 100), skip (default: 0)
+ */
+router.get('/:id/contacts', async (req, res) => {
+  try {
+    await connectDB();
+
+    const query = { campaignId: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+    const limit = parseInt(req.query.limit) || 100;
+    const skip = parseInt(req.query.skip) || 0;
+
+    const contacts = await CampaignContact.find(query)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('transcriptId', 'callId callSid status duration')
+      .lean();
+
+    res.json({
+      success: true,
+      count: contacts.length,
+      contacts
+    });
+  } catch (error) {
+    console.error('❌ Error fetching campaign contacts:', error);
+    sendError(res, error, 'Failed to fetch campaign contacts');
+  }
+});
+
+/**
+ * POST /campaigns/:id/contacts
+ * Append contacts to a campaign (same input formats as POST /campaigns)
+ */
+router.post('/:id/contacts', upload.single('file'), async (req, res) => {
+  try {
+    await connectDB();
+
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(campaign.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot add contacts to a ${campaign.status} campaign`
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = readContactsFromRequest(req);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not parse contact list: ${parseError.message}`
+      });
+    }
+
+    if (parsed.contacts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No contacts found. Provide a "file", "contacts" array or "csv" text.'
+      });
+    }
+
+    const added = await campaignService.addContacts(campaign._id, parsed.contacts);
+
+    res.json({
+      success: true,
+      message: `${added} contacts added to campaign "${campaign.name}"`,
+      contactsAdded: added,
+      contactsSkipped: parsed.skipped
+    });
+  } catch (error) {
+    console.error('❌ Error adding campaign contacts:', error);
+    sendError(res, error, 'Failed to add contacts');
+  }
+});
+
+/**
+ * POST /campaigns/:id/start | /pause | /resume | /cancel
+ * Control campaign dialing
+ */
+for (const action of ['start', 'pause', 'resume', 'cancel']) {
+  router.post(`/:id/${action}`, async (req, res) => {
+    try {
+      const campaign = await campaignService[action](req.params.id);
+      res.json({
+        success: true,
+        message: `Campaign "${campaign.name}" is now ${campaign.status}`,
+        campaign
+      });
+    } catch (error) {
+      console.error(`❌ Error on campaign ${action}:`, error.message);
+      sendError(res, error, `Failed to ${action} campaign`);
+    }
+  });
+}
+
+export default router;
@@ -0,0 +1,214 @@
+/**
+ * Compliance API Routes
+ * Manages the Do-Not-Call list and checks whether a number may be called
+ * Blocked attempts are listed by GET /calls/attempts?status=blocked
+ */
+
+import express from 'express';
+import multer from 'multer';
+import DncEntry from '../models/DncEntry.js';
+import { complianceService } from '../utils/complianceService.js';
+import { parseContacts } from '../utils/campaignService.js';
+import { connectDB } from '../config/db.js';
+
+const router = express.Router();
+
+// Configure multer for DNC list uploads (memory storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExts = ['.csv', '.json'];
+    const ext = '.' + file.originalname.split('.').pop().toLowerCase();
+
+    if (allowedExts.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unsupported file type. Allowed: ${allowedExts.join(', ')}`), false);
+    }
+  }
+});
+
+/**
+ * GET /compliance/dnc
+ * List DNC entries (newest first)
+ * Query params: phoneNumber (optional), limit (default: 100), skip (default: 0)
+ */
+router.get('/dnc', async (req, res) => {
+  try {
+    await connectDB();
+
+    const limit = parseInt(req.query.limit) || 100;
+    const skip = parseInt(req.query.skip) || 0;
+    const query = {};
+    if (req.query.phoneNumber) {
+      query.phoneNumber = complianceService.normalizeNumber(req.query.phoneNumber);
+    }
+
+    const [entries, total] = await Promise.all([
+      DncEntry.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      DncEntry.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      entries
+    });
+  } catch (error) {
+    console.error('❌ Error fetching DNC list:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch DNC list'
+    });
+  }
+});
+
+/**
+ * POST /compliance/dnc
+ * Add numbers to the DNC list
+ * Accepts: JSON { phoneNumber | phoneNumbers: [], reason, source: "api" | "opt-out" }
+ */
+router.post('/dnc', async (req, res) => {
+  try {
+    const { phoneNumber, phoneNumbers, reason, source } = req.body;
+    const numbers = Array.isArray(phoneNumbers) ? phoneNumbers : (phoneNumber ? [phoneNumber] : []);
+
+    if (numbers.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'phoneNumber or phoneNumbers is required'
+      });
+    }
+
+    if (source && !['api', 'opt-out'].includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: 'source must be "api" or "opt-out"'
+      });
+    }
+
+    const count = await complianceService.addToDnc(numbers, { reason, source });
+
+    res.status(201).json({
+      success: true,
+      message: `${count} number(s) added to the DNC list`,
+      count
+    });
+  } catch (error) {
+    console.error('❌ Error adding to DNC list:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to add to DNC list'
+    });
+  }
+});
+
+/**
+ * POST /compliance/dnc/import
+ * Import numbers into the DNC list
+ * Accepts: multipart/form-data with "file" field (.csv / .json)
+ *      or JSON { csv } / { contacts } in the same formats as campaign contact lists
+ */
+router.post('/dnc/import', upload.single('file'), async (req, res) => {
+  try {
+    let parsed = { contacts: [], skipped: 0 };
+    if (req.file) {
+      const format = req.file.originalname.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+      parsed = parseContacts(req.file.buffer.toString('utf8'), format);
+    } else if (req.body.contacts) {
+      parsed = parseContacts(req.body.contacts, typeof req.body.contacts === 'string' ? 'auto' : 'json');
+    } else if (req.body.csv) {
+      parsed = parseContacts(req.body.csv, 'csv');
+    }
+
+    if (parsed.contacts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid phone numbers found. Upload a .csv/.json file or send csv/contacts in the body.',
+        skipped: parsed.skipped
+      });
+    }
+
+    const count = await complianceService.addToDnc(
+      parsed.contacts.map(contact => contact.phoneNumber),
+      { reason: req.body.reason || '', source: 'import' }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${count} number(s) imported into the DNC list`,
+      count,
+      skipped: parsed.skipped
+    });
+  } catch (error) {
+    console.error('❌ Error importing DNC list:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to import DNC list'
+    });
+  }
+});
+
+/**
+ * DELETE /compliance/dnc/:phoneNumber
+ * Remove a number from the DNC list
+ */
+router.delete('/dnc/:phoneNumber', async (req, res) => {
+  try {
+    const removed = await complianceService.removeFromDnc(req.params.phoneNumber);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Number not found on the DNC list'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${req.params.phoneNumber} removed from the DNC list`
+    });
+  } catch (error) {
+    console.error('❌ Error removing from DNC list:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to remove from DNC list'
+    });
+  }
+});
+
+/**
+ * GET /compliance/check
+ * Check whether a number may be called right now (dry run, nothing is logged)
+ * Query params: phoneNumber (required)
+ */
+router.get('/check', async (req, res) => {
+  try {
+    if (!req.query.phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'phoneNumber is required'
+      });
+    }
+
+    const result = await complianceService.checkCall(req.query.phoneNumber, { log: false });
+
+    res.json({
+      success: true,
+      phoneNumber: req.query.phoneNumber,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Error checking compliance:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to check compliance'
+    });
+  }
+});
+
+export default router;
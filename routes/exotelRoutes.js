@@ -0,0 +1,168 @@
+/**
+ * Exotel Webhook Routes
+ * Receives call status callbacks registered by ExotelVoicebotCaller.makeCall,
+ * answers the Voicebot applet's connect webhook with a signed stream URL
+ * and serves agent numbers to the Connect applet used for live transfers
+ */
+
+import express from 'express';
+import { monitoringService } from '../utils/monitoringService.js';
+import { callScheduler } from '../utils/callScheduler.js';
+import { handoffService } from '../utils/handoffService.js';
+import { createSignedStreamUrl } from '../utils/streamUrlService.js';
+
+const router = express.Router();
+
+// Exotel terminal call statuses (anything else is an intermediate event)
+const TERMINAL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+/**
+ * Normalize an Exotel status value (e.g. "No-Answer", "cancelled") to our status names
+ * @param {string} status - Raw status
+ * @returns {string|null} Normalized status or null
+ */
+function normalizeStatus(status) {
+  if (!status) return null;
+  const normalized = String(status).trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (normalized === 'cancelled') return 'canceled';
+  if (normalized === 'noanswer') return 'no-answer';
+  return normalized;
+}
+
+/**
+ * Parse an Exotel date ("2024-01-31 10:15:00" or ISO) into a Date
+ * @param {string} value - Raw date
+ * @returns {Date|null}
+ */
+function parseExotelDate(value) {
+  if (!value) return null;
+  const date = new Date(String(value).includes('T') ? value : String(value).replace(' ', 'T'));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Extract the fields we store from an Exotel status callback payload
+ * @param {Object} body - Callback payload (form-encoded or JSON)
+ * @returns {Object} Parsed status
+ */
+function parseStatusCallback(body) {
+  const durationRaw = body.ConversationDuration ?? body.Duration ?? body.DialCallDuration;
+  const duration = durationRaw !== undefined && durationRaw !== '' ? parseInt(durationRaw) : null;
+  const direction = body.Direction ? String(body.Direction).toLowerCase() : null;
+
+  return {
+    callSid: body.CallSid || body.call_sid || null,
+    status: normalizeStatus(body.Status || body.CallStatus),
+    from: body.From || null,
+    to: body.To || null,
+    direction: ['inbound', 'outbound-api', 'outbound-dial'].includes(direction) ? direction : null,
+    duration: Number.isNaN(duration) ? null : duration,
+    startedAt: parseExotelDate(body.StartTime),
+    endedAt: parseExotelDate(body.EndTime || body.DateUpdated),
+    recordingUrl: body.RecordingUrl || null
+  };
+}
+
+/**
+ * Build the wss:// URL of the Exotel stream endpoint (/was)
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function getStreamUrl(req) {
+  const baseUrl = process.env.WEBHOOK_BASE_URL ||
+                  process.env.RENDER_EXTERNAL_URL ||
+                  `https://${req.headers.host}`;
+  return `${baseUrl.replace(/^https?/, 'wss').replace(/\/$/, '')}/was`;
+}
+
+/**
+ * Voicebot connect webhook (configure as the Voicebot applet's URL instead of a static wss:// URL)
+ * GET|POST /exotel/voicebot/connect
+ * Exotel sends CallSid, CallFrom/From, CallTo/To, Direction and CustomField (query for GET, body for POST)
+ * Returns { url } - a signed, short-lived /was URL carrying the call metadata (see utils/streamUrlService.js)
+ */
+function handleVoicebotConnect(req, res) {
+  const data = { ...req.query, ...req.body };
+  const metadata = {
+    callSid: data.CallSid || data.call_sid || null,
+    from: data.CallFrom || data.From || null,
+    to: data.CallTo || data.To || null,
+    direction: data.Direction || null,
+    customField: data.CustomField || null
+  };
+
+  const url = createSignedStreamUrl(getStreamUrl(req), metadata, {
+    sampleRate: data['sample-rate'],
+    encoding: data.encoding
+  });
+  console.log(`📞 Voicebot connect webhook: ${metadata.callSid || 'unknown'} (${metadata.direction || 'unknown direction'}, from: ${metadata.from || 'unknown'}, to: ${metadata.to || 'unknown'})`);
+
+  res.set('Cache-Control', 'no-store');
+  res.json({ url });
+}
+
+router.get('/voicebot/connect', handleVoicebotConnect);
+router.post('/voicebot/connect', handleVoicebotConnect);
+
+/**
+ * POST /exotel/status-callback
+ * Exotel StatusCallback - finalizes the Transcript and call attempt for a CallSid
+ * Always answers 200 so Exotel does not retry on our errors
+ */
+router.post('/status-callback', async (req, res) => {
+  const status = parseStatusCallback({ ...req.query, ...req.body });
+
+  console.log(`📬 [${status.callSid || 'unknown'}] Exotel status callback: ${status.status || 'no status'}`);
+
+  if (!status.callSid || !TERMINAL_STATUSES.includes(status.status)) {
+    return res.json({
+      success: true,
+      ignored: true,
+      message: 'Not a terminal status callback'
+    });
+  }
+
+  const transcript = await monitoringService.applyCallStatus(status.callSid, status);
+  await callScheduler.recordOutcome(status.callSid, status.status, { transcriptId: transcript?._id });
+
+  res.json({
+    success: true,
+    callSid: status.callSid,
+    status: status.status,
+    transcriptId: transcript?._id || null
+  });
+});
+
+/**
+ * GET /exotel/connect-target
+ * Dynamic URL of the Connect applet placed after the Voicebot applet in the call flow
+ * Returns the agent numbers of the call's pending handoff (AGENT_TRANSFER_NUMBERS otherwise)
+ */
+router.get('/connect-target', async (req, res) => {
+  const callSid = req.query.CallSid || req.query.call_sid || null;
+
+  try {
+    const { handoff, targets } = await handoffService.getConnectTarget(callSid);
+
+    console.log(`🔀 [${callSid || 'unknown'}] Connect target requested → ${targets.join(', ') || 'none'}${handoff ? ` (handoff ${handoff._id})` : ''}`);
+
+    res.json({
+      fetch_after_attempt: false,
+      destination: {
+        numbers: targets
+      },
+      record: true,
+      max_ringing_duration: parseInt(process.env.AGENT_RING_TIMEOUT_SECONDS) || 45
+    });
+  } catch (error) {
+    console.error(`❌ [${callSid || 'unknown'}] Error resolving connect target:`, error.message);
+    res.json({
+      fetch_after_attempt: false,
+      destination: {
+        numbers: handoffService.defaultTargets
+      }
+    });
+  }
+});
+
+export default router;
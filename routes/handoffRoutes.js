@@ -0,0 +1,82 @@
+/**
+ * Handoff API Routes
+ * Lets agents see transferred calls and the conversation the bot had so far
+ */
+
+import express from 'express';
+import Handoff from '../models/Handoff.js';
+import { connectDB } from '../config/db.js';
+
+const router = express.Router();
+
+/**
+ * GET /handoffs
+ * List handoffs (newest first)
+ * Query params: callSid (optional), status (optional), limit (default: 50)
+ */
+router.get('/', async (req, res) => {
+  try {
+    await connectDB();
+
+    const query = {};
+    if (req.query.callSid) query.callSid = req.query.callSid;
+    if (req.query.status) query.status = req.query.status;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const handoffs = await Handoff.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      count: handoffs.length,
+      handoffs
+    });
+  } catch (error) {
+    console.error('❌ Error fetching handoffs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch handoffs'
+    });
+  }
+});
+
+/**
+ * GET /handoffs/:id
+ * Get a single handoff with its transcript
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    await connectDB();
+    const handoff = await Handoff.findById(req.params.id).lean();
+
+    if (!handoff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Handoff not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      handoff
+    });
+  } catch (error) {
+    console.error('❌ Error fetching handoff:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid handoff ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch handoff'
+    });
+  }
+});
+
+export default router;
@@ -5,17 +5,21 @@
 
 import express from 'express';
 import { updatePersona, getPersonaDocument, loadPersonaFromMongo } from '../utils/personaService.js';
+import { dtmfService } from '../utils/dtmfService.js';
+import { fillerService } from '../utils/fillerService.js';
 
 const router = express.Router();
 
 /**
  * POST /persona/upload
  * Upload/update persona text
- * Body: { content: "..." }
+ * Body: { content: "...", keypadMenu: { prompt, options: { "1": "confirm", "2": { label, action: "transfer" } } },
+ *   fillers: ["Hmm, ek second...", "typing.wav"] }
+ * keypadMenu and fillers are optional (omit to keep the stored value, null to remove it)
  */
 router.post('/upload', async (req, res) => {
   try {
-    const { content, name } = req.body;
+    const { content, name, keypadMenu, fillers } = req.body;
 
     if (!content || typeof content !== 'string' || content.trim().length === 0) {
       return res.status(400).json({
@@ -24,8 +28,32 @@ router.post('/upload', async (req, res) => {
       });
     }
 
+    let menu = keypadMenu;
+    if (keypadMenu !== undefined && keypadMenu !== null) {
+      const parsed = dtmfService.parseMenu(keypadMenu);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsed.error
+        });
+      }
+      menu = parsed.menu;
+    }
+
+    let fillerList = fillers;
+    if (fillers !== undefined && fillers !== null) {
+      const parsed = fillerService.parseFillers(fillers);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsed.error
+        });
+      }
+      fillerList = parsed.fillers;
+    }
+
     const personaName = name || 'default';
-    const persona = await updatePersona(content.trim(), personaName);
+    const persona = await updatePersona(content.trim(), personaName, menu, fillerList);
 
     res.json({
       success: true,
@@ -34,6 +62,8 @@ router.post('/upload', async (req, res) => {
         id: persona._id,
         name: persona.name,
         contentLength: persona.content.length,
+        keypadMenu: persona.keypadMenu || null,
+        fillers: persona.fillers?.length ? persona.fillers : null,
         updatedAt: persona.updatedAt
       }
     });
@@ -69,6 +99,8 @@ router.get('/', async (req, res) => {
         id: persona._id,
         name: persona.name,
         content: persona.content,
+        keypadMenu: persona.keypadMenu || null,
+        fillers: persona.fillers?.length ? persona.fillers : null,
         updatedAt: persona.updatedAt,
         createdAt: persona.createdAt
       }
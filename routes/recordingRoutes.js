@@ -0,0 +1,165 @@
+/**
+ * Recording API Routes
+ * Lists call recordings and serves their stereo WAV (caller left, bot right) with range support
+ */
+
+import express from 'express';
+import Recording from '../models/Recording.js';
+import { connectDB } from '../config/db.js';
+import { recordingService } from '../utils/recordingService.js';
+
+const router = express.Router();
+
+/**
+ * GET /recordings
+ * List recordings (newest first)
+ * Query params: callSid (optional), callId (optional), transcriptId (optional), limit (default: 50)
+ */
+router.get('/', async (req, res) => {
+  try {
+    await connectDB();
+
+    const query = {};
+    if (req.query.callSid) query.callSid = req.query.callSid;
+    if (req.query.callId) query.callId = req.query.callId;
+    if (req.query.transcriptId) query.transcriptId = req.query.transcriptId;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const recordings = await Recording.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      count: recordings.length,
+      recordings
+    });
+  } catch (error) {
+    console.error('❌ Error fetching recordings:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch recordings'
+    });
+  }
+});
+
+/**
+ * GET /recordings/:id
+ * Get a recording's details
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    await connectDB();
+    const recording = await Recording.findById(req.params.id).lean();
+
+    if (!recording) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recording not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      recording: {
+        ...recording,
+        audioUrl: `${req.baseUrl}/${recording._id}/audio`
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching recording:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid recording ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch recording'
+    });
+  }
+});
+
+/**
+ * GET /recordings/:id/audio
+ * Download or stream the WAV file
+ * Honors a single Range: bytes=... header (206 Partial Content, 416 when unsatisfiable);
+ * ?download=1 serves it as an attachment
+ */
+router.get('/:id/audio', async (req, res) => {
+  try {
+    await connectDB();
+    const recording = await Recording.findById(req.params.id).lean();
+
+    if (!recording) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recording not found'
+      });
+    }
+
+    const size = recording.sizeBytes;
+    let start = 0;
+    let end = size - 1;
+    const ranges = req.headers.range ? req.range(size, { combine: true }) : null;
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+    // Malformed or multiple ranges: the whole file is sent
+    const partial = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1;
+    if (partial) {
+      ({ start, end } = ranges[0]);
+    }
+
+    res.set({
+      'Content-Type': recording.contentType || 'audio/wav',
+      'Content-Length': String(end - start + 1),
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, max-age=3600'
+    });
+    if (req.query.download) {
+      res.attachment(`${recording.callSid || recording.callId}.wav`);
+    }
+    if (partial) {
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+
+    const stream = recordingService.createReadStream(recording, { start, end });
+    stream.on('error', (error) => {
+      console.error(`❌ Error streaming recording ${recording._id}:`, error.message);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Length');
+        res.removeHeader('Content-Range');
+        res.removeHeader('Content-Disposition');
+        res.status(error.code === 'ENOENT' ? 404 : 500).json({
+          success: false,
+          error: error.code === 'ENOENT' ? 'Recording file not found' : 'Failed to stream recording'
+        });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('❌ Error serving recording:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid recording ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to serve recording'
+    });
+  }
+});
+
+export default router;
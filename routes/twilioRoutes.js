@@ -0,0 +1,72 @@
+/**
+ * Twilio Webhook Routes
+ * Answers Twilio voice webhooks with TwiML that connects the call to the
+ * Media Streams endpoint (TWILIO_STREAM_PATH) served by the Twilio adapter
+ */
+
+import express from 'express';
+import { isCallToken } from '../utils/callContextService.js';
+import { TWILIO_STREAM_PATH } from '../utils/telephonyAdapters.js';
+
+const router = express.Router();
+
+/**
+ * Escape a value for use inside an XML attribute
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Build the wss:// URL of the Twilio stream endpoint
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function getStreamUrl(req) {
+  const baseUrl = process.env.WEBHOOK_BASE_URL ||
+                  process.env.RENDER_EXTERNAL_URL ||
+                  `https://${req.headers.host}`;
+  return `${baseUrl.replace(/^https?/, 'wss').replace(/\/$/, '')}${TWILIO_STREAM_PATH}`;
+}
+
+/**
+ * Voice webhook (configure as "A call comes in" on the Twilio number, or as the Url of an outbound call)
+ * POST /twilio/voice
+ * Body (form-encoded by Twilio): { CallSid, From, To, ... }
+ * Query: call_token - optional per-call parameters token (see POST /call)
+ * Returns TwiML <Connect><Stream> with From/To/call_token passed as stream parameters
+ */
+router.post('/voice', (req, res) => {
+  const parameters = {
+    from: req.body.From,
+    to: req.body.To
+  };
+  const callToken = req.query.call_token || req.body.call_token;
+  if (isCallToken(callToken)) {
+    parameters.call_token = callToken;
+  }
+
+  const parameterXml = Object.entries(parameters)
+    .filter(([, value]) => value)
+    .map(([name, value]) => `      <Parameter name="${name}" value="${escapeXml(value)}" />`)
+    .join('\n');
+
+  console.log(`📞 Twilio voice webhook: ${req.body.CallSid || 'unknown'} (from: ${req.body.From || 'unknown'}, to: ${req.body.To || 'unknown'})`);
+
+  res.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Connect>
+    <Stream url="${escapeXml(getStreamUrl(req))}">
+${parameterXml}
+    </Stream>
+  </Connect>
+</Response>`);
+});
+
+export default router;
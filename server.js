@@ -1,23 +1,60 @@
 import express from "express";
 import { WebSocketServer } from "ws";
 // OpenAI removed - using Deepgram for STT/TTS and Gemini for LLM
-import { ExotelVoicebotCaller } from './index.js';
 import { sttService } from './utils/sttService.js';
 import { ttsService } from './utils/ttsService.js';
 import { audioConverter } from './utils/audioConverter.js';
 import { aiService } from './utils/aiService.js';
+import { monitoringService } from './utils/monitoringService.js';
+import { campaignService } from './utils/campaignService.js';
+import { callScheduler } from './utils/callScheduler.js';
+import campaignRoutes from './routes/campaignRoutes.js';
+import callRoutes from './routes/callRoutes.js';
+import { createCallContext, resolveCallContext, validateCallParams, isCallToken } from './utils/callContextService.js';
+import exotelRoutes from './routes/exotelRoutes.js';
+import { parsePhoneNumber, normalizePhoneNumber } from './utils/phoneNumber.js';
+import { CALLER_ID_STRATEGIES } from './utils/callerIdService.js';
+import { validateRetryPolicy } from './utils/retryPolicy.js';
+import callerIdRoutes from './routes/callerIdRoutes.js';
+import handoffRoutes from './routes/handoffRoutes.js';
+import { handoffService } from './utils/handoffService.js';
+import { hangupService } from './utils/hangupService.js';
+import { callbackService } from './utils/callbackService.js';
+import { idempotencyService } from './utils/idempotencyService.js';
+import { verifyStreamUrl, normalizeDirection } from './utils/streamUrlService.js';
+import { dtmfService } from './utils/dtmfService.js';
+import { amdService } from './utils/amdService.js';
+import { vadService } from './utils/vadService.js';
+import { streamingSttService } from './utils/streamingSttService.js';
+import { bargeInService } from './utils/bargeInService.js';
+import { playbackService } from './utils/playbackService.js';
+import { recordingService } from './utils/recordingService.js';
+import { fillerService } from './utils/fillerService.js';
+import recordingRoutes from './routes/recordingRoutes.js';
+import complianceRoutes from './routes/complianceRoutes.js';
+import twilioRoutes from './routes/twilioRoutes.js';
+import { exotelAdapter, getAdapterForPath, TWILIO_STREAM_PATH } from './utils/telephonyAdapters.js';
+import { audioCodecs } from './utils/audioCodecs.js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
 const app = express();
 const server = app.listen(process.env.PORT || 3000);
-const wss = new WebSocketServer({ server, path: "/was" });
+// Upgrades are routed per path to a provider adapter (see server.on("upgrade") below)
+const wss = new WebSocketServer({ noServer: true });
 
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Static pages (browser softphone at /softphone.html)
+app.use(express.static(join(__dirname, 'public')));
+
 // Health check endpoint
 app.get('/', (req, res) => {
   const baseUrl = process.env.WEBHOOK_BASE_URL || 
@@ -28,8 +65,10 @@ app.get('/', (req, res) => {
   res.json({
     status: 'ok',
     service: 'Voicebot (Deepgram STT/TTS + Gemini LLM)',
-    message: 'WebSocket server running on /was. Use POST /call to initiate calls.',
+    message: `WebSocket server running on /was (Exotel) and ${TWILIO_STREAM_PATH} (Twilio). Use POST /call to initiate calls.`,
     endpoint: `${wsUrl}/was?sample-rate=16000`,
+    twilioEndpoint: `${wsUrl}${TWILIO_STREAM_PATH}`,
+    connectWebhook: `${baseUrl.replace(/\/$/, '')}/exotel/voicebot/connect?sample-rate=16000`,
     baseUrl: baseUrl
   });
 });
@@ -37,14 +76,20 @@ app.get('/', (req, res) => {
 /**
  * Make a call endpoint
  * POST /call
- * Body: { "to": "+919324606985", "from": "optional" }
+ * Body: { "to": "+919324606985", "from": "optional", "retry": true, "retryPolicy": { "maxAttempts": 3, "rules": { ... } },
+ *         "params": { "persona_name": "...", "customer_name": "...", "greeting": "...", "voice_id": "..." } }
+ * Busy / unanswered / failed calls are re-dialed according to the retry policy unless "retry" is false
+ * "params" are stored under a call token (sent as Exotel CustomField) and become the session's custom parameters
+ * Header: Idempotency-Key (optional) - a repeated request with the same key returns the first response
  */
 app.post('/call', async (req, res) => {
+  let idempotencyKey = null;
+  let idempotencyStartedAt = null; // Identifies this request's claim on the key
   try {
-    const { to, from } = req.body;
+    const { to, from, callerIdStrategy, retry, retryPolicy, params } = req.body;
 
     // Default number if not provided
-    const targetNumber = to || '+919324606985';
+    const rawNumber = to || '+919324606985';
 
     // Validate configuration
     const config = {
@@ -65,35 +110,133 @@ app.post('/call', async (req, res) => {
       });
     }
 
-    // Validate phone number
-    if (!targetNumber || !targetNumber.startsWith('+')) {
+    // Validate and normalize phone number (local Indian formats are accepted)
+    const parsedNumber = parsePhoneNumber(rawNumber);
+    if (!parsedNumber.valid) {
+      return res.status(400).json({
+        success: false,
+        error: `${parsedNumber.error}. Use a 10-digit Indian number or E.164 (e.g., +919324606985)`
+      });
+    }
+    const targetNumber = parsedNumber.e164;
+
+    if (from && !normalizePhoneNumber(from)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid from number "${from}"`
+      });
+    }
+
+    if (callerIdStrategy && !CALLER_ID_STRATEGIES.includes(callerIdStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `callerIdStrategy must be one of: ${CALLER_ID_STRATEGIES.join(', ')}`
+      });
+    }
+
+    const retryPolicyError = validateRetryPolicy(retryPolicy);
+    if (retryPolicyError) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid phone number. Must start with + (e.g., +919324606985)'
+        error: `Invalid retryPolicy: ${retryPolicyError}`
       });
     }
 
-    // Initialize caller and make call
-    const caller = new ExotelVoicebotCaller(config);
-    const result = await caller.makeCall(targetNumber, from);
+    // Validate per-call parameters
+    if (params !== undefined) {
+      const paramsError = validateCallParams(params);
+      if (paramsError) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid params: ${paramsError}`
+        });
+      }
+    }
+
+    // A CRM retrying after a timeout gets the original result instead of a second call
+    if (req.get('Idempotency-Key') !== undefined) {
+      const keyError = idempotencyService.validateKey(req.get('Idempotency-Key'));
+      if (keyError) {
+        return res.status(400).json({
+          success: false,
+          error: keyError
+        });
+      }
+      
+      const claim = await idempotencyService.begin(req.get('Idempotency-Key'), req.body);
+      if (claim.error) {
+        return res.status(claim.statusCode).json({
+          success: false,
+          error: claim.error
+        });
+      }
+      if (claim.record) {
+        console.log(`🔁 /call replayed for Idempotency-Key ${claim.record.key} (CallSid: ${claim.record.callSid || 'none'})`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.record.statusCode).json(claim.record.response);
+      }
+      idempotencyKey = claim.started ? req.get('Idempotency-Key') : null;
+      idempotencyStartedAt = claim.startedAt;
+    }
+    
+    // Send the response and keep it for repeated requests with the same Idempotency-Key
+    const respond = async (statusCode, body) => {
+      if (idempotencyKey) {
+        await idempotencyService.complete(idempotencyKey, statusCode, body, idempotencyStartedAt);
+        idempotencyKey = null;
+      }
+      res.status(statusCode).json(body);
+    };
+    
+    // Store per-call parameters; the token travels with the call as CustomField
+    const callToken = params ? await createCallContext(params) : null;
+
+    // Make call through the scheduler so the attempt is recorded and retried
+    const { attempt, result } = await callScheduler.dial(targetNumber, {
+      from: from ? normalizePhoneNumber(from) : undefined,
+      callerIdStrategy,
+      customField: callToken,
+      retry: retry !== false,
+      retryPolicy
+    });
 
     if (result.success) {
-      res.json({
+      await respond(200, {
         success: true,
         message: `Call initiated successfully to ${targetNumber}`,
         callSid: result.callSid,
+        attemptId: attempt._id,
+        to: targetNumber,
+        numberType: parsedNumber.type,
+        callerId: attempt.from || process.env.EXOTEL_CALLER_ID,
+        callToken,
         data: result.data
       });
+    } else if (result.blocked) {
+      // Rejected by the compliance gate (DNC, calling hours, frequency cap)
+      await respond(403, {
+        success: false,
+        message: `Call to ${targetNumber} blocked by compliance rules`,
+        attemptId: attempt._id,
+        reason: result.reason,
+        error: result.error,
+        retryAt: result.retryAt
+      });
     } else {
-      res.status(500).json({
+      await respond(500, {
         success: false,
         message: `Failed to initiate call to ${targetNumber}`,
+        attemptId: attempt._id,
         error: result.error,
         status: result.status
       });
     }
   } catch (error) {
     console.error('Error in /call endpoint:', error);
+    // No result to replay: let the client retry with the same key
+    if (idempotencyKey) {
+      await idempotencyService.release(idempotencyKey, idempotencyStartedAt);
+    }
     res.status(500).json({
       success: false,
       error: error.message
@@ -101,7 +244,37 @@ app.post('/call', async (req, res) => {
   }
 });
 
-console.log("✅ WSS Ready → /was");
+// Call attempt history and scheduled retries
+app.use('/calls', callRoutes);
+
+// Exotel webhooks (status callback registered by makeCall, voicebot connect webhook)
+app.use('/exotel', exotelRoutes);
+
+// Bulk outbound campaigns
+app.use('/campaigns', campaignRoutes);
+
+// Do-Not-Call list and compliance checks
+app.use('/compliance', complianceRoutes);
+
+// Caller ID pool (ExoPhones rotated per call)
+app.use('/caller-ids', callerIdRoutes);
+
+// Live transfers to human agents (with transcript so far)
+app.use('/handoffs', handoffRoutes);
+
+// Twilio voice webhook (TwiML connecting the call to the Twilio Media Streams endpoint)
+app.use('/twilio', twilioRoutes);
+
+// Stereo call recordings (metadata and WAV download with range support)
+app.use('/recordings', recordingRoutes);
+
+// Start re-dialing scheduled retries and resume campaigns that were running before a restart
+callScheduler.start();
+campaignService.restoreRunningCampaigns();
+// Delete call recordings past their retention
+recordingService.start();
+
+console.log(`✅ WSS Ready → /was (Exotel), ${TWILIO_STREAM_PATH} (Twilio)`);
 
 // Session management
 const sessions = new Map();
@@ -212,41 +385,10 @@ async function sendFallbackSilence(ws, session) {
     
     const silenceBuffer = Buffer.alloc(silenceLength, 0); // All zeros = silence
     
-    // Send in chunks
-    const chunkSize = session.sampleRate === 8000 ? 3200 : 6400; // 100ms chunks
-    const chunks = audioConverter.chunkPCM(silenceBuffer, chunkSize);
-    
-    console.log(`   📤 Sending ${chunks.length} silence chunks (${silenceLength} bytes)`);
+    console.log(`   📤 Queueing ${silenceLength} bytes of silence`);
     
-    for (const chunk of chunks) {
-      if (ws.readyState !== 1) break;
-      
-      const payload = chunk.toString('base64');
-      const message = {
-        event: 'media',
-        stream_sid: session.streamSid,
-        sequence_number: session.sequenceNumber.toString(),
-        media: {
-          payload: payload
-        }
-      };
-      
-      ws.send(JSON.stringify(message));
-      session.sequenceNumber++;
-      await new Promise(resolve => setTimeout(resolve, 10));
-    }
-    
-    // Send mark event
-    if (ws.readyState === 1) {
-      const markMessage = {
-        event: 'mark',
-        stream_sid: session.streamSid,
-        mark: {
-          name: 'fallback_silence_done'
-        }
-      };
-      ws.send(JSON.stringify(markMessage));
-    }
+    // Paced like any other bot audio, behind what is already queued
+    await playbackService.play(session, silenceBuffer, { markName: 'fallback_silence_done', priority: 'filler' });
     
     console.log(`✅ [${session.callId}] Fallback silence sent`);
   } catch (error) {
@@ -256,18 +398,25 @@ async function sendFallbackSilence(ws, session) {
 }
 
 /**
- * Stream TTS audio to Exotel
+ * Stream TTS audio to the telephony provider
  * @param {WebSocket} ws - WebSocket connection
  * @param {Object} session - Session object
  * @param {string} text - Text to synthesize
  * @param {boolean} sendMark - Whether to send mark event after streaming (default: true)
+ * @param {string} markName - Name of the mark event (default: assistant_reply_done)
+ * @param {string} priority - Playback priority: greeting, system, reply or filler (default: reply)
  */
-async function streamTTSAudio(ws, session, text, sendMark = true) {
+async function streamTTSAudio(ws, session, text, sendMark = true, markName = 'assistant_reply_done', priority = 'reply') {
   if (!text || !text.trim()) {
     console.warn(`⚠️  [${session.callId}] Empty text for TTS`);
     return;
   }
 
+  // Barge-in aborts the bot turn this audio belongs to (see beginPlayback)
+  const signal = session.playbackController?.signal;
+  // Place in the playback queue is taken now, so sentences synthesized in parallel play in order
+  const slot = playbackService.reserve(session, { text, priority, signal, markName: sendMark ? markName : null });
+  
   try {
     // Get voice from custom_parameters or default to female voice (aura-luna-en for Deepgram)
     // Female voices: aura-asteria-en, aura-luna-en, aura-stella-en (Deepgram)
@@ -285,67 +434,30 @@ async function streamTTSAudio(ws, session, text, sendMark = true) {
       pcmBuffer = await audioConverter.resamplePCM(audioBuffer, sourceSampleRate, session.sampleRate);
     }
     
-    // CRITICAL: Chunk size per Exotel requirements
-    // Minimum: 3.2k (3200 bytes) = 100ms at 8kHz
-    // For 16kHz: 6400 bytes = 100ms (16kHz * 2 bytes * 0.1s = 3200 samples = 6400 bytes)
-    // Must be multiple of 320 bytes
-    // Using 100ms chunks for optimal quality and compliance
-    const chunkSize = session.sampleRate === 8000 ? 3200 : 6400; // 100ms chunks
-    const chunks = audioConverter.chunkPCM(pcmBuffer, chunkSize);
-    
-    console.log(`📤 [${session.callId}] Streaming ${chunks.length} chunks (${pcmBuffer.length} bytes total)`);
+    const durationMs = Math.round(pcmBuffer.length / (session.sampleRate * 2) * 1000);
+    console.log(`📤 [${session.callId}] Queueing ${durationMs}ms of audio (${pcmBuffer.length} bytes)`);
     
-    // Stream chunks to Exotel
-    for (let i = 0; i < chunks.length; i++) {
-      if (ws.readyState !== 1) {
-        if (session.isActive) {
-          console.warn(`⚠️  [${session.callId}] WebSocket closed unexpectedly, stopping at chunk ${i}/${chunks.length}`);
-        } else {
-          console.log(`ℹ️  [${session.callId}] Call ended, stopping TTS stream at chunk ${i}/${chunks.length}`);
-        }
-        break;
-      }
-      
-      // Check for barge-in (clear message)
-      if (session.pendingClear) {
-        console.log(`🛑 [${session.callId}] Barge-in detected, stopping TTS stream`);
-        session.pendingClear = false;
-        break;
+    // Sent at real-time cadence once the audio queued before it has been sent
+    const { stopped } = await playbackService.fill(session, slot, pcmBuffer);
+    if (stopped === 'closed') {
+      if (session.isActive) {
+        console.warn(`⚠️  [${session.callId}] WebSocket closed unexpectedly, TTS stream stopped`);
+      } else {
+        console.log(`ℹ️  [${session.callId}] Call ended, TTS stream stopped`);
       }
-      
-      const chunk = chunks[i];
-      const payload = chunk.toString('base64');
-      
-      const message = {
-        event: 'media',
-        stream_sid: session.streamSid,
-        sequence_number: session.sequenceNumber.toString(),
-        media: {
-          payload: payload
-        }
-      };
-      
-      ws.send(JSON.stringify(message));
-      session.sequenceNumber++;
-      
-      // Small delay to prevent overwhelming
-      await new Promise(resolve => setTimeout(resolve, 10));
+    } else if (stopped === 'interrupted') {
+      console.log(`🛑 [${session.callId}] Barge-in detected, TTS stream stopped`);
     }
     
-    // Send mark event to signal completion (only if sendMark is true)
-    if (sendMark && ws.readyState === 1 && !session.pendingClear) {
-      const markMessage = {
-        event: 'mark',
-        stream_sid: session.streamSid,
-        mark: {
-          name: 'assistant_reply_done'
-        }
-      };
-      ws.send(JSON.stringify(markMessage));
-      console.log(`✅ [${session.callId}] TTS stream complete, mark sent`);
+    // Caller silence is counted from the end of this audio's playback
+    hangupService.noteBotAudio(session, playbackService.getBufferedMs(session));
+    
+    if (sendMark && !stopped) {
+      console.log(`✅ [${session.callId}] TTS stream complete, mark sent (${markName})`);
     }
   } catch (error) {
     console.error(`❌ [${session.callId}] TTS error:`, error.message);
+    playbackService.cancel(session, slot);
     // Rethrow so calling code can handle it (reset flags, etc.)
     throw error;
   }
@@ -359,6 +471,12 @@ async function processUserAudio(session) {
     return;
   }
   
+  // Call is being transferred to an agent or ended by the bot - the bot no longer answers
+  if (session.handoffInProgress || session.hangupInProgress) {
+    session.audioBuffer = [];
+    return;
+  }
+  
   // Check for barge-in
   if (session.pendingClear) {
     console.log(`🛑 [${session.callId}] Barge-in detected, clearing audio buffer`);
@@ -394,6 +512,7 @@ async function processUserAudio(session) {
     // If audio is mostly silence, skip STT
     if (silenceRatio > 0.95) {
       console.warn(`⚠️  [${session.callId}] Audio is mostly silence (${(silenceRatio * 100).toFixed(1)}%), skipping STT`);
+      await handleCallerSilence(session);
       return;
     }
     
@@ -404,10 +523,33 @@ async function processUserAudio(session) {
     if (!transcribedText || transcribedText.trim().length === 0) {
       console.warn(`⚠️  [${session.callId}] No transcription from STT - user audio may be empty or STT failed`);
       console.warn(`   Audio stats: ${combinedAudio.length} bytes, ${(silenceRatio * 100).toFixed(1)}% silence, max amplitude: ${maxAmplitude}`);
+      await handleCallerSilence(session);
       return;
     }
     
     console.log(`📝 [${session.callId}] STT: "${transcribedText}"`);
+    hangupService.noteCallerActivity(session);
+    
+    await respondToUser(session, transcribedText.trim());
+  } catch (error) {
+    console.error(`❌ [${session.callId}] Error processing audio:`, error.message);
+  }
+}
+
+/**
+ * Generate the bot's reply to caller input (speech transcript or keypad input) and stream it: LLM → TTS
+ * @param {Object} session - Session object
+ * @param {string} userText - Caller input as text
+ */
+async function respondToUser(session, userText) {
+  const playback = beginPlayback(session);
+  // Dead air while the reply is generated and synthesized is covered by a thinking filler
+  const cancelFiller = fillerService.schedule(session, playback.signal);
+  try {
+    // "Call me back tomorrow" is answered without the model: time read back, confirmed, scheduled
+    if (await handleCallbackRequest(session, userText)) {
+      return;
+    }
     
     // CRITICAL: Use aiService to generate reply with token-by-token streaming
     // This ensures persona is loaded from MongoDB and knowledgebase chunks are used
@@ -423,7 +565,9 @@ async function processUserAudio(session) {
     let textBuffer = '';
     let firstChunkTime = null;
     let totalTokens = 0;
-    let pendingTTS = null; // Track ongoing TTS synthesis
+    const replyAudio = []; // Sentences of this reply queued for playback (the playback queue keeps their order)
+    let markReplyFlushed;
+    const replyFlushed = new Promise(resolve => { markReplyFlushed = resolve; }); // Last reply chunk streamed
     
     // Sentence-ending punctuation for natural breaks
     const sentenceEnders = /[.!?]\s*/;
@@ -433,6 +577,11 @@ async function processUserAudio(session) {
     // Streaming callback: called for each token as it arrives
     const onToken = async (token, isComplete) => {
       try {
+        // Caller interrupted: nothing more of this reply is spoken
+        if (playback.signal.aborted) {
+          return;
+        }
+        
         if (isComplete) {
           // Final chunk - process any remaining buffer
           if (textBuffer.trim().length > 0) {
@@ -440,21 +589,18 @@ async function processUserAudio(session) {
             textBuffer = '';
             if (remainingText) {
               console.log(`🎙️ [${session.callId}] Final TTS chunk: "${remainingText.substring(0, 50)}${remainingText.length > 50 ? '...' : ''}"`);
-              // Wait for any pending TTS to complete before starting final chunk
-              if (pendingTTS) {
-                await pendingTTS;
-              }
               // Final chunk - send mark event after this one
-              pendingTTS = streamTTSAudio(session.ws, session, remainingText, true).catch(err => {
+              replyAudio.push(streamTTSAudio(session.ws, session, remainingText, true).catch(err => {
                 console.error(`❌ [${session.callId}] Final TTS chunk error:`, err.message);
-              });
-              await pendingTTS;
-              pendingTTS = null;
+              }));
             }
           }
+          // Wait until the whole reply has been sent
+          await Promise.all(replyAudio);
           const totalLatency = Date.now() - startTime;
           const timeToFirstChunk = firstChunkTime ? (firstChunkTime - startTime) : 0;
           console.log(`✅ [${session.callId}] Streaming complete: ${totalTokens} tokens, ${totalLatency}ms total, ${timeToFirstChunk}ms to first chunk`);
+          markReplyFlushed();
           return;
         }
         
@@ -509,16 +655,11 @@ async function processUserAudio(session) {
             // Convert to TTS and stream immediately
             console.log(`🎙️ [${session.callId}] Streaming TTS chunk: "${textToSpeak.substring(0, 50)}${textToSpeak.length > 50 ? '...' : ''}"`);
             
-            // Wait for any pending TTS to complete before starting new one (to maintain order)
-            if (pendingTTS) {
-              await pendingTTS;
-            }
-            
-            // Start TTS synthesis (track promise to maintain order)
+            // Synthesized while earlier chunks play; it is queued behind them
             // Don't send mark event for intermediate chunks, only for final chunk
-            pendingTTS = streamTTSAudio(session.ws, session, textToSpeak, false).catch(err => {
+            replyAudio.push(streamTTSAudio(session.ws, session, textToSpeak, false).catch(err => {
               console.error(`❌ [${session.callId}] TTS chunk error:`, err.message);
-            });
+            }));
           }
         }
       } catch (error) {
@@ -526,8 +667,45 @@ async function processUserAudio(session) {
       }
     };
     
+    // Escalation to a human is only offered when agent numbers are configured
+    session.handoffEnabled = handoffService.isEnabled(session);
+    session.hangupEnabled = hangupService.isEnabled(session);
+    
     // Use streaming method which calls onToken for each token
-    const replyText = await aiService.generateAgentReplyStreaming(session, transcribedText.trim(), onToken);
+    const replyText = await aiService.generateAgentReplyStreaming(session, userText, onToken, {
+      signal: playback.signal
+    });
+    
+    // Caller interrupted: their words are answered next, and a closing line cut short does not end the call
+    if (playback.signal.aborted) {
+      session.hangupRequest = null;
+      if (!session.handoffRequest) {
+        return;
+      }
+    }
+    
+    if (session.handoffRequest) {
+      // Let the bot finish its own transfer line before the hold message
+      if (replyText) {
+        await Promise.race([replyFlushed, new Promise(resolve => setTimeout(resolve, 10000))]);
+      }
+      await transferToAgent(session.ws, session);
+      return;
+    }
+    
+    // The caller said goodbye even if the model did not close the call itself
+    if (!session.hangupRequest && session.hangupEnabled) {
+      session.hangupRequest = hangupService.detectGoodbye(userText);
+    }
+    
+    if (session.hangupRequest) {
+      // The reply is the closing line; without one the default closing message is spoken
+      if (replyText) {
+        await Promise.race([replyFlushed, new Promise(resolve => setTimeout(resolve, 10000))]);
+      }
+      await endCall(session.ws, session, replyText ? null : hangupService.getClosingMessage(session));
+      return;
+    }
     
     if (!replyText) {
       console.warn(`⚠️  [${session.callId}] No reply from AI service`);
@@ -538,32 +716,106 @@ async function processUserAudio(session) {
     console.log(`💬 [${session.callId}] AI Reply complete (${totalLatency}ms): "${replyText}"`);
     
   } catch (error) {
-    console.error(`❌ [${session.callId}] Error processing audio:`, error.message);
+    console.error(`❌ [${session.callId}] Error generating reply:`, error.message);
+  } finally {
+    cancelFiller();
   }
 }
 
+// Route WebSocket upgrades to the provider adapter for the path (/was → Exotel, /twilio/stream → Twilio)
+server.on("upgrade", (req, socket, head) => {
+  const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+  const adapter = getAdapterForPath(pathname);
+  if (!adapter) {
+    socket.destroy();
+    return;
+  }
+  
+  // Exotel stream URLs issued by /exotel/voicebot/connect are signed and carry the call metadata
+  let streamMetadata = null;
+  if (adapter === exotelAdapter) {
+    const verification = verifyStreamUrl(searchParams);
+    if (!verification.valid) {
+      console.warn(`⚠️  Rejected stream connection: ${verification.error}`);
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    streamMetadata = verification.metadata;
+  }
+  
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    wss.emit("connection", ws, req, adapter, streamMetadata);
+  });
+});
+
 // WebSocket connection handler
-wss.on("connection", (ws, req) => {
+wss.on("connection", (ws, req, adapter = exotelAdapter, streamMetadata = null) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
-  const sampleRateParam = url.searchParams.get("sample-rate");
-  const sampleRate = sampleRateParam ? parseInt(sampleRateParam) : 16000;
+  const { rejected, ...mediaFormat } = adapter.getMediaFormat(url);
+  const sampleRate = mediaFormat.sampleRate;
   
-  // Extract callSid from query params (Exotel sends this)
-  const callSid = url.searchParams.get("callSid") || url.searchParams.get("callLogId") || `call_${Date.now()}`;
+  // Extract callSid from query params (Exotel sends this, or the signed connect URL carries it)
+  const callSid = adapter.getCallId(url) || streamMetadata?.callSid || `call_${Date.now()}`;
   
-  console.log(`🔗 [${callSid}] Client Connected (sample-rate: ${sampleRate}Hz)`);
+  console.log(`🔗 [${callSid}] Client Connected (${adapter.name}, ${mediaFormat.encoding} at ${sampleRate}Hz)`);
+  if (rejected.length > 0) {
+    console.warn(`⚠️  [${callSid}] Unsupported ${rejected.join(', ')} requested, using ${mediaFormat.encoding} at ${sampleRate}Hz`);
+  }
   
   // Create session
   const session = {
     callId: callSid,
+    callSid: null, // Provider CallSid from the signed stream URL or the start event
+    from: null,
+    to: null,
+    direction: null, // inbound, outbound-api or outbound-dial (signed stream URL)
+    provider: adapter.name,
+    adapter: adapter, // Provider framing (see utils/telephonyAdapters.js)
     streamSid: null,
     sampleRate: sampleRate,
+    mediaFormat: mediaFormat, // Wire encoding and sample rate of the stream (see utils/audioCodecs.js)
     ws: ws,
     audioBuffer: [],
     conversationHistory: [],
     customParameters: {},
+    callToken: null, // Token of the per-call parameters (POST /call params)
+    callParams: {}, // Per-call parameters resolved from the token
+    callContextReady: Promise.resolve(), // Resolves once per-call parameters are merged
     sequenceNumber: 0,
     isActive: false,
+    connectedAt: new Date(),
+    finalized: false, // Transcript saved and call end reported
+    handoffEnabled: false, // Agent numbers configured for this call
+    handoffRequest: null, // { reason, triggerText } set by aiService when the caller should get a human
+    handoffInProgress: false,
+    handoff: null, // { id, reason } of the recorded handoff
+    callback: null, // { phase, requestText, at } of a callback request being confirmed (see callbackService)
+    callbackResult: null, // { status, scheduledAt, attemptId, ... } once a callback was scheduled (or failed)
+    hangupEnabled: false, // Bot may end the call itself (see hangupService)
+    hangupRequest: null, // { reason, triggerText } set when the conversation is over
+    hangupInProgress: false,
+    hangup: null, // { reason, closingText, closingPlayed, ... } once the bot ended the call
+    lastActivityAt: null, // Last caller input or end of bot playback (caller silence timeout)
+    silencePromptCount: 0, // "Can you hear me?" prompts since the caller last spoke
+    markWaiters: new Map(), // mark name -> resolve function (see waitForMark)
+    dtmf: null, // { digits, timer } keypad digits being collected (see dtmfService)
+    keypadMenu: undefined, // Keypad menu of the call, resolved on first use (null = none)
+    fillers: undefined, // Thinking fillers of the call, resolved at call start (see fillerService)
+    fillerIndex: 0, // Next filler to play (fillers rotate)
+    attemptReady: Promise.resolve(null), // CallAttempt of an outbound call (set by the start event)
+    amd: null, // Answering machine detection state (see amdService)
+    vad: null, // Voice activity detection state (see vadService)
+    recognizer: null, // Streaming recognizer (STT_STREAMING=true, see streamingSttService)
+    recognizerStarted: false, // Opened once; stays null afterwards when batch STT is used
+    sttSegments: [], // Final transcript segments of the turn being spoken (streaming STT)
+    interimTranscript: '', // Latest interim transcript (streaming STT)
+    pendingTranscripts: [], // Endpointed turns waiting to be answered (streaming STT)
+    pendingKeypadInputs: [], // Completed keypad input waiting to be answered (see handleKeypadInput)
+    playbackController: null, // AbortController of the bot turn the caller can interrupt (see beginPlayback)
+    playback: null, // Outbound audio queue and playback position (see playbackService)
+    recording: null, // Audio captured for the call recording (see recordingService)
+    bargeInCount: 0,
     pendingClear: false,
     processingAudio: false,
     greetingSent: false, // Track if greeting has been sent
@@ -574,47 +826,62 @@ wss.on("connection", (ws, req) => {
   
   sessions.set(callSid, session);
   
-  // Handle incoming messages from Exotel
+  // Caller metadata verified from the signed stream URL is known before the start event
+  if (streamMetadata) {
+    seedSessionFromStreamUrl(session, streamMetadata);
+  }
+  
+  // Per-call parameters may be referenced directly in the stream URL
+  loadCallContext(session, findCallToken(url.searchParams));
+  
+  // Handle incoming messages from the provider
   ws.on("message", async (data) => {
     try {
       const message = JSON.parse(data.toString());
       
-      // Handle clear message (can come as event or control message)
-      if (message.clear || message.event === 'clear') {
-        handleClearEvent(ws, session, message);
+      if (!message.event && !message.clear) {
+        console.warn(`⚠️  [${callSid}] Message without event field:`, JSON.stringify(message).substring(0, 100));
         return;
       }
       
-      if (!message.event) {
-        console.warn(`⚠️  [${callSid}] Message without event field:`, JSON.stringify(message).substring(0, 100));
+      // Normalize provider framing (audio arrives as 16-bit PCM)
+      const event = adapter.parseMessage(message, session);
+      
+      // Handle clear message (can come as event or control message)
+      if (event.type === 'clear') {
+        handleClearEvent(ws, session, event);
         return;
       }
       
-      console.log(`📨 [${callSid}] Received event: ${message.event}`);
+      console.log(`📨 [${callSid}] Received event: ${event.event}`);
       
-      switch (message.event) {
+      switch (event.type) {
         case 'connected':
-          handleConnectedEvent(ws, session, message);
+          handleConnectedEvent(ws, session, event);
           break;
           
         case 'start':
-          handleStartEvent(ws, session, message);
+          handleStartEvent(ws, session, event);
           break;
           
         case 'media':
-          handleMediaEvent(ws, session, message);
+          handleMediaEvent(ws, session, event);
           break;
           
         case 'stop':
-          handleStopEvent(ws, session, message);
+          handleStopEvent(ws, session, event);
           break;
           
         case 'mark':
-          handleMarkEvent(ws, session, message);
+          handleMarkEvent(ws, session, event);
+          break;
+          
+        case 'dtmf':
+          handleDtmfEvent(ws, session, event);
           break;
           
         default:
-          console.warn(`⚠️  [${callSid}] Unknown event: ${message.event}`);
+          console.warn(`⚠️  [${callSid}] Unknown event: ${event.event}`);
       }
     } catch (error) {
       console.error(`❌ [${callSid}] Error parsing message:`, error.message);
@@ -623,6 +890,7 @@ wss.on("connection", (ws, req) => {
   
   ws.on("close", () => {
     console.log(`❌ [${callSid}] Disconnected`);
+    finalizeSession(session);
     sessions.delete(callSid);
   });
   
@@ -632,73 +900,173 @@ wss.on("connection", (ws, req) => {
 });
 
 /**
- * Handle "connected" event from Exotel
+ * Seed a session with the call metadata of a verified stream URL (see /exotel/voicebot/connect)
+ * The CustomField is resolved as a call token by loadCallContext (custom_field query parameter)
+ */
+function seedSessionFromStreamUrl(session, metadata) {
+  session.from = metadata.from;
+  session.to = metadata.to;
+  session.direction = normalizeDirection(metadata.direction);
+  // Lets the prompt say who called whom (see aiService.generateCallContextPrompt)
+  if (session.direction) {
+    session.customParameters.call_direction = session.direction;
+  }
+  if (metadata.callSid) {
+    session.callSid = metadata.callSid;
+    session.attemptReady = callScheduler.recordAnswered(metadata.callSid);
+  }
+  console.log(`   🔏 [${session.callId}] Signed stream URL: ${session.direction || 'unknown direction'} call (from: ${session.from || 'unknown'}, to: ${session.to || 'unknown'})`);
+}
+
+/**
+ * Find a call token (CustomField from POST /call) in URL query or custom_parameters
+ */
+function findCallToken(source) {
+  if (!source) return null;
+  const get = (key) => typeof source.get === 'function' ? source.get(key) : source[key];
+  const candidates = ['call_token', 'CustomField', 'customField', 'custom_field'].map(get);
+  return candidates.find(isCallToken) || null;
+}
+
+/**
+ * Resolve stored per-call parameters for a token and merge them into the session
+ * Stored parameters win over custom_parameters sent by Exotel
+ */
+function loadCallContext(session, token) {
+  if (!token || session.callToken === token) {
+    return session.callContextReady;
+  }
+  session.callToken = token;
+  session.callContextReady = resolveCallContext(token).then(params => {
+    if (params) {
+      session.callParams = params;
+      session.customParameters = { ...session.customParameters, ...params };
+      console.log(`   📋 [${session.callId}] Per-call parameters loaded (${token}):`, JSON.stringify(params));
+    } else {
+      console.warn(`⚠️  [${session.callId}] No per-call parameters found for ${token}`);
+    }
+  });
+  return session.callContextReady;
+}
+
+/**
+ * Store custom_parameters from a connected/start event and resolve any call token they carry
+ */
+function applyCustomParameters(session, customParameters) {
+  session.customParameters = { ...session.customParameters, ...customParameters, ...session.callParams };
+  console.log(`   📋 Custom Parameters:`, JSON.stringify(session.customParameters, null, 2));
+  loadCallContext(session, findCallToken(customParameters));
+}
+
+/**
+ * Send the greeting once per call (custom greeting → GREETING_TEXT → default)
+ * Waits for per-call parameters so the greeting and voice match this call
+ */
+async function sendGreeting(ws, session, source) {
+  if (session.greetingInProgress) {
+    console.log(`   ⏳ Greeting already in progress, skipping`);
+    return;
+  }
+  if (session.greetingSent) {
+    console.log(`   ✅ Greeting already sent, skipping`);
+    return;
+  }
+  
+  session.greetingInProgress = true;
+  session.greetingSent = true; // Mark as sent to prevent duplicates
+  
+  try {
+    await session.callContextReady;
+    
+    // Outbound calls listen first so a voicemail greeting is not answered by the bot
+    if (await amdService.shouldDetect(session)) {
+      amdService.start(session);
+      session.greetingInProgress = false;
+      console.log(`   👂 [${session.callId}] Answering machine detection started, greeting deferred`);
+      return;
+    }
+    
+    let greeting = session.customParameters?.greeting || 
+                   process.env.GREETING_TEXT || 
+                   "Hello! Thank you for calling. How can I help you today?";
+    greeting = cleanGreetingText(greeting); // Clean the greeting text
+    console.log(`   🎙️ Sending greeting from ${source}: "${greeting}"`);
+    
+    beginPlayback(session);
+    await streamTTSAudio(ws, session, greeting, true, 'assistant_reply_done', 'greeting');
+    session.greetingInProgress = false;
+  } catch (error) {
+    console.error(`   ❌ Error sending greeting from ${source}:`, error.message);
+    session.greetingSent = false; // Allow retry on error
+    session.greetingInProgress = false;
+    // Send fallback silence to keep call alive
+    sendFallbackSilence(ws, session).catch(err => {
+      console.error(`   ❌ Failed to send fallback silence:`, err.message);
+    });
+  }
+}
+
+/**
+ * Handle "connected" event (normalized by the session's adapter)
  * This event is sent when the WebSocket connection is established
  */
-function handleConnectedEvent(ws, session, message) {
+function handleConnectedEvent(ws, session, event) {
   console.log(`🎉 [${session.callId}] Connected event received`);
   
   // Store stream_sid if provided in connected event
-  if (message.stream_sid || message.streamSid) {
-    session.streamSid = message.stream_sid || message.streamSid;
+  if (event.streamSid) {
+    session.streamSid = event.streamSid;
     console.log(`   ✅ Stream SID from connected event: ${session.streamSid}`);
   }
   
   // Extract custom_parameters if provided
-  if (message.connected?.custom_parameters || message.custom_parameters) {
-    session.customParameters = message.connected?.custom_parameters || message.custom_parameters;
-    console.log(`   📋 Custom Parameters:`, JSON.stringify(session.customParameters, null, 2));
+  if (event.customParameters) {
+    applyCustomParameters(session, event.customParameters);
   }
   
   session.isActive = true;
   
   // If we have stream_sid, trigger greeting (if not already sent or in progress)
-  if (session.streamSid && !session.greetingSent && !session.greetingInProgress) {
-    let greeting = session.customParameters?.greeting || 
-                   process.env.GREETING_TEXT || 
-                   "Hello! Thank you for calling. How can I help you today?";
-    greeting = cleanGreetingText(greeting); // Clean the greeting text
-    console.log(`   🎙️ Triggering greeting from connected event: "${greeting}"`);
-    session.greetingInProgress = true;
-    session.greetingSent = true; // Mark as sent to prevent duplicates
-    streamTTSAudio(ws, session, greeting)
-      .then(() => {
-        session.greetingInProgress = false;
-      })
-      .catch(error => {
-        console.error(`   ❌ Error sending greeting from connected event:`, error.message);
-        session.greetingSent = false; // Allow retry on error
-        session.greetingInProgress = false;
-        // Send fallback silence to keep call alive
-        sendFallbackSilence(ws, session).catch(err => {
-          console.error(`   ❌ Failed to send fallback silence:`, err.message);
-        });
-      });
-  } else if (!session.streamSid) {
+  if (session.streamSid) {
+    sendGreeting(ws, session, 'connected event');
+  } else {
     console.log(`   ⏳ Waiting for stream_sid to send greeting`);
-  } else if (session.greetingInProgress) {
-    console.log(`   ⏳ Greeting already in progress, skipping`);
-  } else if (session.greetingSent) {
-    console.log(`   ✅ Greeting already sent, skipping`);
   }
 }
 
 /**
- * Handle "start" event from Exotel
+ * Handle "start" event (normalized by the session's adapter)
  */
-function handleStartEvent(ws, session, message) {
+function handleStartEvent(ws, session, event) {
   console.log(`🎬 [${session.callId}] Start event received`);
   
   // Store stream_sid
-  if (message.stream_sid || message.streamSid) {
-    session.streamSid = message.stream_sid || message.streamSid;
+  if (event.streamSid) {
+    session.streamSid = event.streamSid;
     console.log(`   ✅ Stream SID: ${session.streamSid}`);
   }
   
   // Extract custom_parameters
-  if (message.start?.custom_parameters || message.custom_parameters) {
-    session.customParameters = message.start?.custom_parameters || message.custom_parameters;
-    console.log(`   📋 Custom Parameters:`, JSON.stringify(session.customParameters, null, 2));
+  if (event.customParameters) {
+    applyCustomParameters(session, event.customParameters);
+  }
+  
+  // The start event's media format takes precedence over the URL query
+  if (event.mediaFormat) {
+    applyMediaFormat(session, event.mediaFormat);
+  }
+  
+  // Capture call details (used to link the transcript and campaign contact)
+  if (event.callSid) {
+    const alreadyKnown = session.callSid === event.callSid; // From the signed stream URL
+    session.callSid = event.callSid;
+    session.from = event.from || session.from;
+    session.to = event.to || session.to;
+    console.log(`   📞 Call SID: ${session.callSid} (from: ${session.from || 'unknown'}, to: ${session.to || 'unknown'})`);
+    // Resolves to the CallAttempt for outbound calls placed by the scheduler (null when inbound)
+    if (!alreadyKnown) {
+      session.attemptReady = callScheduler.recordAnswered(session.callSid);
+    }
   }
   
   // Initialize conversation history (will be populated with persona from MongoDB when first message arrives)
@@ -711,80 +1079,90 @@ function handleStartEvent(ws, session, message) {
   
   session.isActive = true;
   
-  // CRITICAL: Always send greeting when stream_sid is available
-  // Use custom greeting if provided, otherwise use default or env variable
-  let greeting = session.customParameters?.greeting || 
-                 process.env.GREETING_TEXT || 
-                 "Hello! Thank you for calling. How can I help you today?";
-  greeting = cleanGreetingText(greeting); // Clean the greeting text
-  
-  if (session.streamSid && !session.greetingSent && !session.greetingInProgress) {
-    console.log(`   🎙️ Sending greeting: "${greeting}"`);
-    session.greetingInProgress = true;
-    session.greetingSent = true; // Mark as sent to prevent duplicates
-    // Send greeting asynchronously to not block
-    streamTTSAudio(ws, session, greeting)
-      .then(() => {
-        session.greetingInProgress = false;
-      })
-      .catch(error => {
-        console.error(`   ❌ Error sending greeting:`, error.message);
-        session.greetingSent = false; // Allow retry on error
-        session.greetingInProgress = false;
-        // Send fallback silence to keep call alive
-        sendFallbackSilence(ws, session).catch(err => {
-          console.error(`   ❌ Failed to send fallback silence:`, err.message);
-        });
+  // Recording starts once the per-call parameters (record) are known, before the greeting plays
+  const beginRecording = () => {
+    if (!session.finalized) {
+      recordingService.begin(session);
+    }
+  };
+  session.callContextReady.then(beginRecording, beginRecording);
+  
+  // Thinking fillers are synthesized in the call's voice while the greeting plays
+  const prepareFillers = () => {
+    if (!session.finalized) {
+      fillerService.prepare(session).catch(error => {
+        console.warn(`⚠️  [${session.callId}] Could not prepare fillers:`, error.message);
       });
-  } else if (!session.streamSid) {
+    }
+  };
+  session.callContextReady.then(prepareFillers, prepareFillers);
+  
+  // CRITICAL: Always send greeting when stream_sid is available
+  if (session.streamSid) {
+    sendGreeting(ws, session, 'start event');
+  } else {
     console.warn(`   ⚠️  Cannot send greeting - stream_sid not available yet`);
-  } else if (session.greetingInProgress) {
-    console.log(`   ⏳ Greeting already in progress, skipping`);
-  } else if (session.greetingSent) {
-    console.log(`   ✅ Greeting already sent, skipping`);
   }
 }
 
 /**
- * Handle "media" event from Exotel
+ * Switch the session to the stream format announced by the provider (unsupported values are ignored)
+ * @param {Object} session - Session object
+ * @param {Object} requested - { encoding, sampleRate } from the start event
+ */
+function applyMediaFormat(session, requested) {
+  const { rejected, ...mediaFormat } = audioCodecs.resolveFormat(requested, session.mediaFormat);
+  if (rejected.length > 0) {
+    console.warn(`⚠️  [${session.callId}] Unsupported ${rejected.join(', ')} in media format, keeping ${session.mediaFormat.encoding} at ${session.mediaFormat.sampleRate}Hz`);
+  }
+  if (mediaFormat.encoding === session.mediaFormat.encoding && mediaFormat.sampleRate === session.mediaFormat.sampleRate) {
+    return;
+  }
+  console.log(`   🎚️  Media format: ${mediaFormat.encoding} at ${mediaFormat.sampleRate}Hz`);
+  const rateChanged = mediaFormat.sampleRate !== session.sampleRate;
+  session.mediaFormat = mediaFormat;
+  session.sampleRate = mediaFormat.sampleRate;
+  if (rateChanged) {
+    vadService.reset(session);
+  }
+}
+
+/**
+ * Handle "media" event (audio already decoded to 16-bit PCM by the session's adapter)
  */
-function handleMediaEvent(ws, session, message) {
-  if (!message.media || !message.media.payload) {
+function handleMediaEvent(ws, session, event) {
+  if (!event.audio) {
     return;
   }
   
   // Store stream_sid from first media event if not already set
-  if (!session.streamSid && (message.stream_sid || message.streamSid)) {
-    session.streamSid = message.stream_sid || message.streamSid;
+  if (!session.streamSid && event.streamSid) {
+    session.streamSid = event.streamSid;
     console.log(`   ✅ Stream SID captured from media: ${session.streamSid}`);
     
     // CRITICAL: Trigger greeting if not sent yet (fallback if start event didn't have stream_sid)
-    if (!session.greetingSent && !session.greetingInProgress && session.isActive) {
-      let greeting = session.customParameters?.greeting || 
-                     process.env.GREETING_TEXT || 
-                     "Hello! Thank you for calling. How can I help you today?";
-      greeting = cleanGreetingText(greeting); // Clean the greeting text
-      console.log(`   🎙️ Triggering greeting from media event: "${greeting}"`);
-      session.greetingInProgress = true;
-      session.greetingSent = true;
-      streamTTSAudio(ws, session, greeting)
-        .then(() => {
-          session.greetingInProgress = false;
-        })
-        .catch(error => {
-          console.error(`   ❌ Error sending greeting from media event:`, error.message);
-          session.greetingSent = false; // Allow retry
-          session.greetingInProgress = false;
-          // Send fallback silence to keep call alive
-          sendFallbackSilence(ws, session).catch(err => {
-            console.error(`   ❌ Failed to send fallback silence:`, err.message);
-          });
-        });
+    if (session.isActive) {
+      sendGreeting(ws, session, 'media event');
     }
   }
   
+  if (event.track !== 'outbound') {
+    recordingService.captureInbound(session, event.audio);
+  }
+  
+  // Caller audio is no longer processed once the call is being transferred or ended
+  if (session.handoffInProgress || session.hangupInProgress) {
+    return;
+  }
+  
+  // Audio is screened by answering machine detection until it decided (or while leaving a voicemail)
+  if (session.amd && session.amd.phase !== 'done' && event.track !== 'outbound') {
+    handleAnsweringMachineAudio(ws, session, event.audio);
+    return;
+  }
+  
   // Skip outbound track (echo of our audio)
-  if (message.media.track === 'outbound') {
+  if (event.track === 'outbound') {
     // Log first few outbound tracks for debugging
     if (!session.outboundTrackLogged) {
       console.log(`   🔄 [${session.callId}] Outbound track detected (echo of our audio) - skipping`);
@@ -793,9 +1171,9 @@ function handleMediaEvent(ws, session, message) {
     return;
   }
   
-  // Decode base64 audio payload (inbound - customer audio)
+  // Inbound - customer audio
   try {
-    const audioChunk = Buffer.from(message.media.payload, 'base64');
+    const audioChunk = event.audio;
     
     // Log first few inbound tracks for debugging
     if (!session.inboundTrackLogged) {
@@ -803,39 +1181,193 @@ function handleMediaEvent(ws, session, message) {
       session.inboundTrackLogged = true;
     }
     
-    session.audioBuffer.push(audioChunk);
+    // Streaming STT hears the audio as it arrives and dispatches turns at its endpoints
+    startStreamingRecognition(session);
+    if (session.recognizer) {
+      session.recognizer.sendAudio(audioChunk);
+    }
     
-    // Process audio when buffer reaches threshold (~2 seconds of audio)
-    // For 16kHz: 2 seconds = 16000 * 2 * 2 bytes = 64000 bytes
-    // For 8kHz: 2 seconds = 8000 * 2 * 2 bytes = 32000 bytes
-    const threshold = session.sampleRate * 2 * 2; // 2 seconds * 2 bytes per sample
-    if (session.audioBuffer.length > 0 && !session.processingAudio) {
-      const totalBytes = session.audioBuffer.reduce((sum, buf) => sum + buf.length, 0);
-      if (totalBytes >= threshold) {
-        session.processingAudio = true;
-        processUserAudio(session).finally(() => {
-          session.processingAudio = false;
-        });
+    // Batch STT: a turn is dispatched when the caller stops speaking (or hits the utterance cap)
+    for (const vadEvent of vadService.process(session, audioChunk)) {
+      if (vadEvent.type === 'utterance' && !session.recognizer) {
+        console.log(`🗣️  [${session.callId}] Utterance ended (${vadEvent.reason}, ${vadEvent.durationMs}ms)`);
+        session.audioBuffer.push(vadEvent.audio);
+        dispatchUserTurn(session);
       }
     }
+    
+    // Caller talking over the bot: stop it and listen
+    if (bargeInService.shouldBargeIn(session)) {
+      handleBargeIn(ws, session);
+    }
+    
+    // No utterance to answer: the caller may have gone silent
+    if (!session.processingAudio && !vadService.isSpeaking(session) && hangupService.hasSilenceTimedOut(session)) {
+      session.processingAudio = true;
+      handleCallerSilence(session).finally(() => {
+        session.processingAudio = false;
+        dispatchUserTurn(session);
+      });
+    }
   } catch (error) {
     console.error(`❌ [${session.callId}] Error decoding audio:`, error.message);
   }
 }
 
 /**
- * Handle "stop" event from Exotel
+ * Start a bot turn the caller can interrupt: audio streamed from now on, and the reply
+ * generated for it, stop when the caller barges in
+ * @param {Object} session - Session object
+ * @returns {AbortController} Aborted on barge-in
+ */
+function beginPlayback(session) {
+  const controller = new AbortController();
+  session.playbackController = controller;
+  return controller;
+}
+
+/**
+ * Caller barged in: stop the bot's audio (ours and the provider's buffer), abort the reply
+ * being generated and let the caller's utterance be answered once it ends
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} session - Session object
+ */
+function handleBargeIn(ws, session) {
+  const { position } = playbackService.cancelAll(session);
+  console.log(`✋ [${session.callId}] Caller barged in at ${position.playedMs}ms of bot audio${position.segment ? ` ("${position.segment.substring(0, 50)}")` : ''}, stopping playback`);
+  bargeInService.recordBargeIn(session, position);
+  session.playbackController.abort();
+  session.playbackController = null;
+  if (ws.readyState === 1) {
+    ws.send(session.adapter.buildClearMessage(session));
+  }
+  hangupService.noteCallerActivity(session);
+}
+
+/**
+ * Answer the buffered utterances (or streamed transcripts), then keypad input, unless a turn is
+ * already being answered; turns that end meanwhile are answered once it is done
+ * @param {Object} session - Session object
+ */
+function dispatchUserTurn(session) {
+  if (session.processingAudio) {
+    return;
+  }
+  let turn;
+  if (session.pendingTranscripts.length > 0) {
+    turn = processUserTranscript(session);
+  } else if (session.audioBuffer.length > 0) {
+    turn = processUserAudio(session);
+  } else if (session.pendingKeypadInputs.length > 0) {
+    turn = processKeypadInput(session);
+  } else {
+    return;
+  }
+  session.processingAudio = true;
+  turn.finally(() => {
+    session.processingAudio = false;
+    dispatchUserTurn(session);
+  });
+}
+
+/**
+ * Open the streaming recognizer of a call on its first caller audio (STT_STREAMING=true)
+ * Without it (disabled, not configured or failed) turns go through VAD and batch STT
+ * @param {Object} session - Session object
+ */
+function startStreamingRecognition(session) {
+  if (session.recognizerStarted || !streamingSttService.isEnabled()) {
+    return;
+  }
+  session.recognizerStarted = true;
+  
+  let recognizer;
+  try {
+    recognizer = streamingSttService.createRecognizer({ sampleRate: session.sampleRate });
+  } catch (error) {
+    console.error(`❌ [${session.callId}] Streaming STT unavailable, using batch STT:`, error.message);
+    return;
+  }
+  session.recognizer = recognizer;
+  console.log(`🎙️  [${session.callId}] Streaming STT started (${streamingSttService.provider})`);
+  
+  recognizer.on('interim', ({ text }) => {
+    session.interimTranscript = text;
+  });
+  recognizer.on('final', ({ text, speechFinal }) => {
+    session.interimTranscript = '';
+    if (text) {
+      session.sttSegments.push(text);
+    }
+    if (speechFinal) {
+      queueStreamedTurn(session);
+    }
+  });
+  // Endpointing can miss the end of a turn in background noise
+  recognizer.on('utterance-end', () => queueStreamedTurn(session));
+  recognizer.on('error', (error) => {
+    console.error(`❌ [${session.callId}] Streaming STT error:`, error.message);
+  });
+  recognizer.on('close', () => {
+    if (session.recognizer === recognizer) {
+      session.recognizer = null;
+      if (session.isActive) {
+        console.warn(`⚠️  [${session.callId}] Streaming STT closed, falling back to batch STT`);
+      }
+    }
+  });
+}
+
+/**
+ * Queue the final transcript segments heard since the last endpoint as one caller turn
+ * @param {Object} session - Session object
+ */
+function queueStreamedTurn(session) {
+  const text = session.sttSegments.join(' ').trim();
+  session.sttSegments = [];
+  if (!text) {
+    return;
+  }
+  session.pendingTranscripts.push(text);
+  dispatchUserTurn(session);
+}
+
+/**
+ * Answer the turns transcribed by streaming STT: LLM → TTS
+ * @param {Object} session - Session object
+ */
+async function processUserTranscript(session) {
+  const text = session.pendingTranscripts.splice(0).join(' ');
+  if (session.handoffInProgress || session.hangupInProgress) {
+    return;
+  }
+  
+  try {
+    console.log(`📝 [${session.callId}] STT (streaming): "${text}"`);
+    hangupService.noteCallerActivity(session);
+    await respondToUser(session, text);
+  } catch (error) {
+    console.error(`❌ [${session.callId}] Error processing transcript:`, error.message);
+  }
+}
+
+/**
+ * Handle "stop" event (normalized by the session's adapter)
  */
-function handleStopEvent(ws, session, message) {
+function handleStopEvent(ws, session, event) {
   console.log(`🛑 [${session.callId}] Stop event received`);
   
-  if (message.stop) {
-    console.log(`   Reason: ${message.stop.reason || 'unknown'}`);
+  if (event.reason) {
+    console.log(`   Reason: ${event.reason}`);
   }
   
   session.isActive = false;
   
-  // Process any remaining audio
+  // Process any remaining audio, including an utterance cut off by the stop
+  const lastUtterance = vadService.flush(session);
+  if (lastUtterance && !session.recognizer) {
+    session.audioBuffer.push(lastUtterance.audio);
+  }
   if (session.audioBuffer.length > 0 && !session.processingAudio) {
     session.processingAudio = true;
     processUserAudio(session).finally(() => {
@@ -843,6 +1375,8 @@ function handleStopEvent(ws, session, message) {
     });
   }
   
+  finalizeSession(session);
+  
   // Cleanup
   sessions.delete(session.callId);
   
@@ -853,17 +1387,418 @@ function handleStopEvent(ws, session, message) {
 }
 
 /**
- * Handle "mark" event from Exotel
+ * Save the transcript and record the call outcome on its attempt (once per session)
+ */
+function finalizeSession(session) {
+  if (session.finalized) {
+    return;
+  }
+  session.finalized = true;
+  session.isActive = false;
+  dtmfService.reset(session);
+  playbackService.cancelAll(session);
+  if (session.recognizer) {
+    session.recognizer.close();
+    session.recognizer = null;
+  }
+  
+  // Calls answered by a machine end as voicemail (message left) or machine
+  let outcome = 'completed';
+  if (session.amd?.result === 'machine') {
+    outcome = session.amd.voicemailLeft ? 'voicemail' : 'machine';
+  }
+  
+  monitoringService.saveTranscript(session)
+    .then(transcript => Promise.all([
+      callScheduler.recordOutcome(session.callSid, outcome, {
+        transcriptId: transcript?._id
+      }),
+      recordingService.save(session, transcript)
+    ]))
+    .catch(error => {
+      console.error(`❌ [${session.callId}] Error finalizing session:`, error.message);
+    });
+}
+
+/**
+ * Handle "mark" event (normalized by the session's adapter)
+ * The provider echoes a mark once the audio sent before it has been played
+ */
+function handleMarkEvent(ws, session, event) {
+  const name = event.markName || 'unknown';
+  console.log(`📍 [${session.callId}] Mark event: ${name}`);
+  
+  // Sentence marks move the playback position
+  if (playbackService.acknowledge(session, name)) {
+    return;
+  }
+  
+  const resolve = session.markWaiters.get(name);
+  if (resolve) {
+    session.markWaiters.delete(name);
+    resolve(true);
+  }
+}
+
+/**
+ * Wait until the provider acknowledges a mark (audio before it was played) or the timeout passes
+ * @returns {Promise<boolean>} True if the mark was acknowledged
+ */
+function waitForMark(session, name, timeoutMs) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      session.markWaiters.delete(name);
+      resolve(false);
+    }, timeoutMs);
+    session.markWaiters.set(name, (acknowledged) => {
+      clearTimeout(timer);
+      resolve(acknowledged);
+    });
+  });
+}
+
+/**
+ * Transfer the call to a human agent: record the handoff with the transcript so far,
+ * play the hold message, close the voicebot stream and bridge the agent
+ */
+async function transferToAgent(ws, session) {
+  if (session.handoffInProgress) {
+    return;
+  }
+  session.handoffInProgress = true;
+  session.audioBuffer = [];
+  
+  const request = session.handoffRequest;
+  console.log(`🙋 [${session.callId}] Transferring to agent (${request.reason})`);
+  
+  const handoff = await handoffService.createHandoff(session, request);
+  
+  try {
+    const holdMessage = handoffService.getHoldMessage(session);
+    const holdPlayed = waitForMark(session, 'handoff_hold_done', parseInt(process.env.AGENT_HOLD_TIMEOUT_MS) || 10000);
+    await streamTTSAudio(ws, session, holdMessage, true, 'handoff_hold_done', 'system');
+    await holdPlayed;
+  } catch (error) {
+    console.error(`❌ [${session.callId}] Error playing hold message:`, error.message);
+  }
+  
+  // Closing the stream hands the call back to the Exotel flow (Connect applet → agent)
+  if (ws.readyState === 1) {
+    ws.close();
+  }
+  
+  if (handoff) {
+    await handoffService.bridge(handoff);
+  }
+}
+
+/**
+ * Feed inbound audio to answering machine detection and act on its decisions
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} session - Session object
+ * @param {Buffer} audioChunk - Inbound 16-bit PCM
  */
-function handleMarkEvent(ws, session, message) {
-  console.log(`📍 [${session.callId}] Mark event: ${message.mark?.name || 'unknown'}`);
+function handleAnsweringMachineAudio(ws, session, audioChunk) {
+  const decision = amdService.analyze(session, audioChunk);
+  if (!decision) {
+    return;
+  }
+  
+  const amd = session.amd;
+  switch (decision.type) {
+    case 'human':
+      console.log(`🙂 [${session.callId}] Answered by a human (${amd.evidence.join(', ')}, ${amd.detectionMs}ms)`);
+      startConversationAfterDetection(ws, session);
+      break;
+      
+    case 'unknown':
+      // No clear signal: a voicemail/carrier phrase in the transcript still means a machine
+      amd.phase = 'checking';
+      amdService.checkTranscript(session).then(() => {
+        if (amd.result === 'machine') {
+          handleAnsweringMachine(ws, session);
+        } else {
+          console.log(`🤷 [${session.callId}] Answering machine detection inconclusive (${amd.evidence.join(', ')}), greeting`);
+          startConversationAfterDetection(ws, session);
+        }
+      });
+      break;
+      
+    case 'machine':
+      handleAnsweringMachine(ws, session);
+      break;
+      
+    case 'beep':
+    case 'greeting-ended':
+    case 'beep-timeout':
+      leaveVoicemail(ws, session, decision.type);
+      break;
+  }
+}
+
+/**
+ * Greet the caller once detection found a human (or could not decide)
+ */
+function startConversationAfterDetection(ws, session) {
+  session.amd.phase = 'done';
+  session.amd.audio = [];
+  session.audioBuffer = []; // The caller's "hello" was heard before the bot greeted
+  vadService.reset(session);
+  session.greetingSent = false;
+  sendGreeting(ws, session, 'answering machine detection');
+}
+
+/**
+ * A machine answered: hang up, or wait for the beep to leave the voicemail message
+ */
+function handleAnsweringMachine(ws, session) {
+  const amd = session.amd;
+  amd.result = 'machine';
+  const message = amdService.getVoicemailMessage(session);
+  console.log(`📠 [${session.callId}] Answered by a machine (${amd.evidence.join(', ')}, ${amd.detectionMs}ms) → ${amd.action}`);
+  monitoringService.addLog(session.callId, 'info', 'Answering machine detected', {
+    evidence: amd.evidence,
+    detectionMs: amd.detectionMs,
+    action: amd.action
+  });
+  
+  // Transcript of the greeting is recorded before the call ends
+  const transcriptChecked = amd.greetingTranscript === null && amd.audio.length > 0
+    ? amdService.checkTranscript(session)
+    : Promise.resolve();
+  
+  if (amd.action !== 'voicemail' || !message) {
+    if (amd.action === 'voicemail') {
+      console.warn(`⚠️  [${session.callId}] No voicemail_message configured, hanging up`);
+    }
+    amd.phase = 'done';
+    Promise.race([transcriptChecked, new Promise(resolve => setTimeout(resolve, 3000))])
+      .then(() => hangUpMachine(ws, session));
+    return;
+  }
+  
+  if (amd.beepDetected) {
+    leaveVoicemail(ws, session, 'beep');
+  } else {
+    amdService.awaitBeep(session);
+  }
+}
+
+/**
+ * Speak the voicemail message after the beep, then hang up
+ * @param {string} trigger - beep, greeting-ended or beep-timeout
+ */
+async function leaveVoicemail(ws, session, trigger) {
+  const amd = session.amd;
+  amd.phase = 'leaving-message';
+  const message = amdService.getVoicemailMessage(session);
+  console.log(`📼 [${session.callId}] Leaving voicemail (${trigger})`);
+  
+  try {
+    const played = waitForMark(session, 'voicemail_done', parseInt(process.env.AMD_VOICEMAIL_TIMEOUT_MS) || 30000);
+    await streamTTSAudio(ws, session, message, true, 'voicemail_done', 'system');
+    amd.voicemailLeft = await played;
+    session.conversationHistory.push({ role: 'assistant', content: message });
+  } catch (error) {
+    console.error(`❌ [${session.callId}] Error leaving voicemail:`, error.message);
+  }
+  
+  amd.phase = 'done';
+  hangUpMachine(ws, session);
+}
+
+/**
+ * End a call answered by a machine by closing the stream
+ */
+function hangUpMachine(ws, session) {
+  const voicemailLeft = Boolean(session.amd.voicemailLeft);
+  console.log(`📴 [${session.callId}] Hanging up on answering machine${voicemailLeft ? ' (voicemail left)' : ''}`);
+  hangupService.recordHangup(session, { reason: 'answering-machine' }, {
+    closingText: voicemailLeft ? amdService.getVoicemailMessage(session) : null,
+    closingPlayed: voicemailLeft
+  });
+  if (ws.readyState === 1) {
+    ws.close();
+  }
+}
+
+/**
+ * End the call from the bot's side: play the closing line (or wait for the reply already
+ * streamed), wait for the provider's mark acknowledgement, record the reason and close the stream
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} session - Session object
+ * @param {string|null} closingText - Closing line to speak (null when the reply was the closing line)
+ */
+async function endCall(ws, session, closingText) {
+  if (session.hangupInProgress) {
+    return;
+  }
+  session.hangupInProgress = true;
+  session.audioBuffer = [];
+  
+  const request = session.hangupRequest;
+  console.log(`👋 [${session.callId}] Ending call (${request.reason})`);
+  
+  // The mark is echoed once everything before it (reply or closing line) has been played
+  let closingPlayed = false;
+  try {
+    const played = waitForMark(session, 'hangup_closing_done', parseInt(process.env.HANGUP_CLOSING_TIMEOUT_MS) || 15000);
+    if (closingText) {
+      session.conversationHistory.push({ role: 'assistant', content: closingText });
+      await streamTTSAudio(ws, session, closingText, true, 'hangup_closing_done', 'system');
+    } else {
+      // Behind any reply audio still queued
+      await playbackService.queueMark(session, 'hangup_closing_done');
+    }
+    closingPlayed = await played;
+  } catch (error) {
+    console.error(`❌ [${session.callId}] Error playing closing line:`, error.message);
+  }
+  
+  hangupService.recordHangup(session, request, {
+    closingText: closingText || session.conversationHistory.filter(msg => msg.role === 'assistant').pop()?.content || null,
+    closingPlayed
+  });
+  
+  // With no applet after the Voicebot applet, Exotel ends the call when the stream closes
+  console.log(`📴 [${session.callId}] Hanging up${closingPlayed ? '' : ' (closing line not acknowledged)'}`);
+  if (ws.readyState === 1) {
+    ws.close();
+  }
+}
+
+/**
+ * Handle a caller turn that asks for (or confirms) a callback
+ * Once the callback is scheduled the bot says goodbye and ends the call
+ * @param {Object} session - Session object
+ * @param {string} userText - Caller input as text
+ * @returns {Promise<boolean>} True if the turn was answered here
+ */
+async function handleCallbackRequest(session, userText) {
+  const turn = await callbackService.handleTurn(session, userText);
+  if (!turn) {
+    return false;
+  }
+  
+  console.log(`📅 [${session.callId}] Callback ${turn.action}: "${turn.reply}"`);
+  await aiService.ensureSystemMessage(session);
+  
+  if (turn.action === 'scheduled' && hangupService.isEnabled(session)) {
+    aiService.recordTurn(session, userText, null);
+    session.hangupRequest = { reason: 'callback-scheduled', triggerText: userText };
+    await endCall(session.ws, session, turn.reply);
+    return true;
+  }
+  
+  aiService.recordTurn(session, userText, turn.reply);
+  await streamTTSAudio(session.ws, session, turn.reply);
+  return true;
+}
+
+/**
+ * Ask a silent caller whether they can hear the bot, and end the call when they stay silent
+ * @param {Object} session - Session object
+ */
+async function handleCallerSilence(session) {
+  const action = hangupService.checkSilence(session);
+  if (action === 'prompt') {
+    console.log(`🔇 [${session.callId}] Caller silent, checking whether they can hear us`);
+    beginPlayback(session);
+    await streamTTSAudio(session.ws, session, hangupService.getSilencePrompt(session), true, 'assistant_reply_done', 'system');
+  } else if (action === 'hangup') {
+    session.hangupRequest = { reason: 'no-response', triggerText: null };
+    await endCall(session.ws, session, hangupService.getNoResponseMessage());
+  }
+}
+
+/**
+ * Handle "dtmf" event (keypad press)
+ * Digits are buffered by dtmfService and handled as one input once complete
+ */
+function handleDtmfEvent(ws, session, event) {
+  if (session.handoffInProgress || session.hangupInProgress) {
+    return;
+  }
+  console.log(`🔢 [${session.callId}] DTMF digit: ${event.digit}`);
+  
+  // Menu must be known before the digits are matched against its options
+  dtmfService.resolveMenu(session)
+    .then(() => dtmfService.handleDigit(session, event.digit, (input) => {
+      handleKeypadInput(session, input);
+    }))
+    .catch(error => {
+      console.error(`❌ [${session.callId}] Error resolving keypad menu:`, error.message);
+    });
+}
+
+/**
+ * Queue completed keypad input as a caller turn: it is answered in order with spoken turns
+ * (see dispatchUserTurn)
+ * @param {Object} session - Session object
+ * @param {{digits: string, option: Object|null}} input - Completed keypad input
+ */
+function handleKeypadInput(session, input) {
+  const action = input.option?.action || 'input';
+  console.log(`🔢 [${session.callId}] Keypad input: ${dtmfService.formatInput(input)} → ${action}`);
+  monitoringService.addLog(session.callId, 'info', `Keypad input ${input.digits}`, {
+    digits: input.digits,
+    option: input.option?.label || null,
+    action
+  });
+  
+  hangupService.noteCallerActivity(session);
+  session.pendingKeypadInputs.push(input);
+  dispatchUserTurn(session);
+}
+
+/**
+ * Act on queued keypad input: run the selected menu option or pass the digits to the LLM
+ * @param {Object} session - Session object
+ * @returns {Promise<void>}
+ */
+async function processKeypadInput(session) {
+  const input = session.pendingKeypadInputs.shift();
+  const ws = session.ws;
+  const text = dtmfService.formatInput(input);
+  const action = input.option?.action || 'input';
+  
+  if (!session.isActive || session.handoffInProgress || session.hangupInProgress) {
+    session.pendingKeypadInputs = [];
+    return;
+  }
+  
+  try {
+    if (action === 'transfer' && handoffService.isEnabled(session)) {
+      aiService.recordTurn(session, text, null);
+      session.handoffRequest = { reason: 'keypad', triggerText: text };
+      await transferToAgent(ws, session);
+      return;
+    }
+    
+    if (action === 'say') {
+      await aiService.ensureSystemMessage(session);
+      aiService.recordTurn(session, text, input.option.text);
+      beginPlayback(session);
+      await streamTTSAudio(ws, session, input.option.text, true, 'assistant_reply_done', 'system');
+      return;
+    }
+    
+    await respondToUser(session, text);
+  } catch (error) {
+    console.error(`❌ [${session.callId}] Error handling keypad input:`, error.message);
+  }
 }
 
 /**
  * Handle "clear" event (barge-in)
  */
-function handleClearEvent(ws, session, message) {
+function handleClearEvent(ws, session, event) {
   console.log(`🛑 [${session.callId}] Clear event (barge-in)`);
-  session.pendingClear = true;
+  // Queued bot audio is dropped; with none playing the clear applies to the caller's audio being answered
+  const { stopped } = playbackService.cancelAll(session);
+  session.pendingClear = !stopped;
   session.audioBuffer = []; // Clear audio buffer
+  session.sttSegments = [];
+  session.pendingTranscripts = [];
+  vadService.reset(session);
 }
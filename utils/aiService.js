@@ -6,9 +6,32 @@
 import dotenv from 'dotenv';
 import { loadPersonaFromMongo } from './personaService.js';
 import { getRelevantChunks } from './knowledgebaseMongo.js';
+import { dtmfService } from './dtmfService.js';
+import { hangupService, HANGUP_MARKER } from './hangupService.js';
 
 dotenv.config();
 
+// Reply prefix the model uses to request a transfer to a human agent
+const HANDOFF_MARKER = '[TRANSFER]';
+// Someone the caller can ask to be put through to
+const AGENT_PERSON = String.raw`(?:a |an |the |your |a real |a live )?(?:human(?: being)?|real person|live (?:agent|person)|person|agent|representative|executive|customer (?:care|service|support)(?: executive)?|supervisor|manager|operator)(?!'s)`;
+// Caller explicitly asks for a person (English / Hinglish / Hindi); a word like "manager" alone
+// ("my manager told me to call") is left to the model's [TRANSFER] decision
+const AGENT_REQUEST_PATTERNS = [
+  new RegExp(String.raw`(?<!(?:don'?t|do not|not|never|no need to) (?:want to |need to )?)\b(?:talk|speak|chat) (?:to|with) ${AGENT_PERSON}\b`, 'i'),
+  new RegExp(String.raw`\b(?:connect|transfer|put) (?:me|my call|the call|this call)(?: through| over)? (?:to|with) ${AGENT_PERSON}\b`, 'i'),
+  // "need an agent" can be a question ("do I need an agent to file the claim?"): only get/give me
+  new RegExp(String.raw`\b(?:get|give) me (?:a |an |the |your )(?:real |live )?(?:human|person|agent|representative|executive|supervisor|manager|operator)\b(?!'s)`, 'i'),
+  /\b(?:insaan|insan|aadmi|agent|manager|senior|executive|supervisor|customer care)\s+se\s+(?:baat\s+)?(?:karni|karna|karao|karwao|karwa|kara|karaiye|karwaiye|chahiye|connect|jod|milao|mila)/i,
+  /\b(?:kisi|asli)\s+(?:aadmi|insaan|insan|bande|person)\s+se\s+(?:baat|connect|jod|mila)/i,
+  /^(?!.*(?:\?|\bkya\b)).*\bmujhe\s+(?:kisi\s+)?(?:insaan|insan|agent|manager|supervisor)\s+chahiye/i,
+  /\bcall\s+(?:transfer|connect)\s+(?:karo|kar do|kardo|kijiye|karwa do|karwao|karein)/i,
+  /(?:इंसान|एजेंट|मैनेजर|आदमी)\s+से\s+(?:बात\s+)?(?:करनी|करना|कराओ|करवाओ|करवा|कराइए|करवाइए|चाहिए)/
+];
+// Signs of frustration; a handoff is triggered after FRUSTRATION_THRESHOLD such turns
+const FRUSTRATION_PATTERN = /bakwas|bekaar|bekar|pagal|useless|stupid|frustrat|fed up|irritat|pareshan mat|dimag mat|shut up|ridiculous|nonsense|बकवास|बेकार/i;
+const FRUSTRATION_THRESHOLD = 2;
+
 class AIService {
   constructor() {
     // Gemini is now the primary (and only) provider
@@ -32,11 +55,11 @@ class AIService {
    * Format: You are {{persona_name}}, {{persona_age}} saal ki {{tone}} {{gender}} from {{city}}.
    * 
    * @param {Object} customParams - Custom parameters from start event
-   * @returns {string} - Generated system prompt
+   * @returns {string|null} - Generated system prompt, or null when no persona is given (load from MongoDB)
    */
   generateSystemPrompt(customParams) {
-    if (!customParams || Object.keys(customParams).length === 0) {
-      // Fallback to MongoDB persona if no custom params
+    if (!customParams || !customParams.persona_name) {
+      // Fallback to MongoDB persona if no persona in custom params
       return null; // Will load from MongoDB
     }
 
@@ -45,31 +68,53 @@ class AIService {
       persona_age,
       tone,
       gender,
-      city,
-      language,
-      documents,
-      customer_name
+      city
     } = customParams;
 
     // Build dynamic system prompt
     let systemPrompt = '';
 
     // Persona introduction
-    if (persona_name) {
-      systemPrompt += `You are ${persona_name}`;
-      if (persona_age) {
-        systemPrompt += `, ${persona_age} years old`;
-      }
-      if (tone) {
-        systemPrompt += `, a ${tone}`;
-      }
-      if (gender) {
-        systemPrompt += ` ${gender}`;
-      }
-      if (city) {
-        systemPrompt += ` from ${city}`;
-      }
-      systemPrompt += '.\n\n';
+    systemPrompt += `You are ${persona_name}`;
+    if (persona_age) {
+      systemPrompt += `, ${persona_age} years old`;
+    }
+    if (tone) {
+      systemPrompt += `, a ${tone}`;
+    }
+    if (gender) {
+      systemPrompt += ` ${gender}`;
+    }
+    if (city) {
+      systemPrompt += ` from ${city}`;
+    }
+    systemPrompt += '.\n\n';
+
+    systemPrompt += this.generateCallContextPrompt(customParams);
+
+    return systemPrompt.trim();
+  }
+
+  /**
+   * Generate the per-call part of the system prompt (language, documents, customer)
+   * Appended to both generated and MongoDB personas
+   * 
+   * @param {Object} customParams - Custom parameters from start event / POST /call params
+   * @returns {string} - Prompt text (may be empty)
+   */
+  generateCallContextPrompt(customParams) {
+    if (!customParams) {
+      return '';
+    }
+
+    const { language, documents, customer_name, callback_context, call_direction } = customParams;
+    let prompt = '';
+
+    // Who called whom (known when the stream URL came from the connect webhook)
+    if (call_direction === 'inbound') {
+      prompt += 'Yeh incoming call hai - customer ne aapko call kiya hai.\n\n';
+    } else if (call_direction) {
+      prompt += 'Yeh outgoing call hai - aapne customer ko call kiya hai.\n\n';
     }
 
     // Language instruction
@@ -77,25 +122,157 @@ class AIService {
       const langInstruction = language.toLowerCase().includes('hindi') || language.toLowerCase().includes('hi')
         ? 'Baat karo Hinglish mein (mix of Hindi and English).'
         : `Speak in ${language}.`;
-      systemPrompt += `${langInstruction}\n\n`;
+      prompt += `${langInstruction}\n\n`;
     }
 
     // Documents/knowledgebase
     if (documents) {
-      systemPrompt += `Sirf in documents se jawab do:\n${documents}\n\n`;
+      prompt += `Sirf in documents se jawab do:\n${documents}\n\n`;
     }
 
     // Customer name
     if (customer_name) {
-      systemPrompt += `Customer ka naam: ${customer_name}\n\n`;
+      prompt += `Customer ka naam: ${customer_name}\n\n`;
     }
 
-    // Default behavior if no custom params
-    if (!systemPrompt.trim()) {
-      systemPrompt = 'You are a helpful assistant.';
+    // Callback the customer asked for in an earlier call
+    if (callback_context) {
+      prompt += `Yeh callback hai jo customer ne pichli call mein maanga tha. Wahin se baat aage badhao. Pichli baat-cheet:\n${callback_context}\n\n`;
     }
 
-    return systemPrompt.trim();
+    return prompt;
+  }
+
+  /**
+   * Generate the handoff instruction (only when the call can be transferred)
+   * 
+   * @returns {string} - Prompt text
+   */
+  generateHandoffPrompt() {
+    return `Agar caller kisi insaan/agent se baat karna chahe ya bahut naraz ho, to apna jawab ${HANDOFF_MARKER} se shuru karo ` +
+      `aur ek chhoti line bolo ki aap unhe team member se connect kar rahe ho.`;
+  }
+
+  /**
+   * Detect whether the caller asked for a human or is repeatedly frustrated
+   * Only active when session.handoffEnabled is set (agent numbers configured)
+   * 
+   * @param {Object} session - VoiceSession object
+   * @param {string} userText - User's transcribed text
+   * @returns {Object|null} - { reason, triggerText } or null
+   */
+  detectEscalation(session, userText) {
+    if (!session?.handoffEnabled || !userText) {
+      return null;
+    }
+
+    if (AGENT_REQUEST_PATTERNS.some(pattern => pattern.test(userText))) {
+      return { reason: 'caller-request', triggerText: userText };
+    }
+
+    if (FRUSTRATION_PATTERN.test(userText)) {
+      session.frustrationCount = (session.frustrationCount || 0) + 1;
+      if (session.frustrationCount >= FRUSTRATION_THRESHOLD) {
+        return { reason: 'frustration', triggerText: userText };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Reply markers the model may use in this call (handoff / hangup, when enabled)
+   * 
+   * @param {Object} session - VoiceSession object
+   * @returns {string[]} - Markers
+   */
+  getReplyMarkers(session) {
+    const markers = [];
+    if (session?.handoffEnabled) {
+      markers.push(HANDOFF_MARKER);
+    }
+    if (session?.hangupEnabled) {
+      markers.push(HANGUP_MARKER);
+    }
+    return markers;
+  }
+
+  /**
+   * Act on a reply marker: request a handoff or the end of the call
+   * 
+   * @param {Object} session - VoiceSession object
+   * @param {string} marker - Marker the reply started with
+   * @param {string} userText - User's transcribed text
+   */
+  applyReplyMarker(session, marker, userText) {
+    if (marker === HANDOFF_MARKER) {
+      session.handoffRequest = { reason: 'model', triggerText: userText };
+      console.log(`🙋 [${session?.callId || 'AI'}] Model requested handoff to a human agent`);
+    } else if (marker === HANGUP_MARKER) {
+      session.hangupRequest = { reason: 'conversation-complete', triggerText: userText };
+      console.log(`👋 [${session?.callId || 'AI'}] Model ended the conversation`);
+    }
+  }
+
+  /**
+   * Wrap a streaming token callback so a leading reply marker is never spoken
+   * Sets session.handoffRequest / session.hangupRequest when the model starts its reply with a marker
+   * 
+   * @param {Object} session - VoiceSession object
+   * @param {string} userText - User's transcribed text
+   * @param {Function} onToken - Original callback function(token, isComplete)
+   * @returns {Function} - Filtered callback
+   */
+  createReplyMarkerFilter(session, userText, onToken) {
+    const markers = this.getReplyMarkers(session);
+    let held = '';
+    let decided = false;
+
+    return (token, isComplete) => {
+      if (decided) {
+        return onToken(token, isComplete);
+      }
+
+      held += token;
+      const lead = held.trimStart();
+      // Hold tokens while the reply could still turn out to be a marker
+      if (!isComplete && markers.some(marker => lead.length < marker.length && marker.startsWith(lead))) {
+        return;
+      }
+
+      decided = true;
+      const marker = markers.find(candidate => lead.startsWith(candidate));
+      if (marker) {
+        this.applyReplyMarker(session, marker, userText);
+        held = lead.slice(marker.length).trimStart();
+      }
+      if (held) {
+        onToken(held, false);
+      }
+      if (isComplete) {
+        onToken('', true);
+      }
+    };
+  }
+
+  /**
+   * Add a user turn and the assistant reply to the conversation history
+   * 
+   * @param {Object} session - VoiceSession object
+   * @param {string} userText - User's transcribed text
+   * @param {string|null} replyText - Assistant reply (omitted when empty)
+   */
+  recordTurn(session, userText, replyText) {
+    session.conversationHistory.push({
+      role: 'user',
+      content: userText.trim()
+    });
+    if (replyText) {
+      session.conversationHistory.push({
+        role: 'assistant',
+        content: replyText
+      });
+    }
   }
 
   /**
@@ -110,15 +287,35 @@ class AIService {
     // Try to generate from custom_parameters first
     if (session.customParameters && Object.keys(session.customParameters).length > 0) {
       personaContent = this.generateSystemPrompt(session.customParameters);
-      console.log(`📋 [${session?.callId || 'AI'}] Generated system prompt from custom_parameters`);
+      if (personaContent) {
+        console.log(`📋 [${session?.callId || 'AI'}] Generated system prompt from custom_parameters`);
+      }
     }
 
-    // Fallback to MongoDB if no custom params or generation failed
+    // Fallback to MongoDB if no persona in custom params, keeping per-call context (customer, language)
     if (!personaContent) {
       personaContent = await loadPersonaFromMongo();
+      const callContext = this.generateCallContextPrompt(session.customParameters).trim();
+      if (callContext) {
+        personaContent = `${personaContent}\n\n${callContext}`;
+      }
       console.log(`📋 [${session?.callId || 'AI'}] Using persona from MongoDB`);
     }
 
+    if (session.handoffEnabled) {
+      personaContent = `${personaContent}\n\n${this.generateHandoffPrompt()}`;
+    }
+
+    if (session.hangupEnabled) {
+      personaContent = `${personaContent}\n\n${hangupService.generateHangupPrompt()}`;
+    }
+
+    // Keypad menu of the call parameters / persona, run alongside speech
+    const keypadMenu = await dtmfService.resolveMenu(session);
+    if (keypadMenu) {
+      personaContent = `${personaContent}\n\n${dtmfService.generateKeypadPrompt(keypadMenu)}`;
+    }
+
     if (!session.conversationHistory || session.conversationHistory.length === 0) {
       session.conversationHistory = [
         {
@@ -169,11 +366,25 @@ class AIService {
    * @param {Object} session - VoiceSession object with conversationHistory
    * @param {string} userText - User's transcribed text
    * @param {Function} onToken - Callback function(token: string, isComplete: boolean) called for each token
+   * @param {Object} options - { signal: AbortSignal that stops the reply when the caller interrupts }
    * @returns {Promise<string|null>} - Complete agent reply text or null on failure
    */
-  async generateAgentReplyStreaming(session, userText, onToken) {
+  async generateAgentReplyStreaming(session, userText, onToken, options = {}) {
+    // Caller asked for a human: hand off without asking the model
+    const escalation = this.detectEscalation(session, userText);
+    if (escalation) {
+      console.log(`🙋 [${session?.callId || 'AI'}] Handoff requested (${escalation.reason}): "${userText}"`);
+      session.handoffRequest = escalation;
+      this.recordTurn(session, userText, null);
+      return null;
+    }
+
+    const tokenCallback = this.getReplyMarkers(session).length > 0 && onToken
+      ? this.createReplyMarkerFilter(session, userText, onToken)
+      : onToken;
+
     // Directly use Gemini - no OpenAI fallback
-    return await this.generateWithGeminiStreaming(session, userText, onToken);
+    return await this.generateWithGeminiStreaming(session, userText, tokenCallback, options.signal);
   }
 
   /**
@@ -185,6 +396,14 @@ class AIService {
    * @returns {Promise<string|null>} - Agent reply text or null on failure
    */
   async generateAgentReply(session, userText) {
+    const escalation = this.detectEscalation(session, userText);
+    if (escalation) {
+      console.log(`🙋 [${session?.callId || 'AI'}] Handoff requested (${escalation.reason}): "${userText}"`);
+      session.handoffRequest = escalation;
+      this.recordTurn(session, userText, null);
+      return null;
+    }
+
     // Use Gemini directly - no OpenAI
     return await this.generateWithGemini(session, userText);
   }
@@ -276,13 +495,14 @@ class AIService {
         console.log(`✅ [${session?.callId || 'AI'}] Gemini response received: ${replyText.length} characters (API latency: ${apiLatency}ms)`);
         
         // Post-process reply
+        const marker = this.getReplyMarkers(session).find(candidate => replyText.startsWith(candidate));
+        if (marker) {
+          this.applyReplyMarker(session, marker, userText);
+        }
         const processedReply = this.postProcessReply(replyText);
 
-        // Add assistant reply to conversation history
-        session.conversationHistory.push({
-          role: 'assistant',
-          content: processedReply
-        });
+        // Add user turn and assistant reply to conversation history
+        this.recordTurn(session, userText, processedReply);
 
         return processedReply;
       }
@@ -319,9 +539,10 @@ class AIService {
    * @param {Object} session - VoiceSession object with conversationHistory
    * @param {string} userText - User's transcribed text
    * @param {Function} onToken - Callback function(token: string, isComplete: boolean) called for each token
+   * @param {AbortSignal} signal - Aborts the request (caller barge-in); the partial reply is kept in history
    * @returns {Promise<string|null>} - Agent reply text or null on failure
    */
-  async generateWithGeminiStreaming(session, userText, onToken) {
+  async generateWithGeminiStreaming(session, userText, onToken, signal = null) {
     if (!this.geminiApiKey) {
       console.error('❌ GEMINI_API_KEY not configured');
       return null;
@@ -332,6 +553,7 @@ class AIService {
       return null;
     }
 
+    let fullReply = '';
     try {
       // Ensure persona system message is present
       await this.ensureSystemMessage(session);
@@ -371,7 +593,6 @@ class AIService {
       console.log(`   API URL: ${this.geminiStreamApiUrl}`);
 
       const startTime = Date.now();
-      let fullReply = '';
       let tokenCount = 0;
       let chunkCount = 0;
 
@@ -383,6 +604,7 @@ class AIService {
           headers: {
             'Content-Type': 'application/json',
           },
+          signal: signal || undefined,
           body: JSON.stringify({
             contents: [{
               parts: [{
@@ -526,11 +748,8 @@ class AIService {
           // Post-process reply
           const processedReply = this.postProcessReply(replyText);
 
-          // Add assistant reply to conversation history
-          session.conversationHistory.push({
-            role: 'assistant',
-            content: processedReply
-          });
+          // Add user turn and assistant reply to conversation history
+          this.recordTurn(session, userText, processedReply);
 
           return processedReply;
         }
@@ -548,6 +767,14 @@ class AIService {
         reader.releaseLock();
       }
     } catch (error) {
+      // Caller interrupted: the reply is not finished, only what was generated so far is kept
+      if (signal?.aborted) {
+        const partialReply = fullReply.trim() ? this.postProcessReply(fullReply.trim()) : null;
+        console.log(`🛑 [${session?.callId || 'AI'}] Gemini stream aborted (caller interrupted)`);
+        this.recordTurn(session, userText, partialReply);
+        return null;
+      }
+
       let errorMessage = error.message || 'Unknown error';
       
       // For fetch API, errors are handled differently
@@ -581,8 +808,10 @@ class AIService {
   postProcessReply(reply) {
     if (!reply) return reply;
 
-    // Remove markdown formatting
+    // Remove markdown formatting (and the handoff / hangup markers, which are never spoken)
     let processed = reply
+      .replace(HANDOFF_MARKER, '')
+      .replace(HANGUP_MARKER, '')
       .replace(/\*\*(.*?)\*\*/g, '$1') // Bold
       .replace(/\*(.*?)\*/g, '$1') // Italic
       .replace(/`(.*?)`/g, '$1') // Code
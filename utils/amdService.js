@@ -0,0 +1,335 @@
+/**
+ * Answering Machine Detection (AMD)
+ * Classifies who answered an outbound call from the first seconds of inbound audio
+ * before the bot greets, and handles voicemail systems
+ *
+ * Detection (20ms frames of 16-bit PCM):
+ *   human   - a short greeting ("Hello?") followed by AMD_HUMAN_SILENCE_MS of silence
+ *   machine - a greeting longer than AMD_MACHINE_GREETING_MS, a voicemail beep,
+ *             or a transcript with voicemail/carrier phrases ("leave a message", "switched off")
+ *   unknown - no speech within AMD_INITIAL_SILENCE_MS, or no decision within AMD_MAX_DETECTION_MS
+ *             (handled like a human)
+ *
+ * Actions on a machine (amd_action per-call parameter / campaign settings, default AMD_DEFAULT_ACTION):
+ *   off       - no detection, the bot greets immediately
+ *   hangup    - the stream is closed
+ *   voicemail - waits for the beep (or the end of the greeting) and speaks voicemail_message, then hangs up
+ */
+
+import dotenv from 'dotenv';
+import { sttService } from './sttService.js';
+
+dotenv.config();
+
+const AMD_ACTIONS = ['off', 'hangup', 'voicemail'];
+const FRAME_MS = 20;
+// Voicemail greetings and carrier announcements (English / Hinglish / Hindi)
+const MACHINE_PATTERN = /leave (a|your) message|after the (beep|tone)|record your message|voice ?mail|mailbox|not available|unavailable|cannot take your call|can't take your call|switched off|not reachable|out of coverage|does not exist|is busy|sandesh|uplabdh nahi|सब्सक्राइबर|उपलब्ध नहीं|बंद है|संदेश/i;
+// Voicemail beeps are pure tones, usually between 400Hz and 2kHz
+const BEEP_FREQUENCIES = Array.from({ length: 33 }, (_, i) => 400 + i * 50);
+const BEEP_TONE_RATIO = 0.7; // Share of the frame energy in a single frequency
+const BEEP_MIN_MS = 160;
+
+/**
+ * Goertzel power of one frequency in a frame, normalized so a pure tone is ~1
+ * @param {Int16Array} samples - Frame samples
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} energy - Sum of squared samples of the frame
+ * @returns {number} Ratio of the frame energy at the frequency
+ */
+function goertzelRatio(samples, frequency, sampleRate, energy) {
+  const coeff = 2 * Math.cos((2 * Math.PI * frequency) / sampleRate);
+  let s1 = 0;
+  let s2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const s0 = samples[i] + coeff * s1 - s2;
+    s2 = s1;
+    s1 = s0;
+  }
+  const power = s1 * s1 + s2 * s2 - coeff * s1 * s2;
+  return power / ((energy * samples.length) / 2);
+}
+
+class AmdService {
+  constructor() {
+    this.defaultAction = AMD_ACTIONS.includes(process.env.AMD_DEFAULT_ACTION) ? process.env.AMD_DEFAULT_ACTION : 'off';
+    this.defaultVoicemailMessage = process.env.AMD_VOICEMAIL_MESSAGE || null;
+    this.speechThreshold = parseInt(process.env.AMD_SPEECH_THRESHOLD) || 500; // Frame RMS counted as speech
+    this.machineGreetingMs = parseInt(process.env.AMD_MACHINE_GREETING_MS) || 3000;
+    this.humanSilenceMs = parseInt(process.env.AMD_HUMAN_SILENCE_MS) || 800;
+    this.initialSilenceMs = parseInt(process.env.AMD_INITIAL_SILENCE_MS) || 4000;
+    this.maxDetectionMs = parseInt(process.env.AMD_MAX_DETECTION_MS) || 6000;
+    // Voicemail: silence that ends a machine greeting without a beep, and the longest wait for the beep
+    this.greetingEndSilenceMs = parseInt(process.env.AMD_GREETING_END_SILENCE_MS) || 1500;
+    this.beepTimeoutMs = parseInt(process.env.AMD_BEEP_TIMEOUT_MS) || 15000;
+  }
+
+  /**
+   * Validate the AMD per-call parameters
+   * @param {Object} params - Per-call parameters
+   * @returns {string|null} Error message or null if valid
+   */
+  validateParams(params) {
+    if (params?.amd_action !== undefined && !AMD_ACTIONS.includes(params.amd_action)) {
+      return `amd_action must be one of: ${AMD_ACTIONS.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Action taken when a machine answers (amd_action per-call parameter, else AMD_DEFAULT_ACTION)
+   * @param {Object} session - Voice session
+   * @returns {string} off, hangup or voicemail
+   */
+  getAction(session) {
+    const action = session.customParameters?.amd_action;
+    return AMD_ACTIONS.includes(action) ? action : this.defaultAction;
+  }
+
+  /**
+   * Message left on voicemail (voicemail_message per-call parameter, else AMD_VOICEMAIL_MESSAGE)
+   * @param {Object} session - Voice session
+   * @returns {string|null}
+   */
+  getVoicemailMessage(session) {
+    return session.customParameters?.voicemail_message || this.defaultVoicemailMessage;
+  }
+
+  /**
+   * Check whether the call should be screened before greeting (outbound scheduler calls with AMD on)
+   * @param {Object} session - Voice session (attemptReady resolves to the CallAttempt, null when inbound)
+   * @returns {Promise<boolean>}
+   */
+  async shouldDetect(session) {
+    if (session.amd || this.getAction(session) === 'off') {
+      return false;
+    }
+    const attempt = await session.attemptReady;
+    return Boolean(attempt);
+  }
+
+  /**
+   * Start detection for a call
+   * @param {Object} session - Voice session
+   */
+  start(session) {
+    session.amd = {
+      phase: 'detecting', // detecting → (awaiting-beep → leaving-message) → done
+      action: this.getAction(session),
+      result: null,
+      evidence: [],
+      detectionMs: null,
+      beepDetected: false,
+      voicemailLeft: false,
+      greetingTranscript: null,
+      elapsedMs: 0,
+      speechStartMs: null, // Start of the current greeting
+      lastSpeechMs: null, // Last speech frame
+      toneFrequency: null,
+      toneMs: 0,
+      awaitingSinceMs: null,
+      audio: [], // Inbound audio heard during detection (for the transcript check)
+      carry: Buffer.alloc(0)
+    };
+  }
+
+  /**
+   * Wait for the voicemail beep after a machine was detected
+   * @param {Object} session - Voice session
+   */
+  awaitBeep(session) {
+    const amd = session.amd;
+    amd.phase = 'awaiting-beep';
+    amd.awaitingSinceMs = amd.elapsedMs;
+    amd.toneFrequency = null;
+    amd.toneMs = 0;
+  }
+
+  /**
+   * Analyze inbound audio of a call under detection
+   *
+   * @param {Object} session - Voice session
+   * @param {Buffer} pcmChunk - 16-bit PCM at session.sampleRate
+   * @returns {Object|null} Decision when one is reached:
+   *   detecting:     { type: 'human' | 'machine' | 'unknown' }
+   *   awaiting-beep: { type: 'beep' | 'greeting-ended' | 'beep-timeout' }
+   */
+  analyze(session, pcmChunk) {
+    const amd = session.amd;
+    if (!amd || (amd.phase !== 'detecting' && amd.phase !== 'awaiting-beep')) {
+      return null;
+    }
+
+    if (amd.phase === 'detecting') {
+      amd.audio.push(pcmChunk);
+    }
+
+    const frameBytes = Math.round((session.sampleRate * FRAME_MS) / 1000) * 2;
+    let buffer = Buffer.concat([amd.carry, pcmChunk]);
+    let decision = null;
+
+    while (!decision && buffer.length >= frameBytes) {
+      const frame = buffer.subarray(0, frameBytes);
+      buffer = buffer.subarray(frameBytes);
+      decision = this.analyzeFrame(session, frame);
+    }
+    amd.carry = Buffer.from(buffer);
+
+    return decision;
+  }
+
+  /**
+   * Advance detection by one 20ms frame
+   * @param {Object} session - Voice session
+   * @param {Buffer} frame - One frame of 16-bit PCM
+   * @returns {Object|null} Decision (see analyze)
+   */
+  analyzeFrame(session, frame) {
+    const amd = session.amd;
+    const samples = new Int16Array(frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.length));
+    amd.elapsedMs += FRAME_MS;
+
+    let energy = 0;
+    for (let i = 0; i < samples.length; i++) {
+      energy += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(energy / samples.length);
+    const isSpeech = rms >= this.speechThreshold;
+
+    // Beep: the same pure tone for BEEP_MIN_MS
+    const tone = isSpeech ? this.detectTone(samples, session.sampleRate, energy) : null;
+    if (tone && tone === amd.toneFrequency) {
+      amd.toneMs += FRAME_MS;
+    } else {
+      amd.toneFrequency = tone;
+      amd.toneMs = tone ? FRAME_MS : 0;
+    }
+    if (amd.toneMs >= BEEP_MIN_MS) {
+      amd.beepDetected = true;
+      if (amd.phase === 'awaiting-beep') {
+        return { type: 'beep' };
+      }
+      return this.decide(amd, 'machine', 'beep');
+    }
+
+    if (isSpeech) {
+      if (amd.speechStartMs === null || amd.elapsedMs - amd.lastSpeechMs >= this.humanSilenceMs) {
+        amd.speechStartMs = amd.elapsedMs;
+      }
+      amd.lastSpeechMs = amd.elapsedMs;
+    }
+
+    if (amd.phase === 'awaiting-beep') {
+      const waitedMs = amd.elapsedMs - amd.awaitingSinceMs;
+      if (amd.lastSpeechMs !== null && amd.elapsedMs - amd.lastSpeechMs >= this.greetingEndSilenceMs) {
+        return { type: 'greeting-ended' };
+      }
+      if (waitedMs >= this.beepTimeoutMs) {
+        return { type: 'beep-timeout' };
+      }
+      return null;
+    }
+
+    if (amd.speechStartMs !== null) {
+      const greetingMs = amd.lastSpeechMs - amd.speechStartMs + FRAME_MS;
+      if (greetingMs >= this.machineGreetingMs) {
+        return this.decide(amd, 'machine', 'long-greeting');
+      }
+      if (amd.elapsedMs - amd.lastSpeechMs >= this.humanSilenceMs) {
+        return this.decide(amd, 'human', 'short-greeting');
+      }
+    } else if (amd.elapsedMs >= this.initialSilenceMs) {
+      return this.decide(amd, 'unknown', 'silence');
+    }
+
+    if (amd.elapsedMs >= this.maxDetectionMs) {
+      return this.decide(amd, 'unknown', 'timeout');
+    }
+    return null;
+  }
+
+  /**
+   * Find a pure tone in a frame
+   * @param {Int16Array} samples - Frame samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} energy - Sum of squared samples
+   * @returns {number|null} Tone frequency or null
+   */
+  detectTone(samples, sampleRate, energy) {
+    let best = null;
+    let bestRatio = BEEP_TONE_RATIO;
+    for (const frequency of BEEP_FREQUENCIES) {
+      if (frequency >= sampleRate / 2) break;
+      const ratio = goertzelRatio(samples, frequency, sampleRate, energy);
+      if (ratio > bestRatio) {
+        best = frequency;
+        bestRatio = ratio;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Record a detection result
+   * @param {Object} amd - Session AMD state
+   * @param {string} result - human, machine or unknown
+   * @param {string} evidence - What decided it
+   * @returns {Object} Decision
+   */
+  decide(amd, result, evidence) {
+    amd.result = result;
+    amd.evidence.push(evidence);
+    amd.detectionMs = amd.elapsedMs;
+    return { type: result };
+  }
+
+  /**
+   * Transcribe the audio heard during detection and look for voicemail/carrier phrases
+   * Upgrades an unknown result to machine when a phrase matches
+   *
+   * @param {Object} session - Voice session
+   * @returns {Promise<string|null>} Transcript or null
+   */
+  async checkTranscript(session) {
+    const amd = session.amd;
+    const audio = Buffer.concat(amd.audio);
+    amd.audio = [];
+    if (audio.length === 0 || amd.lastSpeechMs === null) {
+      return null;
+    }
+
+    try {
+      const transcript = await sttService.transcribePCM(audio, session.sampleRate);
+      amd.greetingTranscript = transcript?.trim() || null;
+      if (amd.greetingTranscript && MACHINE_PATTERN.test(amd.greetingTranscript)) {
+        amd.evidence.push('transcript');
+        amd.result = 'machine';
+      }
+      return amd.greetingTranscript;
+    } catch (error) {
+      console.error(`❌ [${session.callId}] AMD transcript check failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Detection outcome stored on the Transcript
+   * @param {Object} amd - Session AMD state
+   * @returns {Object}
+   */
+  toRecord(amd) {
+    return {
+      result: amd.result || 'unknown',
+      evidence: amd.evidence,
+      detectionMs: amd.detectionMs,
+      beepDetected: amd.beepDetected,
+      action: amd.action,
+      voicemailLeft: amd.voicemailLeft,
+      greetingTranscript: amd.greetingTranscript
+    };
+  }
+}
+
+export const amdService = new AmdService();
+export { AMD_ACTIONS };
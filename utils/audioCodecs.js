@@ -0,0 +1,169 @@
+/**
+ * Audio Codecs
+ * Wire formats of the telephony media streams and the framing rules derived from them
+ *
+ * The voice pipeline works on 16-bit PCM at the call's sample rate; a codec converts between
+ * that and the payload of the provider's media messages:
+ *   pcm16 - 16-bit linear PCM, little-endian (Exotel default)
+ *   mulaw - G.711 μ-law, one byte per sample (Twilio)
+ *   alaw  - G.711 A-law, one byte per sample
+ * at 8, 16 or 24 kHz. A stream's format ({ encoding, sampleRate }) is negotiated from its URL
+ * query and the start event's media format (see resolveFormat).
+ */
+
+import { audioConverter } from './audioConverter.js';
+
+const SUPPORTED_SAMPLE_RATES = [8000, 16000, 24000];
+// Payloads are sent in whole 20ms frames (G.711 packetization interval)
+const FRAME_MS = 20;
+// Names providers use for each encoding
+const ENCODING_ALIASES = {
+  pcm16: ['pcm16', 'pcm', 'linear16', 'l16', 'audio/l16', 'slin', 'slin16', 'raw', 's16le'],
+  mulaw: ['mulaw', 'ulaw', 'pcmu', 'g711_ulaw', 'audio/x-mulaw', 'audio/mulaw', 'audio/basic'],
+  alaw: ['alaw', 'pcma', 'g711_alaw', 'audio/x-alaw', 'audio/alaw']
+};
+
+/**
+ * Greatest common divisor
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+class AudioCodecs {
+  constructor() {
+    this.codecs = {
+      pcm16: {
+        bytesPerSample: 2,
+        encode: (pcm) => pcm,
+        decode: (payload) => payload
+      },
+      mulaw: {
+        bytesPerSample: 1,
+        encode: (pcm) => audioConverter.pcmToMulaw(pcm),
+        decode: (payload) => audioConverter.mulawToPCM(payload)
+      },
+      alaw: {
+        bytesPerSample: 1,
+        encode: (pcm) => audioConverter.pcmToAlaw(pcm),
+        decode: (payload) => audioConverter.alawToPCM(payload)
+      }
+    };
+  }
+
+  /**
+   * Map a provider's encoding name to a codec name
+   * @param {string} value - Encoding name (e.g. "audio/x-mulaw", "PCMA", "linear16")
+   * @returns {string|null} pcm16, mulaw, alaw or null when unknown
+   */
+  normalizeEncoding(value) {
+    if (!value) return null;
+    const name = String(value).trim().toLowerCase();
+    for (const [encoding, aliases] of Object.entries(ENCODING_ALIASES)) {
+      if (aliases.includes(name)) {
+        return encoding;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validate a sample rate
+   * @param {number|string} value - Sample rate in Hz
+   * @returns {number|null} The rate, or null when unsupported
+   */
+  normalizeSampleRate(value) {
+    const sampleRate = parseInt(value);
+    return SUPPORTED_SAMPLE_RATES.includes(sampleRate) ? sampleRate : null;
+  }
+
+  /**
+   * Negotiate a stream format: each requested field is used when supported, else the fallback's
+   *
+   * @param {Object} requested - { encoding, sampleRate } as sent by the provider (may be partial)
+   * @param {Object} fallback - Format in use ({ encoding, sampleRate })
+   * @returns {{encoding: string, sampleRate: number, rejected: string[]}} rejected: requested values
+   *   that are not supported
+   */
+  resolveFormat(requested, fallback) {
+    const rejected = [];
+    const encoding = this.normalizeEncoding(requested?.encoding);
+    if (requested?.encoding && !encoding) {
+      rejected.push(`encoding ${requested.encoding}`);
+    }
+    const sampleRate = this.normalizeSampleRate(requested?.sampleRate);
+    if (requested?.sampleRate && !sampleRate) {
+      rejected.push(`sample rate ${requested.sampleRate}`);
+    }
+    return {
+      encoding: encoding || fallback.encoding,
+      sampleRate: sampleRate || fallback.sampleRate,
+      rejected
+    };
+  }
+
+  /**
+   * Codec of a format
+   * @param {Object} format - { encoding }
+   * @returns {Object} { bytesPerSample, encode, decode }
+   * @throws {Error} Unknown encoding
+   */
+  getCodec(format) {
+    const codec = this.codecs[format.encoding];
+    if (!codec) {
+      throw new Error(`Unsupported audio encoding: ${format.encoding}`);
+    }
+    return codec;
+  }
+
+  /**
+   * Encode 16-bit PCM to the wire format
+   * @param {Object} format - { encoding, sampleRate }
+   * @param {Buffer} pcm - 16-bit PCM at format.sampleRate
+   * @returns {Buffer} Payload
+   */
+  encode(format, pcm) {
+    return this.getCodec(format).encode(pcm);
+  }
+
+  /**
+   * Decode a wire payload to 16-bit PCM
+   * @param {Object} format - { encoding, sampleRate }
+   * @param {Buffer} payload - Media payload
+   * @returns {Buffer} 16-bit PCM at format.sampleRate
+   */
+  decode(format, payload) {
+    return this.getCodec(format).decode(payload);
+  }
+
+  /**
+   * Payload bytes of one 20ms frame
+   * @param {Object} format - { encoding, sampleRate }
+   * @returns {number}
+   */
+  getFrameBytes(format) {
+    return (format.sampleRate * FRAME_MS / 1000) * this.getCodec(format).bytesPerSample;
+  }
+
+  /**
+   * PCM bytes per outbound media message: whole frames covering chunkMs, grown to meet the
+   * provider's payload rules
+   *
+   * @param {Object} format - { encoding, sampleRate }
+   * @param {Object} rules - { chunkMs (default 100), minPayloadBytes, payloadMultiple }
+   * @returns {number} 16-bit PCM bytes (what the playback queue slices audio into)
+   */
+  getChunkSize(format, { chunkMs = 100, minPayloadBytes = 0, payloadMultiple = 1 } = {}) {
+    const frameBytes = this.getFrameBytes(format);
+    // Payload sizes that are whole frames and satisfy the provider's multiple
+    const step = frameBytes * payloadMultiple / gcd(frameBytes, payloadMultiple);
+    const payloadBytes = Math.ceil(Math.max(frameBytes * Math.ceil(chunkMs / FRAME_MS), minPayloadBytes) / step) * step;
+    return payloadBytes / this.getCodec(format).bytesPerSample * 2;
+  }
+}
+
+export const audioCodecs = new AudioCodecs();
+export { SUPPORTED_SAMPLE_RATES };
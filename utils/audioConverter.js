@@ -1,124 +1,350 @@
 /**
  * Audio Conversion Utility
- * Converts MP3/WAV to 16-bit, 8kHz, mono PCM format (Exotel's preferred format)
- * 
- * Uses ffmpeg if available, otherwise falls back to Node.js libraries
+ * Converts TTS audio to 16-bit mono PCM at the call's sample rate
+ *
+ * WAV and raw PCM are decoded and resampled in memory (polyphase windowed-sinc resampler).
+ * Compressed formats (MP3, Ogg, ...) are decoded by ffmpeg over stdin/stdout pipes, without
+ * temp files; ffmpeg (FFMPEG_PATH) is only needed for those.
  */
 
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import { writeFileSync, unlinkSync, readFileSync } from 'fs';
-import { join } from 'path';
-import { tmpdir } from 'os';
-import { randomBytes } from 'crypto';
+import { spawn } from 'child_process';
 
-const execAsync = promisify(exec);
+// WAV format tags
+const WAV_PCM = 1;
+const WAV_FLOAT = 3;
+const WAV_ALAW = 6;
+const WAV_MULAW = 7;
+const WAV_EXTENSIBLE = 0xFFFE;
+// Resampler: zero crossings of the sinc kernel on each side, Kaiser window shape
+const RESAMPLER_ZERO_CROSSINGS = 16;
+const KAISER_BETA = 8;
+
+/**
+ * Zeroth-order modified Bessel function of the first kind (Kaiser window)
+ * @param {number} x
+ * @returns {number}
+ */
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) * (x / (2 * k));
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+/**
+ * Greatest common divisor
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
 
 class AudioConverter {
   constructor() {
-    this.useFfmpeg = null; // Will be checked on first use
-    this.tempDir = tmpdir();
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    this.resamplerCache = new Map(); // "inRate:outRate" -> polyphase filter bank
   }
 
   /**
-   * Check if ffmpeg is available
+   * Detect the container/codec of an audio buffer from its first bytes
+   * @param {Buffer} audioBuffer - Encoded audio
+   * @returns {string} wav, mp3, ogg or unknown
    */
-  async checkFfmpeg() {
-    if (this.useFfmpeg !== null) {
-      return this.useFfmpeg;
+  detectFormat(audioBuffer) {
+    if (audioBuffer.length >= 12 && audioBuffer.toString('ascii', 0, 4) === 'RIFF' && audioBuffer.toString('ascii', 8, 12) === 'WAVE') {
+      return 'wav';
     }
-
-    try {
-      await execAsync('ffmpeg -version');
-      this.useFfmpeg = true;
-      console.log('✅ ffmpeg found - will use for audio conversion');
-      return true;
-    } catch (error) {
-      this.useFfmpeg = false;
-      console.warn('⚠️  ffmpeg not found - will use Node.js fallback (may be slower)');
-      return false;
+    if (audioBuffer.length >= 3 && audioBuffer.toString('ascii', 0, 3) === 'ID3') {
+      return 'mp3';
     }
+    if (audioBuffer.length >= 2 && audioBuffer[0] === 0xFF && (audioBuffer[1] & 0xE0) === 0xE0) {
+      return 'mp3'; // MPEG audio frame sync
+    }
+    if (audioBuffer.length >= 4 && audioBuffer.toString('ascii', 0, 4) === 'OggS') {
+      return 'ogg';
+    }
+    return 'unknown';
   }
 
   /**
-   * Convert audio buffer to 16-bit, 16kHz, mono PCM
+   * Convert audio buffer to 16-bit mono PCM
+   * WAV is decoded in memory; other formats go through ffmpeg pipes
    * 
-   * @param {Buffer} audioBuffer - Input audio (MP3, WAV, etc.)
+   * @param {Buffer} audioBuffer - Input audio (WAV, MP3, etc.)
    * @param {string} inputFormat - Input format ('mp3', 'wav', 'auto')
    * @param {number} sampleRate - Target sample rate (default: 16000)
-   * @returns {Promise<Buffer>} - PCM audio buffer (16-bit, 16kHz, mono)
+   * @returns {Promise<Buffer>} - PCM audio buffer (16-bit, mono, at sampleRate)
    */
   async convertToPCM(audioBuffer, inputFormat = 'auto', sampleRate = 16000) {
-    const hasFfmpeg = await this.checkFfmpeg();
+    const format = inputFormat === 'auto' ? this.detectFormat(audioBuffer) : inputFormat;
+
+    if (format === 'wav') {
+      try {
+        const wav = this.parseWav(audioBuffer);
+        return this.resample(wav.pcm, wav.sampleRate, sampleRate);
+      } catch (error) {
+        // Encodings we do not decode ourselves (ADPCM, A-law, ...) are left to ffmpeg
+        console.warn(`⚠️  In-memory WAV decoding failed (${error.message}), using ffmpeg`);
+      }
+    }
+
+    return await this.decodeWithPipes(audioBuffer, format, sampleRate);
+  }
+
+  /**
+   * Parse a WAV file in memory and downmix it to 16-bit mono PCM
+   * Supports integer PCM (8/16/24/32-bit), 32/64-bit float, μ-law and A-law
+   * 
+   * @param {Buffer} wavBuffer - WAV file contents
+   * @returns {{pcm: Buffer, sampleRate: number, channels: number, bitsPerSample: number}}
+   * @throws {Error} Not a WAV file or unsupported encoding
+   */
+  parseWav(wavBuffer) {
+    if (this.detectFormat(wavBuffer) !== 'wav') {
+      throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let fmt = null;
+    let data = null;
+    let offset = 12;
+    while (offset + 8 <= wavBuffer.length) {
+      const id = wavBuffer.toString('ascii', offset, offset + 4);
+      const size = wavBuffer.readUInt32LE(offset + 4);
+      const body = offset + 8;
+      if (id === 'fmt ') {
+        let formatTag = wavBuffer.readUInt16LE(body);
+        if (formatTag === WAV_EXTENSIBLE && size >= 26) {
+          formatTag = wavBuffer.readUInt16LE(body + 24); // First bytes of the sub-format GUID
+        }
+        fmt = {
+          formatTag,
+          channels: wavBuffer.readUInt16LE(body + 2),
+          sampleRate: wavBuffer.readUInt32LE(body + 4),
+          bitsPerSample: wavBuffer.readUInt16LE(body + 14)
+        };
+      } else if (id === 'data') {
+        // Streamed WAVs carry a placeholder size: the data runs to the end of the buffer
+        data = wavBuffer.subarray(body, Math.min(body + size, wavBuffer.length));
+        break;
+      }
+      offset = body + size + (size % 2); // Chunks are word-aligned
+    }
 
-    if (hasFfmpeg) {
-      return await this.convertWithFfmpeg(audioBuffer, inputFormat, sampleRate);
+    if (!fmt || !data) {
+      throw new Error('WAV file has no fmt or data chunk');
+    }
+
+    const { formatTag, channels, sampleRate, bitsPerSample } = fmt;
+    const bytesPerSample = bitsPerSample / 8;
+    let readSample;
+    if (formatTag === WAV_PCM && bitsPerSample === 8) {
+      readSample = (pos) => (data[pos] - 128) << 8;
+    } else if (formatTag === WAV_PCM && bitsPerSample === 16) {
+      readSample = (pos) => data.readInt16LE(pos);
+    } else if (formatTag === WAV_PCM && bitsPerSample === 24) {
+      readSample = (pos) => data.readIntLE(pos, 3) >> 8;
+    } else if (formatTag === WAV_PCM && bitsPerSample === 32) {
+      readSample = (pos) => data.readInt32LE(pos) >> 16;
+    } else if (formatTag === WAV_FLOAT && bitsPerSample === 32) {
+      readSample = (pos) => data.readFloatLE(pos) * 32767;
+    } else if (formatTag === WAV_FLOAT && bitsPerSample === 64) {
+      readSample = (pos) => data.readDoubleLE(pos) * 32767;
+    } else if (formatTag === WAV_MULAW && bitsPerSample === 8) {
+      const table = this.mulawToPCM(Buffer.from(Array.from({ length: 256 }, (_, i) => i)));
+      readSample = (pos) => table.readInt16LE(data[pos] * 2);
+    } else if (formatTag === WAV_ALAW && bitsPerSample === 8) {
+      const table = this.alawToPCM(Buffer.from(Array.from({ length: 256 }, (_, i) => i)));
+      readSample = (pos) => table.readInt16LE(data[pos] * 2);
     } else {
-      // Fallback: Try to use Node.js libraries
-      // For now, return error - user should install ffmpeg
-      throw new Error(
-        'ffmpeg not found. Please install ffmpeg:\n' +
-        '  Windows: choco install ffmpeg\n' +
-        '  macOS: brew install ffmpeg\n' +
-        '  Linux: apt-get install ffmpeg\n' +
-        '\nOr set FFMPEG_PATH environment variable to ffmpeg executable path.'
-      );
+      throw new Error(`Unsupported WAV encoding (format ${formatTag}, ${bitsPerSample}-bit)`);
     }
+
+    const frameSize = bytesPerSample * channels;
+    const frames = Math.floor(data.length / frameSize);
+    const pcm = Buffer.alloc(frames * 2);
+    for (let i = 0; i < frames; i++) {
+      let sum = 0;
+      for (let c = 0; c < channels; c++) {
+        sum += readSample(i * frameSize + c * bytesPerSample);
+      }
+      const sample = Math.round(sum / channels);
+      pcm.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), i * 2);
+    }
+
+    return { pcm, sampleRate, channels, bitsPerSample };
+  }
+
+  /**
+   * Start an ffmpeg decoder that reads encoded audio on stdin and writes PCM on stdout
+   * 
+   * @param {string} inputFormat - Input format hint ('mp3', 'ogg', ... or 'unknown' to probe)
+   * @param {number} sampleRate - Target sample rate
+   * @returns {{input: Writable, output: Readable, done: Promise<void>}}
+   *   done rejects when ffmpeg is missing or fails to decode
+   */
+  createDecodeStream(inputFormat, sampleRate) {
+    const args = ['-hide_banner', '-loglevel', 'error'];
+    if (inputFormat && !['auto', 'unknown'].includes(inputFormat)) {
+      args.push('-f', inputFormat);
+    }
+    args.push('-i', 'pipe:0', '-f', 's16le', '-acodec', 'pcm_s16le', '-ac', '1', '-ar', String(sampleRate), 'pipe:1');
+
+    const child = spawn(this.ffmpegPath, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+    // ffmpeg may stop reading early (bad input); the exit code reports it
+    child.stdin.on('error', () => {});
+
+    const done = new Promise((resolve, reject) => {
+      child.on('error', (error) => {
+        if (error.code === 'ENOENT') {
+          reject(new Error(
+            `ffmpeg not found (needed for ${inputFormat} audio). Please install ffmpeg:\n` +
+            '  Windows: choco install ffmpeg\n' +
+            '  macOS: brew install ffmpeg\n' +
+            '  Linux: apt-get install ffmpeg\n' +
+            '\nOr set FFMPEG_PATH environment variable to ffmpeg executable path.'
+          ));
+        } else {
+          reject(error);
+        }
+      });
+      child.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().slice(0, 300)}`));
+        }
+      });
+    });
+
+    return { input: child.stdin, output: child.stdout, done };
   }
 
   /**
-   * Convert using ffmpeg (recommended)
+   * Decode a whole buffer through ffmpeg pipes
+   * 
+   * @param {Buffer} audioBuffer - Encoded audio
+   * @param {string} inputFormat - Input format hint
+   * @param {number} sampleRate - Target sample rate
+   * @returns {Promise<Buffer>} - PCM audio buffer (16-bit, mono)
    */
-  async convertWithFfmpeg(audioBuffer, inputFormat = 'auto', sampleRate = 16000) {
-    const inputFile = join(this.tempDir, `input_${randomBytes(8).toString('hex')}.${inputFormat === 'auto' ? 'mp3' : inputFormat}`);
-    const outputFile = join(this.tempDir, `output_${randomBytes(8).toString('hex')}.pcm`);
+  async decodeWithPipes(audioBuffer, inputFormat, sampleRate) {
+    const decoder = this.createDecodeStream(inputFormat, sampleRate);
+    const chunks = [];
+    decoder.output.on('data', (chunk) => chunks.push(chunk));
+    decoder.input.end(audioBuffer);
 
     try {
-      // Write input file
-      writeFileSync(inputFile, audioBuffer);
+      await decoder.done;
+    } catch (error) {
+      console.error('❌ ffmpeg conversion error:', error.message);
+      throw new Error(`Audio conversion failed: ${error.message}`);
+    }
 
-      // Convert to PCM: 16-bit, 16kHz, mono
-      // -f s16le: signed 16-bit little-endian PCM
-      // -ar 16000: sample rate 16kHz (mandatory)
-      // -ac 1: mono (1 channel)
-      // -y: overwrite output file if exists
-      // Note: ffmpeg auto-detects input format from file extension/content
-      const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
-      const command = `${ffmpegPath} -i "${inputFile}" -f s16le -ar ${sampleRate} -ac 1 "${outputFile}" -y`;
+    const pcmBuffer = Buffer.concat(chunks);
+    console.log(`✅ Audio converted: ${audioBuffer.length} bytes ${inputFormat} → ${pcmBuffer.length} bytes PCM (16-bit, ${sampleRate}Hz, mono)`);
+    return pcmBuffer;
+  }
 
-      await execAsync(command);
+  /**
+   * Build (or reuse) the polyphase filter bank for a rate conversion
+   * One windowed-sinc kernel per output phase, cut off below the lower Nyquist frequency
+   * 
+   * @param {number} inputSampleRate - Input sample rate
+   * @param {number} outputSampleRate - Output sample rate
+   * @returns {{up: number, down: number, halfWidth: number, phases: Float32Array[]}}
+   */
+  getResampler(inputSampleRate, outputSampleRate) {
+    const key = `${inputSampleRate}:${outputSampleRate}`;
+    if (this.resamplerCache.has(key)) {
+      return this.resamplerCache.get(key);
+    }
 
-      // Read output file
-      const pcmBuffer = readFileSync(outputFile);
+    const divisor = gcd(inputSampleRate, outputSampleRate);
+    const up = outputSampleRate / divisor;
+    const down = inputSampleRate / divisor;
+    // Cutoff relative to the input Nyquist frequency (anti-aliasing when downsampling)
+    const cutoff = Math.min(1, up / down) * 0.97;
+    const halfWidth = Math.ceil(RESAMPLER_ZERO_CROSSINGS / cutoff); // In input samples
+    const window0 = besselI0(KAISER_BETA);
 
-      // Cleanup
-      try {
-        unlinkSync(inputFile);
-        unlinkSync(outputFile);
-      } catch (cleanupError) {
-        // Ignore cleanup errors
-        console.warn('Warning: Could not clean up temp files:', cleanupError.message);
+    const phases = [];
+    for (let phase = 0; phase < up; phase++) {
+      const fraction = phase / up;
+      const taps = new Float32Array(2 * halfWidth);
+      let sum = 0;
+      for (let k = 0; k < taps.length; k++) {
+        // Distance from the output instant to input sample (base - halfWidth + 1 + k)
+        const distance = k - halfWidth + 1 - fraction;
+        const x = distance / halfWidth;
+        const window = Math.abs(x) >= 1 ? 0 : besselI0(KAISER_BETA * Math.sqrt(1 - x * x)) / window0;
+        const argument = Math.PI * cutoff * distance;
+        const sinc = argument === 0 ? 1 : Math.sin(argument) / argument;
+        taps[k] = cutoff * sinc * window;
+        sum += taps[k];
+      }
+      // Unity gain at DC for every phase
+      for (let k = 0; k < taps.length; k++) {
+        taps[k] /= sum;
       }
+      phases.push(taps);
+    }
+
+    const resampler = { up, down, halfWidth, phases };
+    this.resamplerCache.set(key, resampler);
+    return resampler;
+  }
 
-      console.log(`✅ Audio converted: ${audioBuffer.length} bytes → ${pcmBuffer.length} bytes PCM (16-bit, ${sampleRate}Hz, mono)`);
+  /**
+   * Resample 16-bit mono PCM in memory (polyphase windowed-sinc)
+   * 
+   * @param {Buffer} pcmBuffer - Input PCM buffer (16-bit, little-endian, mono)
+   * @param {number} inputSampleRate - Input sample rate (e.g., 24000)
+   * @param {number} outputSampleRate - Target sample rate (e.g., 8000)
+   * @returns {Buffer} - Resampled PCM buffer
+   */
+  resample(pcmBuffer, inputSampleRate, outputSampleRate) {
+    if (inputSampleRate === outputSampleRate || pcmBuffer.length < 2) {
       return pcmBuffer;
-    } catch (error) {
-      // Cleanup on error
-      try {
-        unlinkSync(inputFile);
-        unlinkSync(outputFile);
-      } catch (cleanupError) {
-        // Ignore
-      }
+    }
 
-      console.error('❌ ffmpeg conversion error:', error.message);
-      throw new Error(`Audio conversion failed: ${error.message}`);
+    const inputLength = Math.floor(pcmBuffer.length / 2);
+    const input = new Float32Array(inputLength);
+    for (let i = 0; i < inputLength; i++) {
+      input[i] = pcmBuffer.readInt16LE(i * 2);
+    }
+
+    const { up, down, halfWidth, phases } = this.getResampler(inputSampleRate, outputSampleRate);
+    const outputLength = Math.floor(inputLength * up / down);
+    const output = Buffer.alloc(outputLength * 2);
+    for (let n = 0; n < outputLength; n++) {
+      const position = n * down;
+      const base = Math.floor(position / up);
+      const taps = phases[position % up];
+      const first = base - halfWidth + 1;
+      let sum = 0;
+      const start = Math.max(0, -first);
+      const end = Math.min(taps.length, inputLength - first);
+      for (let k = start; k < end; k++) {
+        sum += input[first + k] * taps[k];
+      }
+      output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sum))), n * 2);
     }
+
+    return output;
   }
 
   /**
-   * Resample PCM buffer from one sample rate to another
-   * Uses ffmpeg to resample raw PCM data
+   * Resample PCM buffer from one sample rate to another (in memory, no ffmpeg)
    * 
    * @param {Buffer} pcmBuffer - Input PCM buffer (16-bit, little-endian, mono)
    * @param {number} inputSampleRate - Input sample rate (e.g., 24000)
@@ -126,70 +352,35 @@ class AudioConverter {
    * @returns {Promise<Buffer>} - Resampled PCM buffer
    */
   async resamplePCM(pcmBuffer, inputSampleRate, outputSampleRate) {
-    const hasFfmpeg = await this.checkFfmpeg();
-    if (!hasFfmpeg) {
-      throw new Error('ffmpeg required for PCM resampling');
-    }
-
-    // Create temporary WAV file from input PCM
-    const inputWav = join(this.tempDir, `input_${randomBytes(8).toString('hex')}.wav`);
-    const outputPcm = join(this.tempDir, `output_${randomBytes(8).toString('hex')}.pcm`);
-
-    try {
-      // Create WAV header for input PCM
-      const numChannels = 1;
-      const bitsPerSample = 16;
-      const byteRate = inputSampleRate * numChannels * (bitsPerSample / 8);
-      const blockAlign = numChannels * (bitsPerSample / 8);
-      const dataSize = pcmBuffer.length;
-      const fileSize = 36 + dataSize;
-
-      const wavHeader = Buffer.alloc(44);
-      wavHeader.write('RIFF', 0);
-      wavHeader.writeUInt32LE(fileSize, 4);
-      wavHeader.write('WAVE', 8);
-      wavHeader.write('fmt ', 12);
-      wavHeader.writeUInt32LE(16, 16);
-      wavHeader.writeUInt16LE(1, 20);
-      wavHeader.writeUInt16LE(numChannels, 22);
-      wavHeader.writeUInt32LE(inputSampleRate, 24);
-      wavHeader.writeUInt32LE(byteRate, 28);
-      wavHeader.writeUInt16LE(blockAlign, 32);
-      wavHeader.writeUInt16LE(bitsPerSample, 34);
-      wavHeader.write('data', 36);
-      wavHeader.writeUInt32LE(dataSize, 40);
-
-      const inputWavBuffer = Buffer.concat([wavHeader, pcmBuffer]);
-      writeFileSync(inputWav, inputWavBuffer);
-
-      // Resample using ffmpeg
-      const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
-      const command = `${ffmpegPath} -i "${inputWav}" -f s16le -ar ${outputSampleRate} -ac 1 "${outputPcm}" -y`;
-      await execAsync(command);
-
-      // Read resampled PCM
-      const resampledBuffer = readFileSync(outputPcm);
-
-      // Cleanup
-      try {
-        unlinkSync(inputWav);
-        unlinkSync(outputPcm);
-      } catch (cleanupError) {
-        console.warn('Warning: Could not clean up temp files:', cleanupError.message);
-      }
+    const resampledBuffer = this.resample(pcmBuffer, inputSampleRate, outputSampleRate);
+    console.log(`✅ PCM resampled: ${inputSampleRate}Hz → ${outputSampleRate}Hz (${pcmBuffer.length} → ${resampledBuffer.length} bytes)`);
+    return resampledBuffer;
+  }
 
-      console.log(`✅ PCM resampled: ${inputSampleRate}Hz → ${outputSampleRate}Hz (${pcmBuffer.length} → ${resampledBuffer.length} bytes)`);
-      return resampledBuffer;
-    } catch (error) {
-      // Cleanup on error
-      try {
-        unlinkSync(inputWav);
-        unlinkSync(outputPcm);
-      } catch (cleanupError) {
-        // Ignore
-      }
-      throw new Error(`PCM resampling failed: ${error.message}`);
-    }
+  /**
+   * Wrap 16-bit PCM in a WAV container
+   *
+   * @param {Buffer} pcmBuffer - 16-bit little-endian PCM (channels interleaved)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} channels - Channel count (default: 1)
+   * @returns {Buffer} - WAV file
+   */
+  createWav(pcmBuffer, sampleRate, channels = 1) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + pcmBuffer.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(WAV_PCM, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * 2, 28); // Byte rate
+    header.writeUInt16LE(channels * 2, 32); // Block align
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(pcmBuffer.length, 40);
+    return Buffer.concat([header, pcmBuffer]);
   }
 
   /**
@@ -207,6 +398,111 @@ class AudioConverter {
     }
     return chunks;
   }
+
+  /**
+   * Encode 16-bit PCM to 8-bit G.711 μ-law (Twilio Media Streams format)
+   * 
+   * @param {Buffer} pcmBuffer - PCM audio buffer (16-bit, little-endian, mono)
+   * @returns {Buffer} - μ-law buffer (one byte per sample)
+   */
+  pcmToMulaw(pcmBuffer) {
+    const BIAS = 0x84;
+    const CLIP = 32635;
+    const output = Buffer.alloc(Math.floor(pcmBuffer.length / 2));
+
+    for (let i = 0; i < output.length; i++) {
+      let sample = pcmBuffer.readInt16LE(i * 2);
+      const sign = sample < 0 ? 0x80 : 0;
+      if (sign) sample = -sample;
+      if (sample > CLIP) sample = CLIP;
+      sample += BIAS;
+
+      let exponent = 7;
+      for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+      }
+      const mantissa = (sample >> (exponent + 3)) & 0x0F;
+      output[i] = ~(sign | (exponent << 4) | mantissa) & 0xFF;
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode 8-bit G.711 μ-law to 16-bit PCM
+   * 
+   * @param {Buffer} mulawBuffer - μ-law buffer (one byte per sample)
+   * @returns {Buffer} - PCM audio buffer (16-bit, little-endian, mono)
+   */
+  mulawToPCM(mulawBuffer) {
+    const output = Buffer.alloc(mulawBuffer.length * 2);
+
+    for (let i = 0; i < mulawBuffer.length; i++) {
+      const value = ~mulawBuffer[i] & 0xFF;
+      const sign = value & 0x80;
+      const exponent = (value >> 4) & 0x07;
+      const mantissa = value & 0x0F;
+      const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+      output.writeInt16LE(sign ? -magnitude : magnitude, i * 2);
+    }
+
+    return output;
+  }
+
+  /**
+   * Encode 16-bit PCM to 8-bit G.711 A-law
+   * 
+   * @param {Buffer} pcmBuffer - PCM audio buffer (16-bit, little-endian, mono)
+   * @returns {Buffer} - A-law buffer (one byte per sample)
+   */
+  pcmToAlaw(pcmBuffer) {
+    const output = Buffer.alloc(Math.floor(pcmBuffer.length / 2));
+
+    for (let i = 0; i < output.length; i++) {
+      let sample = pcmBuffer.readInt16LE(i * 2) >> 3; // A-law works on 13-bit samples
+      // Sign bit set for positive samples; even bits are inverted on the wire (0x55)
+      let mask = 0xD5;
+      if (sample < 0) {
+        mask = 0x55;
+        sample = -sample - 1;
+      }
+
+      let segment = 0;
+      while (segment < 8 && sample > (0x20 << segment) - 1) {
+        segment++;
+      }
+      if (segment >= 8) {
+        output[i] = 0x7F ^ mask;
+        continue;
+      }
+      const mantissa = segment < 2 ? (sample >> 1) & 0x0F : (sample >> segment) & 0x0F;
+      output[i] = ((segment << 4) | mantissa) ^ mask;
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode 8-bit G.711 A-law to 16-bit PCM
+   * 
+   * @param {Buffer} alawBuffer - A-law buffer (one byte per sample)
+   * @returns {Buffer} - PCM audio buffer (16-bit, little-endian, mono)
+   */
+  alawToPCM(alawBuffer) {
+    const output = Buffer.alloc(alawBuffer.length * 2);
+
+    for (let i = 0; i < alawBuffer.length; i++) {
+      const value = alawBuffer[i] ^ 0x55;
+      const segment = (value >> 4) & 0x07;
+      let magnitude = ((value & 0x0F) << 4) + (segment === 0 ? 8 : 0x108);
+      if (segment > 1) {
+        magnitude <<= segment - 1;
+      }
+      output.writeInt16LE(value & 0x80 ? magnitude : -magnitude, i * 2);
+    }
+
+    return output;
+  }
 }
 
 export const audioConverter = new AudioConverter();
@@ -0,0 +1,80 @@
+/**
+ * Barge-in Service
+ * Lets the caller interrupt the bot: when the caller speaks over the bot's playback for
+ * BARGE_IN_MIN_SPEECH_MS, the bot stops talking, the provider's buffered audio is cleared,
+ * the reply still being generated is aborted and the caller's words are answered instead.
+ *
+ * Playback is tracked by playbackService: the bot is audible while audio is queued or
+ * buffered at the provider.
+ * Disabled per call with the barge_in=false parameter or globally with BARGE_IN_ENABLED=false.
+ */
+
+import dotenv from 'dotenv';
+import { vadService } from './vadService.js';
+import { playbackService } from './playbackService.js';
+import { monitoringService } from './monitoringService.js';
+import { isDisabled } from './callContextService.js';
+
+dotenv.config();
+
+class BargeInService {
+  constructor() {
+    this.enabled = process.env.BARGE_IN_ENABLED !== 'false';
+    // Speech needed to interrupt; shorter than this is a backchannel ("haan", "hmm") or line echo
+    this.minSpeechMs = parseInt(process.env.BARGE_IN_MIN_SPEECH_MS) || 400;
+  }
+
+  /**
+   * Check whether the caller may interrupt this call's bot (barge_in per-call parameter, else BARGE_IN_ENABLED)
+   * @param {Object} session - Voice session
+   * @returns {boolean}
+   */
+  isEnabled(session) {
+    const perCall = session?.customParameters?.barge_in;
+    if (perCall !== undefined && perCall !== null && perCall !== '') {
+      return !isDisabled(perCall);
+    }
+    return this.enabled;
+  }
+
+  /**
+   * Check whether the caller can still hear bot audio
+   * @param {Object} session - Voice session
+   * @returns {boolean}
+   */
+  isPlaying(session) {
+    return playbackService.isPlaying(session);
+  }
+
+  /**
+   * Decide whether the caller's speech interrupts the bot
+   * @param {Object} session - Voice session
+   * @returns {boolean}
+   */
+  shouldBargeIn(session) {
+    const playback = session.playbackController;
+    if (!playback || playback.signal.aborted || !this.isPlaying(session)) {
+      return false;
+    }
+    if (!this.isEnabled(session)) {
+      return false;
+    }
+    return vadService.getSpeechMs(session) >= this.minSpeechMs;
+  }
+
+  /**
+   * Store an interruption, logged with where the caller cut the bot off
+   * @param {Object} session - Voice session
+   * @param {Object} position - Playback position when playback was cleared (see playbackService.getPosition)
+   */
+  recordBargeIn(session, position) {
+    session.bargeInCount = (session.bargeInCount || 0) + 1;
+    monitoringService.addLog(session.callId, 'info', 'Caller interrupted the bot', {
+      playedMs: position.playedMs,
+      unplayedMs: position.sentMs - position.playedMs,
+      interruptedText: position.segment
+    });
+  }
+}
+
+export const bargeInService = new BargeInService();
@@ -0,0 +1,145 @@
+/**
+ * Call Context Service
+ * Stores per-call parameters under a generated token (sent to Exotel as CustomField)
+ * and resolves them when the voicebot stream connects
+ */
+
+import { randomBytes } from 'crypto';
+import dotenv from 'dotenv';
+import CallContext from '../models/CallContext.js';
+import { connectDB } from '../config/db.js';
+import { dtmfService } from './dtmfService.js';
+import { amdService } from './amdService.js';
+import { fillerService } from './fillerService.js';
+
+dotenv.config();
+
+const TOKEN_PREFIX = 'ctx_';
+// Contexts must outlive retries of the call they belong to
+const CONTEXT_TTL_MS = (parseFloat(process.env.CALL_CONTEXT_TTL_HOURS) || 48) * 60 * 60 * 1000;
+const MAX_PARAMS_SIZE = 16 * 1024; // 16KB of JSON
+// Known parameters that are used as text (prompts, spoken messages, voice names)
+const STRING_PARAMS = [
+  'persona_name', 'tone', 'gender', 'city', 'language', 'documents', 'customer_name', 'callback_context',
+  'greeting', 'voice_id', 'hold_message', 'closing_message', 'silence_prompt', 'voicemail_message'
+];
+
+// In-process cache so the common case (same instance dials and serves the stream) skips MongoDB
+const cache = new Map(); // token -> { params, expiresAt }
+
+/**
+ * Validate per-call parameters (types of the known text parameters and the feature parameters)
+ * @param {*} params - Value from the request body
+ * @returns {string|null} Error message or null if valid
+ */
+function validateCallParams(params) {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return 'params must be an object';
+  }
+  if (JSON.stringify(params).length > MAX_PARAMS_SIZE) {
+    return `params must be smaller than ${MAX_PARAMS_SIZE / 1024}KB`;
+  }
+  for (const key of STRING_PARAMS) {
+    if (params[key] !== undefined && params[key] !== null && typeof params[key] !== 'string') {
+      return `${key} must be a string`;
+    }
+  }
+  if (params.persona_age !== undefined && params.persona_age !== null && !['string', 'number'].includes(typeof params.persona_age)) {
+    return 'persona_age must be a string or number';
+  }
+  const transferNumbers = params.transfer_number;
+  if (transferNumbers !== undefined && transferNumbers !== null && typeof transferNumbers !== 'string' &&
+      !(Array.isArray(transferNumbers) && transferNumbers.every(number => typeof number === 'string'))) {
+    return 'transfer_number must be a string or a list of strings';
+  }
+  // Parameters of the call features (keypad menu, voicemail detection, fillers)
+  return dtmfService.parseMenu(params.keypad_menu).error ||
+    amdService.validateParams(params) ||
+    fillerService.validateParams(params);
+}
+
+/**
+ * Check whether a per-call flag is switched off ("false", "0", "no", "off" or false)
+ * @param {*} value - Parameter value
+ * @returns {boolean}
+ */
+function isDisabled(value) {
+  return value === false || ['false', '0', 'no', 'off'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Check whether a value looks like a call token generated by this service
+ * @param {string} value - Candidate token
+ * @returns {boolean}
+ */
+function isCallToken(value) {
+  return typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Drop expired entries once the cache grows large
+ */
+function pruneCache() {
+  if (cache.size < 1000) {
+    return;
+  }
+  const now = new Date();
+  for (const [token, entry] of cache) {
+    if (entry.expiresAt <= now) {
+      cache.delete(token);
+    }
+  }
+}
+
+/**
+ * Store per-call parameters and return the token to pass as CustomField
+ * @param {Object} params - Per-call parameters (persona_name, customer_name, greeting, voice_id, ...)
+ * @param {Object} options - { startsAt: when the call is placed, for calls scheduled ahead (default: now) }
+ * @returns {Promise<string>} Call token
+ */
+async function createCallContext(params, options = {}) {
+  await connectDB();
+
+  const token = `${TOKEN_PREFIX}${randomBytes(12).toString('hex')}`;
+  const expiresAt = new Date((options.startsAt ? options.startsAt.getTime() : Date.now()) + CONTEXT_TTL_MS);
+
+  await CallContext.create({ token, params, expiresAt });
+  pruneCache();
+  cache.set(token, { params, expiresAt });
+
+  return token;
+}
+
+/**
+ * Resolve the parameters stored for a call token
+ * @param {string} token - Call token
+ * @returns {Promise<Object|null>} Stored parameters or null if unknown/expired
+ */
+async function resolveCallContext(token) {
+  if (!isCallToken(token)) {
+    return null;
+  }
+
+  const cached = cache.get(token);
+  if (cached) {
+    if (cached.expiresAt > new Date()) {
+      return cached.params;
+    }
+    cache.delete(token);
+  }
+
+  try {
+    await connectDB();
+    const context = await CallContext.findOne({ token, expiresAt: { $gt: new Date() } }).lean();
+    if (!context) {
+      return null;
+    }
+    cache.set(token, { params: context.params, expiresAt: context.expiresAt });
+    return context.params;
+  } catch (error) {
+    console.error(`❌ Error resolving call context ${token}:`, error.message);
+    return null;
+  }
+}
+
+export { createCallContext, resolveCallContext, validateCallParams, isCallToken, isDisabled };
@@ -0,0 +1,407 @@
+/**
+ * Call Scheduler
+ * Dials outbound calls through ExotelVoicebotCaller, records every attempt
+ * in MongoDB and re-dials unanswered calls according to the retry policy.
+ * Every dial passes the compliance gate (DNC, calling hours, frequency cap) first.
+ *
+ * Emits 'attemptEnded' (attempt) whenever an attempt gets its final outcome.
+ */
+
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import CallAttempt from '../models/CallAttempt.js';
+import { connectDB } from '../config/db.js';
+import { ExotelVoicebotCaller } from '../index.js';
+import { getDefaultRetryPolicy, mergeRetryPolicy, getRetryDelayMs } from './retryPolicy.js';
+import { complianceService } from './complianceService.js';
+import { normalizePhoneNumber } from './phoneNumber.js';
+import { callerIdService } from './callerIdService.js';
+
+dotenv.config();
+
+class CallScheduler extends EventEmitter {
+  constructor() {
+    super();
+    this.caller = null; // Created lazily so the server starts without Exotel config
+    this.timer = null;
+    this.ticking = false;
+    this.pollIntervalMs = parseInt(process.env.CALL_SCHEDULER_POLL_MS) || 5000;
+    // The voicebot stream starts when the callee answers; no stream within this window means no answer
+    this.noAnswerTimeoutMs = parseInt(process.env.CALL_NO_ANSWER_TIMEOUT_MS) || 2 * 60 * 1000;
+    // Answered calls with no end event after this long are closed as completed
+    this.maxCallDurationMs = parseInt(process.env.CALL_MAX_DURATION_MS) || 30 * 60 * 1000;
+  }
+
+  /**
+   * Get the shared Exotel caller (uses environment configuration)
+   * @returns {ExotelVoicebotCaller}
+   */
+  getCaller() {
+    if (!this.caller) {
+      this.caller = new ExotelVoicebotCaller({});
+    }
+    return this.caller;
+  }
+
+  /**
+   * Start the polling loop (idempotent)
+   * @returns {Promise<boolean>} True if the loop is running
+   */
+  async start() {
+    if (this.timer) {
+      return true;
+    }
+
+    try {
+      await connectDB();
+    } catch (error) {
+      console.warn('⚠️  Call scheduler not started (MongoDB unavailable):', error.message);
+      return false;
+    }
+
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        this.tick().catch(error => {
+          console.error('❌ Call scheduler error:', error.message);
+        });
+      }, this.pollIntervalMs);
+      console.log(`⏰ Call scheduler started (poll every ${this.pollIntervalMs}ms)`);
+    }
+    return true;
+  }
+
+  /**
+   * Stop the polling loop
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Dial a number now and record the attempt
+   *
+   * @param {string} phoneNumber - Number to call
+   * @param {Object} options - Optional settings
+   * @param {string} options.from - Fixed ExoPhone (skips caller ID rotation)
+   * @param {string} options.callerIdStrategy - fixed, round-robin or region (default: CALLER_ID_STRATEGY)
+   * @param {string} options.customField - CustomField passed to Exotel
+   * @param {boolean} options.retry - Re-dial on retryable outcomes (default: true)
+   * @param {Object} options.retryPolicy - Partial retry policy override
+   * @param {string} options.campaignId - Campaign this attempt belongs to
+   * @param {string} options.contactId - Campaign contact this attempt belongs to
+   * @param {number} options.attemptNumber - Attempt number (default: 1)
+   * @returns {Promise<{attempt: Object, result: Object}>} Attempt document and makeCall result
+   */
+  async dial(phoneNumber, options = {}) {
+    await connectDB();
+
+    const attempt = new CallAttempt({
+      phoneNumber: normalizePhoneNumber(phoneNumber) || phoneNumber,
+      from: options.from || undefined,
+      callerIdStrategy: options.callerIdStrategy || undefined,
+      customField: options.customField || undefined,
+      attemptNumber: options.attemptNumber || 1,
+      retryEnabled: options.retry !== false,
+      retryPolicy: options.retryPolicy || undefined,
+      campaignId: options.campaignId || undefined,
+      contactId: options.contactId || undefined,
+      status: 'dialing',
+      scheduledAt: new Date(),
+      dialedAt: new Date()
+    });
+    await attempt.save();
+
+    this.start().catch(() => {});
+
+    const result = await this.placeCall(attempt);
+    return { attempt, result };
+  }
+
+  /**
+   * Schedule a call for later
+   *
+   * @param {string} phoneNumber - Number to call
+   * @param {Date} scheduledAt - When to dial
+   * @param {Object} options - Same options as dial(), plus previousAttemptId and
+   *   callbackForCallSid (CallSid of the call in which the callee asked for this call)
+   * @returns {Promise<Object>} Scheduled attempt document
+   */
+  async schedule(phoneNumber, scheduledAt, options = {}) {
+    await connectDB();
+
+    const attempt = new CallAttempt({
+      phoneNumber: normalizePhoneNumber(phoneNumber) || phoneNumber,
+      from: options.from || undefined,
+      callerIdStrategy: options.callerIdStrategy || undefined,
+      customField: options.customField || undefined,
+      attemptNumber: options.attemptNumber || 1,
+      retryEnabled: options.retry !== false,
+      retryPolicy: options.retryPolicy || undefined,
+      campaignId: options.campaignId || undefined,
+      contactId: options.contactId || undefined,
+      previousAttemptId: options.previousAttemptId || undefined,
+      callbackForCallSid: options.callbackForCallSid || undefined,
+      status: 'scheduled',
+      scheduledAt
+    });
+    await attempt.save();
+
+    this.start().catch(() => {});
+
+    console.log(`⏰ Call to ${phoneNumber} scheduled for ${scheduledAt.toISOString()} (attempt ${attempt.attemptNumber})`);
+    return attempt;
+  }
+
+  /**
+   * Place the Exotel call for an attempt that is already marked as dialing
+   * @param {Object} attempt - CallAttempt document
+   * @param {Object} options - { deferIfBlocked: reschedule instead of blocking when the call is permitted later }
+   * @returns {Promise<Object>} makeCall result, or { success: false, blocked: true, reason, ... }
+   */
+  async placeCall(attempt, options = {}) {
+    const compliance = await complianceService.checkCall(attempt.phoneNumber, { excludeAttemptId: attempt._id });
+    if (!compliance.allowed) {
+      return await this.blockAttempt(attempt, compliance, options);
+    }
+
+    attempt.from = await callerIdService.selectCallerId(attempt.phoneNumber, {
+      strategy: attempt.callerIdStrategy,
+      from: attempt.from
+    }) || undefined;
+
+    let result;
+    try {
+      result = await this.getCaller().makeCall(attempt.phoneNumber, attempt.from || null, attempt.customField || null);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      attempt.callSid = result.callSid;
+      await attempt.save();
+      await callerIdService.recordCall(attempt.from);
+      console.log(`📞 Attempt ${attempt.attemptNumber} to ${attempt.phoneNumber} dialing (CallSid: ${result.callSid})`);
+    } else {
+      attempt.error = typeof result.error === 'string' ? result.error : JSON.stringify(result.error);
+      await this.endAttempt(attempt, 'failed');
+    }
+
+    return result;
+  }
+
+  /**
+   * Handle an attempt rejected by the compliance gate
+   * Scheduled attempts are moved to the next permitted time when there is one;
+   * everything else ends as blocked (no retry) and notifies listeners
+   *
+   * @param {Object} attempt - CallAttempt document
+   * @param {Object} compliance - complianceService.checkCall result
+   * @param {Object} options - { deferIfBlocked }
+   * @returns {Promise<Object>} Blocked result
+   */
+  async blockAttempt(attempt, compliance, options = {}) {
+    const result = {
+      success: false,
+      blocked: true,
+      reason: compliance.reason,
+      error: compliance.message,
+      retryAt: compliance.retryAt || null
+    };
+
+    attempt.blockedReason = compliance.reason;
+    attempt.retryAfter = compliance.retryAt || undefined;
+
+    if (options.deferIfBlocked && compliance.retryAt) {
+      attempt.status = 'scheduled';
+      attempt.scheduledAt = compliance.retryAt;
+      attempt.dialedAt = undefined;
+      await attempt.save();
+      console.log(`⏸️  Call to ${attempt.phoneNumber} deferred to ${compliance.retryAt.toISOString()} (${compliance.reason})`);
+      return { ...result, deferred: true };
+    }
+
+    attempt.status = 'blocked';
+    attempt.outcome = 'blocked';
+    attempt.error = compliance.message;
+    attempt.endedAt = new Date();
+    await attempt.save();
+
+    this.emit('attemptEnded', attempt);
+    return result;
+  }
+
+  /**
+   * Mark the attempt for a CallSid as answered (voicebot stream started)
+   * @param {string} callSid - Exotel CallSid
+   * @returns {Promise<Object|null>} Updated attempt or null
+   */
+  async recordAnswered(callSid) {
+    if (!callSid) {
+      return null;
+    }
+
+    try {
+      await connectDB();
+      return await CallAttempt.findOneAndUpdate(
+        { callSid, status: 'dialing' },
+        { status: 'in-progress', answeredAt: new Date() },
+        { new: true }
+      );
+    } catch (error) {
+      console.error(`❌ Error recording answered call ${callSid}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record the final outcome of the attempt for a CallSid
+   * Safe to call for calls that were not placed through the scheduler
+   *
+   * @param {string} callSid - Exotel CallSid
+   * @param {string} outcome - completed, busy, no-answer, failed, canceled, machine or voicemail
+   * @param {Object} extra - { transcriptId }
+   * @returns {Promise<Object|null>} Updated attempt or null
+   */
+  async recordOutcome(callSid, outcome, extra = {}) {
+    if (!callSid) {
+      return null;
+    }
+
+    try {
+      await connectDB();
+      const attempt = await CallAttempt.findOne({ callSid, status: { $in: ['dialing', 'in-progress'] } });
+      if (!attempt) {
+        return null;
+      }
+      if (extra.transcriptId) {
+        attempt.transcriptId = extra.transcriptId;
+      }
+      return await this.endAttempt(attempt, outcome);
+    } catch (error) {
+      console.error(`❌ Error recording outcome for ${callSid}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Close an attempt with its outcome, schedule a retry if the policy allows and notify listeners
+   * @param {Object} attempt - CallAttempt document
+   * @param {string} outcome - Final outcome
+   * @returns {Promise<Object>} Updated attempt
+   */
+  async endAttempt(attempt, outcome) {
+    attempt.status = 'ended';
+    attempt.outcome = outcome;
+    attempt.endedAt = new Date();
+    await attempt.save();
+
+    console.log(`📋 Attempt ${attempt.attemptNumber} to ${attempt.phoneNumber} ended: ${outcome}`);
+
+    if (attempt.callSid && attempt.from) {
+      await callerIdService.recordOutcome(attempt.from, Boolean(attempt.answeredAt) || outcome === 'completed');
+    }
+
+    if (attempt.retryEnabled) {
+      const policy = mergeRetryPolicy(getDefaultRetryPolicy(), attempt.retryPolicy);
+      const delayMs = getRetryDelayMs(policy, outcome, attempt.attemptNumber);
+      if (delayMs !== null) {
+        // Retries keep the caller ID of the first attempt so the callee sees the same number
+        await this.schedule(attempt.phoneNumber, new Date(Date.now() + delayMs), {
+          from: attempt.from,
+          callerIdStrategy: attempt.callerIdStrategy,
+          customField: attempt.customField,
+          retryPolicy: attempt.retryPolicy,
+          attemptNumber: attempt.attemptNumber + 1,
+          previousAttemptId: attempt._id
+        });
+      }
+    }
+
+    this.emit('attemptEnded', attempt);
+    return attempt;
+  }
+
+  /**
+   * Cancel a scheduled attempt
+   * @param {string} attemptId - CallAttempt ID
+   * @returns {Promise<Object|null>} Cancelled attempt or null if not scheduled
+   */
+  async cancel(attemptId) {
+    await connectDB();
+    return await CallAttempt.findOneAndUpdate(
+      { _id: attemptId, status: 'scheduled' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+  }
+
+  /**
+   * Get attempt history for a number (newest first)
+   * @param {string} phoneNumber - Phone number
+   * @param {number} limit - Maximum attempts to return (default: 50)
+   * @returns {Promise<Array>} Attempts
+   */
+  async getHistory(phoneNumber, limit = 50) {
+    await connectDB();
+    return await CallAttempt.find({ phoneNumber: normalizePhoneNumber(phoneNumber) || phoneNumber })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * One poll iteration: dial due attempts and close attempts that never reported an end
+   */
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      // Dial every attempt that is due
+      let attempt;
+      while ((attempt = await CallAttempt.findOneAndUpdate(
+        { status: 'scheduled', scheduledAt: { $lte: new Date() } },
+        { status: 'dialing', dialedAt: new Date() },
+        { sort: { scheduledAt: 1 }, new: true }
+      ))) {
+        try {
+          await this.placeCall(attempt, { deferIfBlocked: true });
+        } catch (error) {
+          // Compliance, caller ID or save failed before the dial: free the campaign slot
+          console.error(`❌ Attempt ${attempt.attemptNumber} to ${attempt.phoneNumber} could not be placed:`, error.message);
+          attempt.error = error.message;
+          await this.endAttempt(attempt, 'failed').catch(endError => {
+            console.error(`❌ Error ending attempt ${attempt._id}:`, endError.message);
+          });
+        }
+      }
+
+      // Never answered within the ring window (no CallSid: the dial never went out)
+      const unanswered = await CallAttempt.find({
+        status: 'dialing',
+        dialedAt: { $lt: new Date(Date.now() - this.noAnswerTimeoutMs) }
+      });
+      for (const stale of unanswered) {
+        await this.endAttempt(stale, stale.callSid ? 'no-answer' : 'failed');
+      }
+
+      // Answered but the stream end was never reported
+      const abandoned = await CallAttempt.find({
+        status: 'in-progress',
+        answeredAt: { $lt: new Date(Date.now() - this.maxCallDurationMs) }
+      });
+      for (const stale of abandoned) {
+        await this.endAttempt(stale, 'completed');
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+}
+
+export const callScheduler = new CallScheduler();
@@ -0,0 +1,524 @@
+/**
+ * Callback Service
+ * Turns a caller's "call me back" request into a scheduled outbound call
+ *
+ * The callback time is extracted from English or Hinglish, relative or absolute:
+ *   "call me back in an hour", "2 ghante baad call karna", "aadhe ghante mein"
+ *   "kal shaam ko call karna", "tomorrow at 5:30 pm", "parso subah 10 baje", "Monday 11 am"
+ * The time is read back to the caller and scheduled once confirmed ("haan", "yes"), through
+ * callScheduler with the same persona and call parameters, the ExoPhone of this call and the
+ * recent conversation as callback_context.
+ * Times are in the caller's timezone (see complianceService.getTimezone).
+ */
+
+import dotenv from 'dotenv';
+import { callScheduler } from './callScheduler.js';
+import { complianceService } from './complianceService.js';
+import { createCallContext } from './callContextService.js';
+import { normalizePhoneNumber } from './phoneNumber.js';
+
+dotenv.config();
+
+// Caller asks to be called later (English / Hinglish / Hindi). A bare "call karna" is not enough:
+// it needs a later time ("kal call karna") or a request to us ("call kar dena").
+const CALLBACK_PATTERN = /\b(call\s*(me\s*)?back|callback|call (me )?(later|again|tomorrow)|ring me)\b|(baad|phir|fir|dobara) (mein |me |se )?(call|phone)|\b(kal|parso|shaam|sham|subah|raat|baje|ghante|minute)\b.*\b(call|phone) kar(na|o|iye|ein|en|ega|egi|lena|le|dena|dijiye)\b|\b(call|phone) kar (dena|dijiye|dijiyega|lena|lijiye|lijiyega)\b|abhi (busy|time nahi|baat nahi)|busy (hoon|hu|hun)|(बाद में|फिर|कल) (कॉल|फोन)|(कॉल|फोन) कर (देना|दीजिए|दीजिये)/i;
+const YES_PATTERN = /\b(yes|yeah|yep|sure|ok|okay|haan?|han|ji|theek|thik|sahi|bilkul|correct|right|chalega|perfect|done)\b|हाँ|हां|ठीक/i;
+const NO_PATTERN = /\b(no|nope|not|nahi|nahin|nai|mat|galat|wrong)\b|नहीं/i;
+
+// Keys of the current call's parameters that must not travel to the callback
+const DROPPED_PARAMS = ['call_token', 'CustomField', 'customField', 'custom_field', 'from', 'to', 'callback_context', 'callback_requested_for'];
+const MAX_CONTEXT_CHARS = 2000;
+
+const NUMBER_WORDS = {
+  ek: 1, one: 1, do: 2, two: 2, teen: 3, three: 3, char: 4, chaar: 4, four: 4,
+  paanch: 5, panch: 5, five: 5, chhe: 6, che: 6, six: 6, saat: 7, seven: 7,
+  aath: 8, eight: 8, nau: 9, nine: 9, das: 10, dus: 10, ten: 10,
+  gyarah: 11, gyaarah: 11, eleven: 11, barah: 12, baarah: 12, twelve: 12,
+  pandrah: 15, fifteen: 15, bees: 20, twenty: 20, tees: 30, thirty: 30, pachaas: 50, fifty: 50
+};
+const NUMBER = `(?:\\d{1,3}|${Object.keys(NUMBER_WORDS).join('|')})`;
+// Quantities that are not plain numbers ("aadhe ghante", "dedh ghanta", "half an hour", "an hour")
+const FRACTION_WORDS = { aadha: 0.5, aadhe: 0.5, aadhi: 0.5, half: 0.5, 'half an': 0.5, 'half a': 0.5, dedh: 1.5, dhai: 2.5, a: 1, an: 1 };
+const FRACTION = Object.keys(FRACTION_WORDS).sort((a, b) => b.length - a.length).join('|');
+
+const RELATIVE_PATTERN = new RegExp(`(?:^|\\s)(${NUMBER}|${FRACTION})?\\s*(hours?|hrs?|ghant[ea]|ghanton|minutes?|mins?|minat|mint)\\b`, 'i');
+const CLOCK_PATTERN = new RegExp(`(?:\\b(at|around|by|saade|sadhe|saadhe|sawa|sava|paune|pone)\\s+)?(?<!\\w)(${NUMBER})(?:[:.](\\d{2}))?\\s*(a\\.?m\\.?|p\\.?m\\.?|baje|bje|o'?clock)?(?![\\w:])`, 'gi');
+const HALF_HOUR_CLOCK_PATTERN = /\b(dedh|dhai) (baje|bje)\b/i;
+
+const DAY_WORDS = [
+  { pattern: /\b(day after tomorrow|parso|parson)\b|परसों/i, offset: 2 },
+  { pattern: /\b(tomorrow|kal)\b|कल/i, offset: 1 },
+  { pattern: /\b(today|tonight|aaj)\b|आज/i, offset: 0 },
+  { pattern: /\b(next week|agle (hafte|week))\b/i, offset: 7 }
+];
+const DAYS_LATER_PATTERN = new RegExp(`(?<!\\w)(${NUMBER})\\s*(din|days?)\\b`, 'i');
+const WEEKDAYS = [
+  /\b(sunday|ravivar|raviwar|itvaar|itwar)\b/i,
+  /\b(monday|somvar|somwar)\b/i,
+  /\b(tuesday|mangalvar|mangalwar)\b/i,
+  /\b(wednesday|budhvar|budhwar)\b/i,
+  /\b(thursday|guruvar|guruwar|veervar)\b/i,
+  /\b(friday|shukravar|shukrawar)\b/i,
+  /\b(saturday|shanivar|shaniwar)\b/i
+];
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+// Part of the day: default hour and whether clock hours mean PM
+const DAY_PARTS = [
+  { name: 'morning', pattern: /\b(morning|subah|subha|savere|sawere)\b|सुबह/i, hour: 10, pm: false },
+  { name: 'noon', pattern: /\bnoon\b/i, hour: 12, pm: true },
+  { name: 'afternoon', pattern: /\b(afternoon|dopahar|dopehar|dupahar)\b|दोपहर/i, hour: 14, pm: true },
+  { name: 'evening', pattern: /\b(evening|shaam|sham)\b|शाम/i, hour: 18, pm: true },
+  { name: 'night', pattern: /\b(night|tonight|raat)\b|रात/i, hour: 20, pm: true }
+];
+
+/**
+ * Convert a number token ("5", "paanch", "five") to a number
+ * @param {string} token - Number token
+ * @returns {number}
+ */
+function toNumber(token) {
+  const lower = token.toLowerCase();
+  return /^\d+$/.test(lower) ? parseInt(lower, 10) : NUMBER_WORDS[lower];
+}
+
+/**
+ * Wall-clock parts of a date in a timezone
+ * @param {Date} date - Date
+ * @param {string} timezone - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}}
+ */
+function getLocalParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type).value;
+  return {
+    year: parseInt(get('year')),
+    month: parseInt(get('month')),
+    day: parseInt(get('day')),
+    hour: parseInt(get('hour')),
+    minute: parseInt(get('minute')),
+    weekday: WEEKDAY_INDEX[get('weekday')]
+  };
+}
+
+/**
+ * Date for a wall-clock time in a timezone (day may overflow into the next month)
+ * @param {Object} local - { year, month, day, hour, minute }
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+function fromLocalTime({ year, month, day, hour, minute }, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const actual = getLocalParts(new Date(guess), timezone);
+  const offset = Date.UTC(actual.year, actual.month - 1, actual.day, actual.hour, actual.minute) - guess;
+  return new Date(guess - offset);
+}
+
+class CallbackService {
+  constructor() {
+    this.enabled = process.env.CALLBACK_ENABLED !== 'false';
+    this.defaultHour = parseInt(process.env.CALLBACK_DEFAULT_HOUR) || 11; // "kal call karna" without a time
+    this.minDelayMinutes = parseInt(process.env.CALLBACK_MIN_DELAY_MINUTES) || 5;
+    this.maxDays = parseInt(process.env.CALLBACK_MAX_DAYS) || 14;
+  }
+
+  /**
+   * Extract a callback time from caller text
+   *
+   * @param {string} text - Caller input
+   * @param {Date} now - Reference time
+   * @param {string} timezone - Caller's IANA timezone
+   * @param {Date|null} defaultDay - Day used when the text names only a time (correcting a time read back)
+   * @returns {Date|null} Callback time, or null when the text names no (future) time
+   */
+  parseTime(text, now = new Date(), timezone = 'Asia/Kolkata', defaultDay = null) {
+    if (!text) {
+      return null;
+    }
+    const lower = text.toLowerCase();
+
+    // Relative: "in 2 hours", "aadhe ghante baad", "30 minute mein"
+    const relative = lower.match(RELATIVE_PATTERN);
+    if (relative) {
+      const quantity = relative[1]
+        ? (FRACTION_WORDS[relative[1].replace(/\s+/g, ' ')] ?? toNumber(relative[1]))
+        : 1;
+      const minutes = /^(hour|hr|ghant)/.test(relative[2]) ? quantity * 60 : quantity;
+      return this.validate(new Date(now.getTime() + Math.max(minutes, this.minDelayMinutes) * 60 * 1000), now);
+    }
+
+    const today = getLocalParts(now, timezone);
+    let dayOffset = this.matchDay(lower, today.weekday);
+    const part = DAY_PARTS.find(candidate => candidate.pattern.test(lower)) || null;
+    const clock = this.matchClock(lower);
+    if (dayOffset === null && !part && !clock) {
+      return null;
+    }
+    if (dayOffset === null && defaultDay) {
+      const base = getLocalParts(defaultDay, timezone);
+      dayOffset = Math.round(
+        (Date.UTC(base.year, base.month - 1, base.day) - Date.UTC(today.year, today.month - 1, today.day)) / (24 * 60 * 60 * 1000)
+      );
+    }
+
+    let hour = part ? part.hour : this.defaultHour;
+    let minute = 0;
+    if (clock) {
+      ({ hour, minute } = clock);
+      if (clock.meridiem === 'pm' && hour < 12) {
+        hour += 12;
+      } else if (clock.meridiem === 'am' && hour === 12) {
+        hour = 0;
+      } else if (!clock.meridiem && hour < 12 && (part ? part.pm : hour <= 7)) {
+        // "shaam 6 baje" and a bare "5 baje" are afternoon/evening times
+        hour += 12;
+      }
+    }
+
+    let at = fromLocalTime({ ...today, day: today.day + (dayOffset ?? 0), hour, minute }, timezone);
+    if (dayOffset === null && at <= now) {
+      // "8 baje" said at 10 AM means 8 PM today; otherwise the next day
+      const evening = clock && !clock.meridiem && !part && hour < 12
+        ? new Date(at.getTime() + 12 * 60 * 60 * 1000)
+        : null;
+      at = evening && evening > now
+        ? evening
+        : fromLocalTime({ ...today, day: today.day + 1, hour, minute }, timezone);
+    }
+    return this.validate(at, now);
+  }
+
+  /**
+   * Day offset named in the text (today, kal, parso, "3 din baad", weekday, next week)
+   * @param {string} lower - Lowercased caller input
+   * @param {number} weekday - Today's weekday (0 = Sunday)
+   * @returns {number|null} Days from today, or null when no day is named
+   */
+  matchDay(lower, weekday) {
+    const word = DAY_WORDS.find(candidate => candidate.pattern.test(lower));
+    if (word) {
+      return word.offset;
+    }
+    const daysLater = lower.match(DAYS_LATER_PATTERN);
+    if (daysLater) {
+      return toNumber(daysLater[1]);
+    }
+    const target = WEEKDAYS.findIndex(pattern => pattern.test(lower));
+    if (target >= 0) {
+      // The same weekday as today means next week
+      return ((target - weekday + 7) % 7) || 7;
+    }
+    return null;
+  }
+
+  /**
+   * Clock time named in the text ("5 baje", "5:30 pm", "at five", "saade 5", "paune 6")
+   * @param {string} lower - Lowercased caller input
+   * @returns {{hour: number, minute: number, meridiem: string|null}|null}
+   */
+  matchClock(lower) {
+    const halfHour = lower.match(HALF_HOUR_CLOCK_PATTERN);
+    if (halfHour) {
+      return { hour: halfHour[1] === 'dedh' ? 1 : 2, minute: 30, meridiem: null };
+    }
+
+    for (const match of lower.matchAll(CLOCK_PATTERN)) {
+      const [, prefix, hourToken, minuteToken, suffix] = match;
+      // A bare number is only a time with a clock word around it
+      if (!prefix && !minuteToken && !suffix) {
+        continue;
+      }
+      let hour = toNumber(hourToken);
+      let minute = minuteToken ? parseInt(minuteToken, 10) : 0;
+      if (hour === undefined || hour > 23 || minute > 59) {
+        continue;
+      }
+
+      if (/^(saade|sadhe|saadhe)$/.test(prefix)) {
+        minute = 30;
+      } else if (/^(sawa|sava)$/.test(prefix)) {
+        minute = 15;
+      } else if (/^(paune|pone)$/.test(prefix)) {
+        hour = hour === 1 ? 12 : hour - 1;
+        minute = 45;
+      }
+
+      let meridiem = null;
+      if (suffix && suffix.startsWith('a')) {
+        meridiem = 'am';
+      } else if (suffix && suffix.startsWith('p')) {
+        meridiem = 'pm';
+      } else if (hour > 12) {
+        meridiem = 'pm';
+        hour -= 12;
+      }
+      return { hour, minute, meridiem };
+    }
+    return null;
+  }
+
+  /**
+   * Keep callback times between CALLBACK_MIN_DELAY_MINUTES from now and CALLBACK_MAX_DAYS ahead
+   * @param {Date} at - Parsed time
+   * @param {Date} now - Reference time
+   * @returns {Date|null}
+   */
+  validate(at, now) {
+    if (at.getTime() < now.getTime() + (this.minDelayMinutes - 1) * 60 * 1000) {
+      return null;
+    }
+    if (at.getTime() > now.getTime() + this.maxDays * 24 * 60 * 60 * 1000) {
+      return null;
+    }
+    return at;
+  }
+
+  /**
+   * Check whether the bot should speak Hinglish (unless the call's language is something else)
+   * @param {Object} session - Voice session
+   * @returns {boolean}
+   */
+  isHinglish(session) {
+    const language = session?.customParameters?.language;
+    return !language || /hi/i.test(language);
+  }
+
+  /**
+   * Read a callback time back to the caller
+   *
+   * @param {Date} at - Callback time
+   * @param {string} timezone - Caller's IANA timezone
+   * @param {boolean} hinglish - Speak Hinglish instead of English
+   * @param {Date} now - Reference time
+   * @returns {string} e.g. "kal shaam 6:30 baje" or "tomorrow at 6:30 PM"
+   */
+  describe(at, timezone, hinglish, now = new Date()) {
+    const local = getLocalParts(at, timezone);
+    const today = getLocalParts(now, timezone);
+    const days = Math.round(
+      (Date.UTC(local.year, local.month - 1, local.day) - Date.UTC(today.year, today.month - 1, today.day)) / (24 * 60 * 60 * 1000)
+    );
+    const dateLabel = new Intl.DateTimeFormat('en-IN', {
+      timeZone: timezone,
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long'
+    }).format(at);
+    const hour12 = local.hour % 12 || 12;
+    const clock = local.minute ? `${hour12}:${String(local.minute).padStart(2, '0')}` : `${hour12}`;
+
+    if (hinglish) {
+      const day = ['aaj', 'kal', 'parso'][days] || `${dateLabel} ko`;
+      let part = 'raat';
+      if (local.hour >= 4 && local.hour < 12) part = 'subah';
+      else if (local.hour >= 12 && local.hour < 16) part = 'dopahar';
+      else if (local.hour >= 16 && local.hour < 20) part = 'shaam';
+      return `${day} ${part} ${clock} baje`;
+    }
+
+    const day = ['today', 'tomorrow'][days] || `on ${dateLabel}`;
+    return `${day} at ${clock} ${local.hour < 12 ? 'AM' : 'PM'}`;
+  }
+
+  /**
+   * Handle a caller turn that may belong to a callback request
+   * Returns null when the turn is not about a callback (the model answers it as usual)
+   *
+   * @param {Object} session - Voice session
+   * @param {string} userText - Caller input as text
+   * @param {Date} now - Reference time
+   * @returns {Promise<{action: string, reply: string}|null>} action: ask-time, confirm, scheduled or failed
+   */
+  async handleTurn(session, userText, now = new Date()) {
+    if (!this.enabled || !userText) {
+      return null;
+    }
+
+    const state = session.callback;
+    const awaitingReply = state?.phase === 'confirming' || state?.phase === 'asking-time';
+    if (!awaitingReply && (state?.phase === 'scheduled' || !CALLBACK_PATTERN.test(userText))) {
+      return null;
+    }
+
+    const phoneNumber = await this.resolveCustomerNumber(session);
+    const timezone = complianceService.getTimezone(phoneNumber || '');
+    const hinglish = this.isHinglish(session);
+    const at = this.parseTime(userText, now, timezone);
+
+    if (state?.phase === 'confirming') {
+      // A new time corrects the one read back; otherwise yes schedules and no asks again
+      const corrected = this.parseTime(userText, now, timezone, state.at);
+      if (corrected && corrected.getTime() !== state.at.getTime()) {
+        return this.confirm(session, corrected, timezone, hinglish, now);
+      }
+      if (NO_PATTERN.test(userText)) {
+        return this.askTime(session, hinglish);
+      }
+      if (YES_PATTERN.test(userText)) {
+        return this.scheduleCallback(session, phoneNumber, timezone, hinglish, now);
+      }
+      session.callback = null;
+      return null;
+    }
+
+    if (state?.phase === 'asking-time') {
+      if (at) {
+        return this.confirm(session, at, timezone, hinglish, now);
+      }
+      // The caller moved on without giving a time
+      session.callback = null;
+      return null;
+    }
+
+    session.callback = { phase: 'asking-time', requestText: userText };
+    console.log(`📅 [${session.callId}] Callback requested: "${userText}"`);
+    return at ? this.confirm(session, at, timezone, hinglish, now) : this.askTime(session, hinglish);
+  }
+
+  /**
+   * Ask the caller when to call back
+   * @param {Object} session - Voice session
+   * @param {boolean} hinglish - Speak Hinglish
+   * @returns {{action: string, reply: string}}
+   */
+  askTime(session, hinglish) {
+    session.callback = { ...session.callback, phase: 'asking-time', at: null };
+    return {
+      action: 'ask-time',
+      reply: hinglish ? 'Zaroor. Aapko kis time call karein?' : 'Sure. What time should we call you back?'
+    };
+  }
+
+  /**
+   * Read the callback time back and wait for the caller's confirmation
+   * @param {Object} session - Voice session
+   * @param {Date} at - Callback time
+   * @param {string} timezone - Caller's IANA timezone
+   * @param {boolean} hinglish - Speak Hinglish
+   * @param {Date} now - Reference time
+   * @returns {{action: string, reply: string}}
+   */
+  confirm(session, at, timezone, hinglish, now) {
+    session.callback = { ...session.callback, phase: 'confirming', at };
+    const when = this.describe(at, timezone, hinglish, now);
+    return {
+      action: 'confirm',
+      reply: hinglish
+        ? `Theek hai, aapko ${when} call kiya jaayega. Kya yeh time theek hai?`
+        : `Sure, we will call you back ${when}. Is that okay?`
+    };
+  }
+
+  /**
+   * Schedule the confirmed callback with the same persona, call parameters and ExoPhone
+   *
+   * @param {Object} session - Voice session
+   * @param {string|null} phoneNumber - Caller's number
+   * @param {string} timezone - Caller's IANA timezone
+   * @param {boolean} hinglish - Speak Hinglish
+   * @param {Date} now - Reference time
+   * @returns {Promise<{action: string, reply: string}>}
+   */
+  async scheduleCallback(session, phoneNumber, timezone, hinglish, now) {
+    const at = session.callback.at;
+    try {
+      if (!phoneNumber) {
+        throw new Error('Caller number unknown');
+      }
+
+      const params = Object.fromEntries(
+        Object.entries(session.customParameters || {}).filter(([key]) => !DROPPED_PARAMS.includes(key))
+      );
+      params.callback_context = this.buildContext(session);
+      params.callback_requested_for = at.toISOString();
+      const token = await createCallContext(params, { startsAt: at });
+
+      const attempt = await callScheduler.schedule(phoneNumber, at, {
+        customField: token,
+        // The callee sees the number they spoke to (outbound: our ExoPhone, inbound: the number dialed)
+        from: await this.resolveExoPhone(session),
+        callbackForCallSid: session.callSid || undefined
+      });
+
+      session.callback = { ...session.callback, phase: 'scheduled' };
+      session.callbackResult = {
+        status: 'scheduled',
+        requestText: session.callback.requestText,
+        scheduledAt: at,
+        attemptId: attempt._id
+      };
+      console.log(`📅 [${session.callId}] Callback scheduled for ${at.toISOString()} (attempt ${attempt._id})`);
+      return {
+        action: 'scheduled',
+        reply: hinglish
+          ? `Done, aapko ${this.describe(at, timezone, true, now)} call kiya jaayega. Dhanyavaad!`
+          : `Done, we will call you back ${this.describe(at, timezone, false, now)}. Thank you!`
+      };
+    } catch (error) {
+      console.error(`❌ [${session.callId}] Error scheduling callback:`, error.message);
+      session.callbackResult = {
+        status: 'failed',
+        requestText: session.callback.requestText,
+        scheduledAt: at,
+        error: error.message
+      };
+      session.callback = null;
+      return {
+        action: 'failed',
+        reply: hinglish
+          ? 'Maaf kijiye, abhi callback schedule nahi ho paaya. Hamari team aapse sampark karegi.'
+          : 'Sorry, I could not schedule the callback right now. Our team will get in touch with you.'
+      };
+    }
+  }
+
+  /**
+   * Caller's number: the dialed number for outbound attempts, else the caller ID of the call
+   * @param {Object} session - Voice session
+   * @returns {Promise<string|null>}
+   */
+  async resolveCustomerNumber(session) {
+    const attempt = await session.attemptReady;
+    return attempt?.phoneNumber || normalizePhoneNumber(session.from) || session.from || null;
+  }
+
+  /**
+   * ExoPhone of this call: the attempt's caller ID for outbound calls, the dialed number for inbound ones
+   * @param {Object} session - Voice session
+   * @returns {Promise<string|undefined>}
+   */
+  async resolveExoPhone(session) {
+    const attempt = await session.attemptReady;
+    return attempt?.from || session.to || undefined;
+  }
+
+  /**
+   * Summarize the conversation so far for the callback's system prompt
+   * @param {Object} session - Voice session
+   * @returns {string} Recent turns, newest last (at most MAX_CONTEXT_CHARS)
+   */
+  buildContext(session) {
+    const lines = (session.conversationHistory || [])
+      .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && msg.content)
+      .map(msg => `${msg.role === 'user' ? 'Caller' : 'Assistant'}: ${msg.content}`);
+
+    let context = '';
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (context.length + lines[i].length + 1 > MAX_CONTEXT_CHARS) {
+        break;
+      }
+      context = context ? `${lines[i]}\n${context}` : lines[i];
+    }
+    return context;
+  }
+}
+
+export const callbackService = new CallbackService();
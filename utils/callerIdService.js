@@ -0,0 +1,285 @@
+/**
+ * Caller ID Service
+ * Picks the ExoPhone shown to the callee from the caller ID pool and tracks
+ * per-number usage and answer rates so numbers flagged as spam can be retired
+ *
+ * Strategies:
+ *   fixed       - always the given number (campaign setting or EXOTEL_CALLER_ID)
+ *   round-robin - least recently used active number
+ *   region      - active number whose region prefix best matches the callee, else round-robin
+ * With an empty pool every call uses EXOTEL_CALLER_ID.
+ */
+
+import dotenv from 'dotenv';
+import CallerId from '../models/CallerId.js';
+import { connectDB } from '../config/db.js';
+import { normalizePhoneNumber } from './phoneNumber.js';
+
+dotenv.config();
+
+const CALLER_ID_STRATEGIES = ['fixed', 'round-robin', 'region'];
+
+class CallerIdService {
+  constructor() {
+    this.defaultStrategy = CALLER_ID_STRATEGIES.includes(process.env.CALLER_ID_STRATEGY)
+      ? process.env.CALLER_ID_STRATEGY
+      : 'round-robin';
+    // Numbers answered less often than this (after minCalls calls) are flagged as likely spam-labelled
+    this.lowAnswerRate = parseFloat(process.env.CALLER_ID_LOW_ANSWER_RATE) || 0.15;
+    this.minCalls = parseInt(process.env.CALLER_ID_MIN_CALLS) || 30;
+    // Retire flagged numbers automatically instead of only reporting them
+    this.autoRetire = process.env.CALLER_ID_AUTO_RETIRE === 'true';
+  }
+
+  /**
+   * Normalize a region prefix ("91 22", "+9122") to "+" followed by digits
+   * @param {string} region - Region prefix
+   * @returns {string|null} Normalized prefix or null if empty
+   */
+  normalizeRegion(region) {
+    const digits = String(region || '').replace(/\D/g, '');
+    return digits ? `+${digits}` : null;
+  }
+
+  /**
+   * Add a number to the pool
+   * @param {Object} data - { phoneNumber, label, regions }
+   * @returns {Promise<Object>} Created CallerId document
+   */
+  async register({ phoneNumber, label, regions }) {
+    await connectDB();
+
+    const normalized = normalizePhoneNumber(phoneNumber);
+    if (!normalized) {
+      const error = new Error(`Invalid phone number "${phoneNumber}"`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (await CallerId.exists({ phoneNumber: normalized })) {
+      const error = new Error(`${normalized} is already in the caller ID pool`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const callerId = await CallerId.create({
+      phoneNumber: normalized,
+      label,
+      regions: (regions || []).map(region => this.normalizeRegion(region)).filter(Boolean)
+    });
+
+    console.log(`☎️  Caller ID ${normalized}${label ? ` (${label})` : ''} added to pool`);
+    return callerId;
+  }
+
+  /**
+   * Update the label or regions of a pool number
+   * @param {string} id - CallerId ID
+   * @param {Object} data - { label, regions }
+   * @returns {Promise<Object|null>} Updated document or null if not found
+   */
+  async update(id, { label, regions }) {
+    await connectDB();
+
+    const update = {};
+    if (label !== undefined) update.label = label;
+    if (regions !== undefined) {
+      update.regions = (regions || []).map(region => this.normalizeRegion(region)).filter(Boolean);
+    }
+
+    return await CallerId.findByIdAndUpdate(id, update, { new: true });
+  }
+
+  /**
+   * Retire a number so it is no longer selected
+   * @param {string} id - CallerId ID
+   * @param {string} reason - Why it was retired (e.g. "spam")
+   * @returns {Promise<Object|null>} Updated document or null if not found
+   */
+  async retire(id, reason = '') {
+    await connectDB();
+
+    const callerId = await CallerId.findByIdAndUpdate(
+      id,
+      { status: 'retired', retiredReason: reason, retiredAt: new Date() },
+      { new: true }
+    );
+    if (callerId) {
+      console.log(`🪦 Caller ID ${callerId.phoneNumber} retired${reason ? `: ${reason}` : ''}`);
+    }
+    return callerId;
+  }
+
+  /**
+   * Put a retired number back into rotation
+   * @param {string} id - CallerId ID
+   * @returns {Promise<Object|null>} Updated document or null if not found
+   */
+  async reactivate(id) {
+    await connectDB();
+
+    return await CallerId.findByIdAndUpdate(
+      id,
+      { status: 'active', $unset: { retiredReason: 1, retiredAt: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * List the pool with answer rates and spam flags
+   * @param {Object} filter - { status }
+   * @returns {Promise<Array>} Pool numbers
+   */
+  async list(filter = {}) {
+    await connectDB();
+
+    const query = {};
+    if (filter.status) query.status = filter.status;
+
+    const callerIds = await CallerId.find(query).sort({ createdAt: 1 });
+    return callerIds.map(callerId => ({
+      ...callerId.toJSON(),
+      lowAnswerRate: this.isLowAnswerRate(callerId)
+    }));
+  }
+
+  /**
+   * Check whether a number's answer rate suggests it is labelled as spam
+   * @param {Object} callerId - CallerId document
+   * @returns {boolean}
+   */
+  isLowAnswerRate(callerId) {
+    return callerId.totalCalls >= this.minCalls &&
+      callerId.answeredCalls / callerId.totalCalls < this.lowAnswerRate;
+  }
+
+  /**
+   * Choose the caller ID for a call
+   *
+   * @param {string} phoneNumber - Callee number (E.164)
+   * @param {Object} options - { strategy, from: fixed number }
+   * @returns {Promise<string|null>} ExoPhone number, or null to use EXOTEL_CALLER_ID
+   */
+  async selectCallerId(phoneNumber, options = {}) {
+    const strategy = options.strategy || (options.from ? 'fixed' : this.defaultStrategy);
+
+    try {
+      await connectDB();
+
+      if (options.from) {
+        const fixed = await CallerId.findOne({ phoneNumber: normalizePhoneNumber(options.from) || options.from }).lean();
+        if (!fixed || fixed.status === 'active') {
+          return options.from;
+        }
+        // Retired since the campaign/retry chose it - fall back to rotation
+        console.warn(`⚠️  Caller ID ${options.from} is retired, choosing another`);
+      } else if (strategy === 'fixed') {
+        return null;
+      }
+
+      if (strategy === 'region') {
+        const regional = await this.selectByRegion(phoneNumber);
+        if (regional) {
+          return regional;
+        }
+      }
+
+      return await this.selectRoundRobin();
+    } catch (error) {
+      console.error('❌ Error selecting caller ID, using default:', error.message);
+      return options.from || null;
+    }
+  }
+
+  /**
+   * Pick the least recently used active number
+   * @returns {Promise<string|null>} ExoPhone number or null if the pool is empty
+   */
+  async selectRoundRobin() {
+    const callerId = await CallerId.findOneAndUpdate(
+      { status: 'active' },
+      { lastUsedAt: new Date() },
+      { sort: { lastUsedAt: 1, createdAt: 1 }, new: true }
+    );
+    return callerId ? callerId.phoneNumber : null;
+  }
+
+  /**
+   * Pick the active number whose region prefix best matches the callee (longest prefix, then least recently used)
+   * @param {string} phoneNumber - Callee number (E.164)
+   * @returns {Promise<string|null>} ExoPhone number or null if no region matches
+   */
+  async selectByRegion(phoneNumber) {
+    const callee = normalizePhoneNumber(phoneNumber) || phoneNumber;
+    const candidates = await CallerId.find({ status: 'active', 'regions.0': { $exists: true } }).lean();
+
+    let best = null;
+    let bestLength = 0;
+    for (const candidate of candidates) {
+      const length = Math.max(0, ...candidate.regions
+        .filter(region => callee.startsWith(region))
+        .map(region => region.length));
+      const olderThanBest = best && (candidate.lastUsedAt || 0) < (best.lastUsedAt || 0);
+      if (length > bestLength || (length > 0 && length === bestLength && olderThanBest)) {
+        best = candidate;
+        bestLength = length;
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+
+    await CallerId.updateOne({ _id: best._id }, { lastUsedAt: new Date() });
+    return best.phoneNumber;
+  }
+
+  /**
+   * Count a placed call against a pool number (no-op for numbers outside the pool)
+   * @param {string} phoneNumber - ExoPhone used
+   */
+  async recordCall(phoneNumber) {
+    if (!phoneNumber) {
+      return;
+    }
+
+    try {
+      await connectDB();
+      await CallerId.updateOne({ phoneNumber }, { $inc: { totalCalls: 1 }, lastUsedAt: new Date() });
+    } catch (error) {
+      console.error(`❌ Error recording caller ID usage for ${phoneNumber}:`, error.message);
+    }
+  }
+
+  /**
+   * Record whether a call placed with a pool number was answered; retires low-answer-rate
+   * numbers when CALLER_ID_AUTO_RETIRE is enabled
+   *
+   * @param {string} phoneNumber - ExoPhone used
+   * @param {boolean} answered - Whether the callee answered
+   */
+  async recordOutcome(phoneNumber, answered) {
+    if (!phoneNumber) {
+      return;
+    }
+
+    try {
+      await connectDB();
+      const callerId = await CallerId.findOneAndUpdate(
+        { phoneNumber },
+        answered ? { $inc: { answeredCalls: 1 } } : {},
+        { new: true }
+      );
+
+      if (callerId && this.autoRetire && callerId.status === 'active' && this.isLowAnswerRate(callerId)) {
+        const rate = Math.round(callerId.answerRate * 100);
+        await this.retire(callerId._id, `Low answer rate (${rate}% over ${callerId.totalCalls} calls)`);
+      }
+    } catch (error) {
+      console.error(`❌ Error recording caller ID outcome for ${phoneNumber}:`, error.message);
+    }
+  }
+}
+
+export const callerIdService = new CallerIdService();
+export { CALLER_ID_STRATEGIES };
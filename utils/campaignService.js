@@ -0,0 +1,546 @@
+/**
+ * Campaign Service
+ * Parses contact lists and dials campaigns through the call scheduler
+ * with configurable concurrency, pacing and retries
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Campaign from '../models/Campaign.js';
+import CampaignContact from '../models/CampaignContact.js';
+import { connectDB } from '../config/db.js';
+import { callScheduler } from './callScheduler.js';
+import { createCallContext } from './callContextService.js';
+import { complianceService } from './complianceService.js';
+import { parsePhoneNumber } from './phoneNumber.js';
+import { callerIdService } from './callerIdService.js';
+import { getDefaultRetryPolicy, mergeRetryPolicy, getRetryDelayMs } from './retryPolicy.js';
+
+dotenv.config();
+
+// Column names accepted for the phone number in uploaded lists
+const PHONE_COLUMNS = ['phone', 'phonenumber', 'phone_number', 'number', 'mobile', 'to'];
+// Column names accepted for the contact name in uploaded lists
+const NAME_COLUMNS = ['name', 'customer_name', 'customername'];
+
+/**
+ * Split a single CSV line into fields (supports quoted fields with "" escapes)
+ * @param {string} line - CSV line
+ * @returns {string[]} Field values
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+
+  return fields;
+}
+
+/**
+ * Normalize a raw row (from CSV or JSON) into a contact object
+ * @param {Object} row - Raw row keyed by column name
+ * @returns {Object|null} Contact { phoneNumber, name, variables } or null if no phone found
+ */
+function rowToContact(row) {
+  let phoneNumber = null;
+  let name = null;
+  const variables = {};
+
+  for (const [key, value] of Object.entries(row)) {
+    const column = key.toLowerCase().trim();
+    if (!phoneNumber && PHONE_COLUMNS.includes(column)) {
+      phoneNumber = String(value).trim();
+    } else if (!name && NAME_COLUMNS.includes(column)) {
+      name = String(value).trim();
+    } else if (value !== undefined && value !== null && value !== '') {
+      variables[key.trim()] = value;
+    }
+  }
+
+  if (!phoneNumber) {
+    return null;
+  }
+
+  return { phoneNumber, name: name || undefined, variables };
+}
+
+/**
+ * Parse a contact list from CSV text or JSON
+ * CSV must have a header row with a phone column (phone, number, mobile, ...)
+ * Numbers are normalized to E.164; rows without a valid number and repeated numbers are skipped
+ *
+ * @param {string|Array} input - CSV text, JSON text or an array of contacts
+ * @param {string} format - 'csv', 'json' or 'auto' (default: 'auto')
+ * @returns {{contacts: Object[], skipped: number}} Parsed contacts and count of skipped rows
+ */
+function parseContacts(input, format = 'auto') {
+  let rows = [];
+
+  if (Array.isArray(input)) {
+    rows = input;
+  } else if (typeof input === 'string') {
+    const text = input.replace(/^\uFEFF/, '').trim(); // Strip BOM
+    const isJson = format === 'json' || (format === 'auto' && text.startsWith('['));
+
+    if (isJson) {
+      rows = JSON.parse(text);
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON contact list must be an array');
+      }
+    } else {
+      const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+      if (lines.length < 2) {
+        throw new Error('CSV contact list must have a header row and at least one contact');
+      }
+      const headers = splitCsvLine(lines[0]);
+      rows = lines.slice(1).map(line => {
+        const values = splitCsvLine(line);
+        return Object.fromEntries(headers.map((header, i) => [header, values[i] ?? '']));
+      });
+    }
+  } else {
+    throw new Error('Contact list must be CSV text, JSON text or an array');
+  }
+
+  const contacts = [];
+  const seen = new Set();
+  let skipped = 0;
+  for (const row of rows) {
+    const contact = typeof row === 'string' ? { phoneNumber: row.trim(), variables: {} } : rowToContact(row || {});
+    const parsed = parsePhoneNumber(contact?.phoneNumber);
+    if (parsed.valid && !seen.has(parsed.e164)) {
+      seen.add(parsed.e164);
+      contacts.push({ ...contact, phoneNumber: parsed.e164, numberType: parsed.type });
+    } else {
+      skipped++;
+    }
+  }
+
+  return { contacts, skipped };
+}
+
+class CampaignService {
+  constructor() {
+    this.runners = new Map(); // campaignId -> { timer, lastDialAt, ticking }
+    this.tickIntervalMs = 1000;
+    // Contacts still in-progress after this long are considered finished (no end event received)
+    this.maxCallDurationMs = parseInt(process.env.CAMPAIGN_MAX_CALL_MS) || 60 * 60 * 1000;
+
+    callScheduler.on('attemptEnded', attempt => {
+      this.handleAttemptEnded(attempt);
+    });
+  }
+
+  /**
+   * Create a campaign with its contacts
+   * @param {Object} data - { name, description, settings }
+   * @param {Object[]} contacts - Parsed contacts
+   * @returns {Promise<Object>} Created campaign document
+   */
+  async createCampaign(data, contacts = []) {
+    await connectDB();
+
+    const campaign = new Campaign({
+      name: data.name,
+      description: data.description,
+      settings: data.settings || {}
+    });
+    await campaign.save();
+
+    if (contacts.length > 0) {
+      await this.addContacts(campaign._id, contacts);
+    }
+
+    console.log(`✅ Campaign "${campaign.name}" created (${contacts.length} contacts)`);
+    return campaign;
+  }
+
+  /**
+   * Add contacts to an existing campaign
+   * @param {string} campaignId - Campaign ID
+   * @param {Object[]} contacts - Parsed contacts
+   * @returns {Promise<number>} Number of contacts inserted
+   */
+  async addContacts(campaignId, contacts) {
+    await connectDB();
+
+    const docs = contacts.map(contact => ({
+      campaignId,
+      phoneNumber: contact.phoneNumber,
+      numberType: contact.numberType,
+      name: contact.name,
+      variables: contact.variables || {}
+    }));
+    const inserted = await CampaignContact.insertMany(docs);
+    return inserted.length;
+  }
+
+  /**
+   * Get contact counts per status for a campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} { total, pending, 'in-progress', completed, failed, cancelled }
+   */
+  async getStats(campaignId) {
+    await connectDB();
+
+    const counts = await CampaignContact.aggregate([
+      { $match: { campaignId: new mongoose.Types.ObjectId(String(campaignId)) } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const stats = { total: 0, pending: 0, 'in-progress': 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const { _id, count } of counts) {
+      stats[_id] = count;
+      stats.total += count;
+    }
+    return stats;
+  }
+
+  /**
+   * Start (or restart) dialing a campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async start(campaignId) {
+    return await this.transition(campaignId, ['draft', 'paused'], 'running');
+  }
+
+  /**
+   * Pause a running campaign - calls in progress are left to finish
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async pause(campaignId) {
+    return await this.transition(campaignId, ['running'], 'paused');
+  }
+
+  /**
+   * Resume a paused campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async resume(campaignId) {
+    return await this.transition(campaignId, ['paused'], 'running');
+  }
+
+  /**
+   * Cancel a campaign - pending contacts are marked cancelled
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async cancel(campaignId) {
+    const campaign = await this.transition(campaignId, ['draft', 'running', 'paused'], 'cancelled');
+    await CampaignContact.updateMany(
+      { campaignId: campaign._id, status: 'pending' },
+      { status: 'cancelled' }
+    );
+    return campaign;
+  }
+
+  /**
+   * Move a campaign between statuses and start/stop its runner
+   * @param {string} campaignId - Campaign ID
+   * @param {string[]} allowedFrom - Statuses the campaign may currently be in
+   * @param {string} status - New status
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async transition(campaignId, allowedFrom, status) {
+    await connectDB();
+
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) {
+      const error = new Error('Campaign not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!allowedFrom.includes(campaign.status)) {
+      const error = new Error(`Cannot change campaign from "${campaign.status}" to "${status}"`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    campaign.status = status;
+    if (status === 'running' && !campaign.startedAt) {
+      campaign.startedAt = new Date();
+    }
+    if (status === 'cancelled') {
+      campaign.completedAt = new Date();
+    }
+    await campaign.save();
+
+    if (status === 'running') {
+      this.startRunner(campaign._id.toString());
+    } else {
+      this.stopRunner(campaign._id.toString());
+    }
+
+    console.log(`📣 [campaign:${campaign._id}] Status → ${status}`);
+    return campaign;
+  }
+
+  /**
+   * Start the periodic dial loop for a campaign
+   * @param {string} campaignId - Campaign ID
+   */
+  startRunner(campaignId) {
+    if (this.runners.has(campaignId)) {
+      return;
+    }
+
+    const runner = { timer: null, lastDialAt: 0, ticking: false };
+    runner.timer = setInterval(() => {
+      this.tick(campaignId).catch(error => {
+        console.error(`❌ [campaign:${campaignId}] Dial loop error:`, error.message);
+      });
+    }, this.tickIntervalMs);
+    this.runners.set(campaignId, runner);
+  }
+
+  /**
+   * Stop the dial loop for a campaign
+   * @param {string} campaignId - Campaign ID
+   */
+  stopRunner(campaignId) {
+    const runner = this.runners.get(campaignId);
+    if (runner) {
+      clearInterval(runner.timer);
+      this.runners.delete(campaignId);
+    }
+  }
+
+  /**
+   * One iteration of the dial loop: expire stale calls, respect concurrency
+   * and pacing, dial the next pending contact and detect completion
+   * @param {string} campaignId - Campaign ID
+   */
+  async tick(campaignId) {
+    const runner = this.runners.get(campaignId);
+    if (!runner || runner.ticking) {
+      return;
+    }
+    runner.ticking = true;
+
+    try {
+      const campaign = await Campaign.findById(campaignId);
+      if (!campaign || campaign.status !== 'running') {
+        this.stopRunner(campaignId);
+        return;
+      }
+
+      // Free slots held by calls whose attempt never reported an end (e.g. after a crash)
+      await CampaignContact.updateMany(
+        {
+          campaignId: campaign._id,
+          status: 'in-progress',
+          dialedAt: { $lt: new Date(Date.now() - this.maxCallDurationMs) }
+        },
+        { status: 'failed', outcome: 'failed', error: 'No call end reported', endedAt: new Date() }
+      );
+
+      const inFlight = await CampaignContact.countDocuments({ campaignId: campaign._id, status: 'in-progress' });
+      const pacingMs = 60000 / campaign.settings.callsPerMinute;
+
+      if (inFlight < campaign.settings.concurrency && Date.now() - runner.lastDialAt >= pacingMs) {
+        // Atomically claim the next pending contact that is due (retries wait for nextAttemptAt)
+        const contact = await CampaignContact.findOneAndUpdate(
+          {
+            campaignId: campaign._id,
+            status: 'pending',
+            $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: new Date() } }]
+          },
+          { status: 'in-progress', dialedAt: new Date() },
+          { sort: { createdAt: 1 }, new: true }
+        );
+
+        if (contact) {
+          // Outside calling hours: park the contact until its window opens without using a pacing slot
+          const window = complianceService.checkCallingWindow(contact.phoneNumber);
+          if (!window.allowed) {
+            await CampaignContact.updateOne(
+              { _id: contact._id },
+              { status: 'pending', nextAttemptAt: window.retryAt, $unset: { dialedAt: 1 } }
+            );
+            console.log(`⏸️  [campaign:${campaignId}] ${contact.phoneNumber} outside calling hours (${window.localTime} ${window.timezone}), deferred to ${window.retryAt.toISOString()}`);
+            return;
+          }
+
+          runner.lastDialAt = Date.now();
+          await this.dialContact(campaign, contact);
+          return;
+        }
+      }
+
+      if (inFlight === 0) {
+        const pending = await CampaignContact.countDocuments({ campaignId: campaign._id, status: 'pending' });
+        if (pending === 0) {
+          campaign.status = 'completed';
+          campaign.completedAt = new Date();
+          await campaign.save();
+          this.stopRunner(campaignId);
+          console.log(`🏁 [campaign:${campaignId}] All contacts dialed, campaign completed`);
+        }
+      }
+    } finally {
+      runner.ticking = false;
+    }
+  }
+
+  /**
+   * Dial a single claimed contact through the call scheduler
+   * Retries are handled here (not by the scheduler) so they respect campaign pacing
+   * @param {Object} campaign - Campaign document
+   * @param {Object} contact - CampaignContact document (already in-progress)
+   */
+  async dialContact(campaign, contact) {
+    contact.attempts = (contact.attempts || 0) + 1;
+    contact.nextAttemptAt = undefined;
+    await contact.save();
+
+    console.log(`📞 [campaign:${campaign._id}] Dialing ${contact.phoneNumber}${contact.name ? ` (${contact.name})` : ''} (attempt ${contact.attempts})`);
+
+    try {
+      // Per-call parameters: campaign defaults (persona, greeting) + contact columns
+      const answeringMachine = campaign.settings.answeringMachine || {};
+      const params = {
+        ...(campaign.settings.params || {}),
+        ...(answeringMachine.action && { amd_action: answeringMachine.action }),
+        ...(answeringMachine.voicemailMessage && { voicemail_message: answeringMachine.voicemailMessage }),
+        ...Object.fromEntries(contact.variables || []),
+        ...(contact.name && { customer_name: contact.name })
+      };
+      const callToken = Object.keys(params).length > 0 ? await createCallContext(params) : null;
+
+      // Fixed strategy without a number: pin the first pool number chosen for the whole campaign
+      if (campaign.settings.callerIdStrategy === 'fixed' && !campaign.settings.from) {
+        const from = await callerIdService.selectCallerId(contact.phoneNumber, { strategy: 'round-robin' });
+        if (from) {
+          campaign.settings.from = from;
+          await Campaign.updateOne({ _id: campaign._id }, { 'settings.from': from });
+          console.log(`☎️  [campaign:${campaign._id}] Caller ID fixed to ${from}`);
+        }
+      }
+
+      const { result } = await callScheduler.dial(contact.phoneNumber, {
+        from: campaign.settings.from || null,
+        callerIdStrategy: campaign.settings.callerIdStrategy,
+        customField: callToken,
+        retry: false,
+        campaignId: campaign._id,
+        contactId: contact._id,
+        attemptNumber: contact.attempts
+      });
+
+      if (result.success) {
+        await CampaignContact.updateOne({ _id: contact._id }, { callSid: result.callSid });
+      }
+    } catch (error) {
+      console.error(`❌ [campaign:${campaign._id}] Error dialing ${contact.phoneNumber}:`, error.message);
+      await CampaignContact.updateOne(
+        { _id: contact._id },
+        { status: 'failed', outcome: 'failed', error: error.message, endedAt: new Date() }
+      );
+    }
+  }
+
+  /**
+   * Update a campaign contact when its call attempt ends
+   * Re-queues the contact when the campaign retry policy allows another attempt
+   *
+   * @param {Object} attempt - Ended CallAttempt document
+   * @returns {Promise<Object|null>} Updated contact or null
+   */
+  async handleAttemptEnded(attempt) {
+    if (!attempt.contactId) {
+      return null;
+    }
+
+    try {
+      const contact = await CampaignContact.findById(attempt.contactId);
+      if (!contact || contact.status !== 'in-progress') {
+        return null;
+      }
+
+      const campaign = await Campaign.findById(contact.campaignId);
+      const policy = mergeRetryPolicy(getDefaultRetryPolicy(), campaign?.settings?.retryPolicy);
+      const delayMs = campaign?.status === 'cancelled'
+        ? null
+        : getRetryDelayMs(policy, attempt.outcome, contact.attempts);
+
+      contact.outcome = attempt.outcome;
+      contact.error = attempt.error;
+      if (attempt.transcriptId) {
+        contact.transcriptId = attempt.transcriptId;
+      }
+
+      if (attempt.outcome === 'blocked' && attempt.retryAfter && campaign?.status !== 'cancelled') {
+        // Compliance block that lifts later (calling hours, frequency cap): not a real attempt
+        contact.status = 'pending';
+        contact.attempts = Math.max((contact.attempts || 1) - 1, 0);
+        contact.nextAttemptAt = attempt.retryAfter;
+        console.log(`⏸️  [campaign:${contact.campaignId}] ${contact.phoneNumber} → ${attempt.blockedReason}, deferred to ${contact.nextAttemptAt.toISOString()}`);
+      } else if (delayMs !== null) {
+        contact.status = 'pending';
+        contact.nextAttemptAt = new Date(Date.now() + delayMs);
+        console.log(`🔁 [campaign:${contact.campaignId}] ${contact.phoneNumber} → ${attempt.outcome}, retry at ${contact.nextAttemptAt.toISOString()}`);
+      } else {
+        // A voicemail left counts as reaching the contact
+        contact.status = ['completed', 'voicemail'].includes(attempt.outcome) ? 'completed' : 'failed';
+        contact.endedAt = new Date();
+        console.log(`📋 [campaign:${contact.campaignId}] ${contact.phoneNumber} → ${attempt.outcome}`);
+      }
+
+      await contact.save();
+      return contact;
+    } catch (error) {
+      console.error(`❌ Error updating campaign contact for attempt ${attempt._id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Restart dial loops for campaigns that were running before a restart
+   * @returns {Promise<number>} Number of campaigns restored
+   */
+  async restoreRunningCampaigns() {
+    try {
+      await connectDB();
+      const campaigns = await Campaign.find({ status: 'running' }).select('_id');
+      for (const campaign of campaigns) {
+        this.startRunner(campaign._id.toString());
+      }
+      if (campaigns.length > 0) {
+        console.log(`🔁 Restored ${campaigns.length} running campaign(s)`);
+      }
+      return campaigns.length;
+    } catch (error) {
+      console.warn('⚠️  Could not restore running campaigns:', error.message);
+      return 0;
+    }
+  }
+}
+
+export const campaignService = new CampaignService();
+export { parseContacts };
@@ -0,0 +1,272 @@
+/**
+ * Compliance Service
+ * Gate checked before every outbound dial: Do-Not-Call list, permitted
+ * calling hours in the callee's timezone and a per-number frequency cap
+ */
+
+import dotenv from 'dotenv';
+import DncEntry from '../models/DncEntry.js';
+import CallAttempt from '../models/CallAttempt.js';
+import { connectDB } from '../config/db.js';
+import { monitoringService } from './monitoringService.js';
+import { normalizePhoneNumber } from './phoneNumber.js';
+
+dotenv.config();
+
+// Reason codes returned when a call is blocked
+const BLOCK_REASONS = {
+  DNC_LISTED: 'DNC_LISTED',
+  OUTSIDE_CALLING_HOURS: 'OUTSIDE_CALLING_HOURS',
+  FREQUENCY_CAP_EXCEEDED: 'FREQUENCY_CAP_EXCEEDED'
+};
+
+/**
+ * Parse a calling window like "09:00-21:00" into minutes since midnight
+ * @param {string} value - Window text, or "off" to disable
+ * @returns {{start: number, end: number}|null}
+ */
+function parseCallingHours(value) {
+  if (!value || value.trim().toLowerCase() === 'off') {
+    return null;
+  }
+
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    console.warn(`⚠️  Invalid COMPLIANCE_CALLING_HOURS "${value}", using 09:00-21:00`);
+    return { start: 9 * 60, end: 21 * 60 };
+  }
+
+  const [, startH, startM, endH, endM] = match.map(Number);
+  return { start: startH * 60 + startM, end: endH * 60 + endM };
+}
+
+class ComplianceService {
+  constructor() {
+    // TRAI-style default: 9am-9pm in the callee's local time
+    this.callingHours = parseCallingHours(process.env.COMPLIANCE_CALLING_HOURS || '09:00-21:00');
+    this.defaultTimezone = process.env.COMPLIANCE_TIMEZONE || 'Asia/Kolkata';
+    // Country calling code → timezone, e.g. {"1": "America/New_York", "44": "Europe/London"}
+    this.timezones = { '91': 'Asia/Kolkata' };
+    if (process.env.COMPLIANCE_TIMEZONES) {
+      try {
+        this.timezones = { ...this.timezones, ...JSON.parse(process.env.COMPLIANCE_TIMEZONES) };
+      } catch (error) {
+        console.warn('⚠️  Invalid COMPLIANCE_TIMEZONES JSON, ignoring:', error.message);
+      }
+    }
+    // Frequency cap: at most maxCallsPerNumber dials per number within the window (0 disables)
+    // Unset, empty or not a number falls back to 3 (NaN would silently turn the cap off)
+    const maxCallsPerNumber = parseInt(process.env.COMPLIANCE_MAX_CALLS_PER_NUMBER);
+    this.maxCallsPerNumber = Number.isNaN(maxCallsPerNumber) ? 3 : maxCallsPerNumber;
+    this.frequencyWindowMs = (parseFloat(process.env.COMPLIANCE_FREQUENCY_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Normalize a number so the same subscriber always matches (E.164)
+   * @param {string} phoneNumber - Raw number
+   * @returns {string} E.164 number, or '' if the number is invalid
+   */
+  normalizeNumber(phoneNumber) {
+    return normalizePhoneNumber(phoneNumber) || '';
+  }
+
+  /**
+   * Get the timezone used for a number's calling window
+   * @param {string} phoneNumber - Number to call
+   * @returns {string} IANA timezone
+   */
+  getTimezone(phoneNumber) {
+    const digits = this.normalizeNumber(phoneNumber).slice(1);
+    // Longest matching country code wins
+    const prefix = Object.keys(this.timezones)
+      .filter(code => digits.startsWith(code))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.timezones[prefix] : this.defaultTimezone;
+  }
+
+  /**
+   * Check the permitted calling window for a number
+   * @param {string} phoneNumber - Number to call
+   * @param {Date} at - Time of the call (default: now)
+   * @returns {{allowed: boolean, timezone: string, localTime: string, retryAt: Date|null}}
+   */
+  checkCallingWindow(phoneNumber, at = new Date()) {
+    const timezone = this.getTimezone(phoneNumber);
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(at);
+    const hour = parseInt(parts.find(p => p.type === 'hour').value);
+    const minute = parseInt(parts.find(p => p.type === 'minute').value);
+    const localTime = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+    if (!this.callingHours) {
+      return { allowed: true, timezone, localTime, retryAt: null };
+    }
+
+    const { start, end } = this.callingHours;
+    const now = hour * 60 + minute;
+    // Windows that cross midnight (e.g. 22:00-06:00) are supported
+    const allowed = start <= end ? (now >= start && now < end) : (now >= start || now < end);
+    if (allowed) {
+      return { allowed: true, timezone, localTime, retryAt: null };
+    }
+
+    const minutesUntilOpen = (start - now + 24 * 60) % (24 * 60);
+    const retryAt = new Date(at.getTime() + minutesUntilOpen * 60 * 1000);
+    retryAt.setSeconds(0, 0);
+    return { allowed: false, timezone, localTime, retryAt };
+  }
+
+  /**
+   * Check whether a number is on the DNC list
+   * @param {string} phoneNumber - Number to check
+   * @returns {Promise<Object|null>} DNC entry or null
+   */
+  async findDncEntry(phoneNumber) {
+    await connectDB();
+    return await DncEntry.findOne({ phoneNumber: this.normalizeNumber(phoneNumber) }).lean();
+  }
+
+  /**
+   * Check the per-number frequency cap
+   * @param {string} phoneNumber - Number to call
+   * @param {Date} at - Time of the call (default: now)
+   * @param {string} excludeAttemptId - Attempt being checked (not counted against the cap)
+   * @returns {Promise<{allowed: boolean, count: number, retryAt: Date|null}>}
+   */
+  async checkFrequencyCap(phoneNumber, at = new Date(), excludeAttemptId = null) {
+    if (!this.maxCallsPerNumber || this.maxCallsPerNumber <= 0) {
+      return { allowed: true, count: 0, retryAt: null };
+    }
+
+    await connectDB();
+    const since = new Date(at.getTime() - this.frequencyWindowMs);
+    const recent = await CallAttempt.find({
+      phoneNumber: this.normalizeNumber(phoneNumber) || phoneNumber,
+      status: { $in: ['dialing', 'in-progress', 'ended'] },
+      outcome: { $ne: 'blocked' },
+      dialedAt: { $gte: since },
+      ...(excludeAttemptId && { _id: { $ne: excludeAttemptId } })
+    })
+      .sort({ dialedAt: 1 })
+      .select('dialedAt')
+      .lean();
+
+    if (recent.length < this.maxCallsPerNumber) {
+      return { allowed: true, count: recent.length, retryAt: null };
+    }
+
+    // Allowed again once the oldest counted dial leaves the window
+    const oldest = recent[recent.length - this.maxCallsPerNumber].dialedAt;
+    return {
+      allowed: false,
+      count: recent.length,
+      retryAt: new Date(oldest.getTime() + this.frequencyWindowMs)
+    };
+  }
+
+  /**
+   * Run every compliance check for an outbound call
+   * Blocked calls are logged with their reason code
+   *
+   * @param {string} phoneNumber - Number to call
+   * @param {Object} options - { at: Date, excludeAttemptId: attempt being dialed, log: false for dry runs }
+   * @returns {Promise<{allowed: boolean, reason?: string, message?: string, retryAt?: Date|null}>}
+   */
+  async checkCall(phoneNumber, options = {}) {
+    const at = options.at || new Date();
+    let result = { allowed: true };
+
+    const dncEntry = await this.findDncEntry(phoneNumber);
+    if (dncEntry) {
+      result = {
+        allowed: false,
+        reason: BLOCK_REASONS.DNC_LISTED,
+        message: `${phoneNumber} is on the Do-Not-Call list${dncEntry.reason ? ` (${dncEntry.reason})` : ''}`,
+        retryAt: null
+      };
+    }
+
+    if (result.allowed) {
+      const window = this.checkCallingWindow(phoneNumber, at);
+      if (!window.allowed) {
+        result = {
+          allowed: false,
+          reason: BLOCK_REASONS.OUTSIDE_CALLING_HOURS,
+          message: `Outside permitted calling hours (${window.localTime} in ${window.timezone})`,
+          retryAt: window.retryAt
+        };
+      }
+    }
+
+    if (result.allowed) {
+      const cap = await this.checkFrequencyCap(phoneNumber, at, options.excludeAttemptId);
+      if (!cap.allowed) {
+        result = {
+          allowed: false,
+          reason: BLOCK_REASONS.FREQUENCY_CAP_EXCEEDED,
+          message: `${phoneNumber} was already called ${cap.count} times in the last ${this.frequencyWindowMs / 3600000} hours`,
+          retryAt: cap.retryAt
+        };
+      }
+    }
+
+    if (!result.allowed && options.log !== false) {
+      monitoringService.addLog('compliance', 'warn', `Call to ${phoneNumber} blocked: ${result.reason}`, {
+        phoneNumber,
+        reason: result.reason,
+        message: result.message,
+        retryAt: result.retryAt
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Add numbers to the DNC list (existing entries are updated)
+   * @param {string[]} phoneNumbers - Numbers to add
+   * @param {Object} options - { reason, source }
+   * @returns {Promise<number>} Number of entries added or updated
+   */
+  async addToDnc(phoneNumbers, { reason = '', source = 'api' } = {}) {
+    await connectDB();
+
+    const operations = phoneNumbers
+      .map(number => this.normalizeNumber(number))
+      .filter(Boolean)
+      .map(phoneNumber => ({
+        updateOne: {
+          filter: { phoneNumber },
+          update: { $set: { phoneNumber, reason, source } },
+          upsert: true
+        }
+      }));
+
+    if (operations.length === 0) {
+      return 0;
+    }
+
+    const result = await DncEntry.bulkWrite(operations, { ordered: false });
+    const count = (result.upsertedCount || 0) + (result.modifiedCount || 0);
+    console.log(`🚫 DNC list updated: ${count} numbers (${source})`);
+    return count;
+  }
+
+  /**
+   * Remove a number from the DNC list
+   * @param {string} phoneNumber - Number to remove
+   * @returns {Promise<boolean>} True if an entry was removed
+   */
+  async removeFromDnc(phoneNumber) {
+    await connectDB();
+    const result = await DncEntry.deleteOne({ phoneNumber: this.normalizeNumber(phoneNumber) });
+    return result.deletedCount > 0;
+  }
+}
+
+export const complianceService = new ComplianceService();
+export { BLOCK_REASONS };
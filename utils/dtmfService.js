@@ -0,0 +1,217 @@
+/**
+ * DTMF Service
+ * Buffers keypad digits per call and turns them into structured caller input
+ *
+ * Digits are collected until "#" is pressed, DTMF_INTER_DIGIT_TIMEOUT_MS passes without
+ * a new digit, DTMF_MAX_DIGITS are buffered, or the digits select a keypad menu option.
+ *
+ * Keypad menus come from the keypad_menu per-call parameter (object or JSON string) or the
+ * MongoDB persona's keypadMenu:
+ *   {
+ *     "prompt": "Press 1 to confirm, 2 to talk to an agent",
+ *     "options": {
+ *       "1": "confirm",                                          // action "input"
+ *       "2": { "label": "talk to an agent", "action": "transfer" },
+ *       "9": { "label": "repeat offer", "action": "say", "text": "..." }
+ *     }
+ *   }
+ * Actions:
+ *   input    - passed to the LLM as "[KEYPAD] 1 (confirm)" (default)
+ *   say      - the option's text is spoken as is
+ *   transfer - live transfer to an agent (falls back to input when no agent is configured)
+ */
+
+import dotenv from 'dotenv';
+import { loadKeypadMenuFromMongo } from './personaService.js';
+
+dotenv.config();
+
+const KEYPAD_MARKER = '[KEYPAD]';
+const MENU_ACTIONS = ['input', 'say', 'transfer'];
+const VALID_DIGITS = /^[0-9*#A-D]$/;
+
+class DtmfService {
+  constructor() {
+    this.interDigitTimeoutMs = parseInt(process.env.DTMF_INTER_DIGIT_TIMEOUT_MS) || 2000;
+    this.maxDigits = parseInt(process.env.DTMF_MAX_DIGITS) || 16;
+  }
+
+  /**
+   * Validate and normalize a keypad menu
+   * @param {Object|string} value - Menu object or JSON string
+   * @returns {{menu: Object|null, error: string|null}} Normalized menu { prompt, options: { key: { label, action, text } } }
+   */
+  parseMenu(value) {
+    if (value === undefined || value === null || value === '') {
+      return { menu: null, error: null };
+    }
+
+    let raw = value;
+    if (typeof raw === 'string') {
+      try {
+        raw = JSON.parse(raw);
+      } catch (error) {
+        return { menu: null, error: `keypad menu is not valid JSON: ${error.message}` };
+      }
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { menu: null, error: 'keypad menu must be an object' };
+    }
+
+    // Options may be given directly ({ "1": "confirm" }) or under "options"
+    const rawOptions = raw.options && typeof raw.options === 'object' ? raw.options : raw;
+    const options = {};
+    for (const [key, option] of Object.entries(rawOptions)) {
+      if (key === 'prompt') continue;
+      if (!/^[0-9*]{1,4}$/.test(key)) {
+        return { menu: null, error: `keypad menu key "${key}" must be 1-4 digits (0-9, *)` };
+      }
+
+      const normalized = typeof option === 'string' ? { label: option } : { ...option };
+      normalized.action = normalized.action || 'input';
+      if (!MENU_ACTIONS.includes(normalized.action)) {
+        return { menu: null, error: `keypad menu action for "${key}" must be one of: ${MENU_ACTIONS.join(', ')}` };
+      }
+      if (normalized.action === 'say' && !normalized.text) {
+        return { menu: null, error: `keypad menu option "${key}" needs "text" for the say action` };
+      }
+      options[key] = {
+        label: normalized.label || normalized.text || normalized.action,
+        action: normalized.action,
+        ...(normalized.text && { text: normalized.text })
+      };
+    }
+
+    if (Object.keys(options).length === 0) {
+      return { menu: null, error: 'keypad menu has no options' };
+    }
+
+    return { menu: { prompt: raw.prompt || null, options }, error: null };
+  }
+
+  /**
+   * Resolve the keypad menu for a call once (keypad_menu per-call parameter, else the MongoDB persona's)
+   * @param {Object} session - Voice session
+   * @returns {Promise<Object|null>} Normalized menu or null
+   */
+  async resolveMenu(session) {
+    if (session.keypadMenu !== undefined) {
+      return session.keypadMenu;
+    }
+
+    let source = session.customParameters?.keypad_menu;
+    // A persona given in the call parameters replaces the MongoDB persona, including its menu
+    if (!source && !session.customParameters?.persona_name) {
+      source = await loadKeypadMenuFromMongo();
+    }
+
+    const { menu, error } = this.parseMenu(source);
+    if (error) {
+      console.warn(`⚠️  [${session.callId}] Ignoring keypad menu: ${error}`);
+    }
+    session.keypadMenu = menu;
+    return menu;
+  }
+
+  /**
+   * Describe the keypad menu and keypad input format for the system prompt
+   * @param {Object|null} menu - Normalized menu
+   * @returns {string} Prompt text
+   */
+  generateKeypadPrompt(menu) {
+    let prompt = `Caller keypad input aayega is format mein: "${KEYPAD_MARKER} <digits> (option)". Isko caller ka jawab samjho.`;
+    if (menu) {
+      const options = Object.entries(menu.options)
+        .map(([key, option]) => `${key} = ${option.label}`)
+        .join(', ');
+      prompt += `\nKeypad menu (caller ko batao jab zarurat ho${menu.prompt ? `: "${menu.prompt}"` : ''}): ${options}`;
+    }
+    return prompt;
+  }
+
+  /**
+   * Buffer a keypad digit; calls onInput with { digits, option } once the input is complete
+   *
+   * @param {Object} session - Voice session
+   * @param {string} digit - Pressed key (0-9, *, #)
+   * @param {Function} onInput - Callback({ digits, option }) with option = menu entry or null
+   */
+  handleDigit(session, digit, onInput) {
+    const key = String(digit || '').trim().toUpperCase();
+    if (!VALID_DIGITS.test(key)) {
+      console.warn(`⚠️  [${session.callId}] Ignoring invalid DTMF digit "${digit}"`);
+      return;
+    }
+
+    if (!session.dtmf) {
+      session.dtmf = { digits: '', timer: null };
+    }
+    const buffer = session.dtmf;
+    clearTimeout(buffer.timer);
+    buffer.timer = null;
+
+    // "#" terminates the input
+    if (key === '#') {
+      this.flush(session, onInput);
+      return;
+    }
+
+    buffer.digits += key;
+
+    const options = session.keypadMenu?.options || {};
+    const selectsOption = options[buffer.digits] &&
+      !Object.keys(options).some(optionKey => optionKey !== buffer.digits && optionKey.startsWith(buffer.digits));
+    if (selectsOption || buffer.digits.length >= this.maxDigits) {
+      this.flush(session, onInput);
+      return;
+    }
+
+    buffer.timer = setTimeout(() => this.flush(session, onInput), this.interDigitTimeoutMs);
+  }
+
+  /**
+   * Complete the buffered input
+   * @param {Object} session - Voice session
+   * @param {Function} onInput - Callback({ digits, option })
+   */
+  flush(session, onInput) {
+    const buffer = session.dtmf;
+    if (!buffer) {
+      return;
+    }
+    clearTimeout(buffer.timer);
+    buffer.timer = null;
+
+    const digits = buffer.digits;
+    buffer.digits = '';
+    if (!digits) {
+      return;
+    }
+
+    const option = session.keypadMenu?.options?.[digits] || null;
+    onInput({ digits, option });
+  }
+
+  /**
+   * Drop buffered digits (call ended)
+   * @param {Object} session - Voice session
+   */
+  reset(session) {
+    if (session.dtmf) {
+      clearTimeout(session.dtmf.timer);
+      session.dtmf = null;
+    }
+  }
+
+  /**
+   * Format keypad input as text for the conversation
+   * @param {{digits: string, option: Object|null}} input - Completed input
+   * @returns {string} e.g. "[KEYPAD] 1 (confirm)"
+   */
+  formatInput({ digits, option }) {
+    return `${KEYPAD_MARKER} ${digits}${option ? ` (${option.label})` : ''}`;
+  }
+}
+
+export const dtmfService = new DtmfService();
+export { KEYPAD_MARKER };
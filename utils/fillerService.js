@@ -0,0 +1,271 @@
+/**
+ * Filler Service
+ * Covers the silence between the end of the caller's utterance and the first reply audio with a
+ * short thinking filler ("Hmm, ek second...", a typing sound)
+ *
+ * Fillers are prepared when the call starts - phrases synthesized in the call's voice, sound
+ * files decoded - and cached, so one can play the moment it is needed. If no reply audio is ready
+ * FILLER_DELAY_MS after the reply was started, the next cached filler is queued as interruptible
+ * audio: the first reply sentence cuts it (see playbackService.interruptFillers).
+ *
+ * Fillers come from the fillers per-call parameter (list or "|"-separated string; false/true
+ * turn them off/on for the call), else the MongoDB persona's fillers, else FILLER_PHRASES.
+ * Entries ending in .wav are sound files in FILLER_SOUNDS_DIR.
+ */
+
+import dotenv from 'dotenv';
+import { readFile } from 'fs/promises';
+import { join, resolve, basename } from 'path';
+import { ttsService } from './ttsService.js';
+import { audioConverter } from './audioConverter.js';
+import { playbackService } from './playbackService.js';
+import { loadFillersFromMongo } from './personaService.js';
+import { isDisabled } from './callContextService.js';
+
+dotenv.config();
+
+const DEFAULT_FILLERS = ['Hmm, ek second...', 'Ji, bas ek moment...', 'Achha, ek minute...'];
+const MAX_FILLERS = 20;
+const MAX_FILLER_LENGTH = 200;
+// Cached filler audio kept across calls (per voice and sample rate)
+const MAX_CACHE_ENTRIES = 200;
+
+/**
+ * Check whether a per-call flag is switched on ("true", "1", "yes", "on" or true; a list never is)
+ * @param {*} value - Parameter value
+ * @returns {boolean}
+ */
+function isSwitchedOn(value) {
+  return value === true || (typeof value === 'string' && ['true', '1', 'yes', 'on'].includes(value.trim().toLowerCase()));
+}
+
+/**
+ * Check whether a filler is a sound file rather than a phrase
+ * @param {string} filler - Filler entry
+ * @returns {boolean}
+ */
+function isSoundFile(filler) {
+  return /\.wav$/i.test(filler);
+}
+
+class FillerService {
+  constructor() {
+    this.enabled = process.env.FILLER_ENABLED !== 'false';
+    this.delayMs = parseInt(process.env.FILLER_DELAY_MS) || 700;
+    this.soundsDir = resolve(process.env.FILLER_SOUNDS_DIR || 'fillers');
+    this.defaultFillers = this.parseFillers(process.env.FILLER_PHRASES).fillers || DEFAULT_FILLERS;
+    this.cache = new Map(); // "voice|sampleRate|filler" -> { ready: Promise<Buffer>, pcm: Buffer|null }
+  }
+
+  /**
+   * Normalize a filler list
+   * @param {*} value - Array of strings or "|"-separated string
+   * @returns {{fillers: string[]|null, error: string|null}} fillers is null when none are given
+   */
+  parseFillers(value) {
+    if (value === undefined || value === null || value === '') {
+      return { fillers: null, error: null };
+    }
+    const entries = typeof value === 'string' ? value.split('|') : value;
+    if (!Array.isArray(entries)) {
+      return { fillers: null, error: 'fillers must be a list of phrases or sound files' };
+    }
+
+    const fillers = [];
+    for (const entry of entries) {
+      if (typeof entry !== 'string') {
+        return { fillers: null, error: 'fillers must be strings' };
+      }
+      const filler = entry.trim();
+      if (!filler) {
+        continue;
+      }
+      if (filler.length > MAX_FILLER_LENGTH) {
+        return { fillers: null, error: `fillers must be at most ${MAX_FILLER_LENGTH} characters` };
+      }
+      if (isSoundFile(filler) && basename(filler) !== filler) {
+        return { fillers: null, error: `filler sound "${filler}" must be a file name in the fillers directory` };
+      }
+      fillers.push(filler);
+    }
+
+    if (fillers.length === 0) {
+      return { fillers: null, error: 'fillers has no entries' };
+    }
+    if (fillers.length > MAX_FILLERS) {
+      return { fillers: null, error: `fillers can have at most ${MAX_FILLERS} entries` };
+    }
+    return { fillers, error: null };
+  }
+
+  /**
+   * Validate the fillers per-call parameter
+   * @param {Object} params - Per-call parameters
+   * @returns {string|null} Error message or null if valid
+   */
+  validateParams(params) {
+    if (params?.fillers === undefined || isDisabled(params.fillers) || isSwitchedOn(params.fillers)) {
+      return null;
+    }
+    return this.parseFillers(params.fillers).error;
+  }
+
+  /**
+   * Check whether fillers play on this call (fillers per-call parameter, else FILLER_ENABLED)
+   * @param {Object} session - Voice session
+   * @returns {boolean}
+   */
+  isEnabled(session) {
+    const perCall = session?.customParameters?.fillers;
+    if (perCall !== undefined && perCall !== null && perCall !== '') {
+      return !isDisabled(perCall);
+    }
+    return this.enabled;
+  }
+
+  /**
+   * Resolve the fillers of a call once (fillers per-call parameter, else the MongoDB persona's,
+   * else FILLER_PHRASES)
+   * @param {Object} session - Voice session
+   * @returns {Promise<string[]>} Fillers (empty when off for this call)
+   */
+  async resolveFillers(session) {
+    if (session.fillers !== undefined) {
+      return session.fillers;
+    }
+    if (!this.isEnabled(session)) {
+      session.fillers = [];
+      return session.fillers;
+    }
+
+    let source = isSwitchedOn(session.customParameters?.fillers) ? null : session.customParameters?.fillers;
+    // A persona given in the call parameters replaces the MongoDB persona, including its fillers
+    if (!source && !session.customParameters?.persona_name) {
+      source = await loadFillersFromMongo();
+    }
+
+    const { fillers, error } = this.parseFillers(source);
+    if (error) {
+      console.warn(`⚠️  [${session.callId}] Ignoring fillers: ${error}`);
+    }
+    session.fillers = fillers || this.defaultFillers;
+    return session.fillers;
+  }
+
+  /**
+   * Cache key of a filler's audio for a call
+   * @param {Object} session - Voice session
+   * @param {string} filler - Filler entry
+   * @returns {string}
+   */
+  getCacheKey(session, filler) {
+    // Same voice as the replies (see streamTTSAudio); sound files do not depend on it
+    const voice = isSoundFile(filler) ? '' : session.customParameters?.voice_id || 'nova';
+    return `${voice}|${session.sampleRate}|${filler}`;
+  }
+
+  /**
+   * Load a filler's audio (synthesized or decoded once, then cached)
+   * @param {Object} session - Voice session
+   * @param {string} filler - Filler entry
+   * @returns {Promise<Buffer>} 16-bit PCM at the session sample rate
+   */
+  load(session, filler) {
+    const key = this.getCacheKey(session, filler);
+    const cached = this.cache.get(key);
+    if (cached) {
+      return cached.ready;
+    }
+
+    const sampleRate = session.sampleRate;
+    const entry = { ready: null, pcm: null };
+    entry.ready = (async () => {
+      if (isSoundFile(filler)) {
+        const file = await readFile(join(this.soundsDir, filler));
+        return audioConverter.convertToPCM(file, 'wav', sampleRate);
+      }
+      const voice = session.customParameters?.voice_id || 'nova';
+      const { buffer, sourceSampleRate } = await ttsService.synthesize(filler, voice, sampleRate);
+      return sourceSampleRate === sampleRate ? buffer : audioConverter.resample(buffer, sourceSampleRate, sampleRate);
+    })().then(pcm => {
+      entry.pcm = pcm;
+      return pcm;
+    }, error => {
+      // Tried again on the next call
+      if (this.cache.get(key) === entry) {
+        this.cache.delete(key);
+      }
+      throw error;
+    });
+
+    if (this.cache.size >= MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, entry);
+    return entry.ready;
+  }
+
+  /**
+   * Prepare the fillers of a call in the background (at call start, once its parameters are known)
+   * @param {Object} session - Voice session
+   * @returns {Promise<void>}
+   */
+  async prepare(session) {
+    const fillers = await this.resolveFillers(session);
+    if (fillers.length === 0) {
+      return;
+    }
+    const results = await Promise.allSettled(fillers.map(filler => this.load(session, filler)));
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length > 0) {
+      console.warn(`⚠️  [${session.callId}] ${failed.length}/${fillers.length} filler(s) could not be prepared: ${failed[0].reason.message}`);
+    } else {
+      console.log(`💭 [${session.callId}] ${fillers.length} filler(s) ready`);
+    }
+  }
+
+  /**
+   * Next filler whose audio is cached, rotating through the call's fillers
+   * @param {Object} session - Voice session
+   * @returns {{filler: string, pcm: Buffer}|null} Null when none is ready yet
+   */
+  pick(session) {
+    const fillers = session.fillers || [];
+    for (let i = 0; i < fillers.length; i++) {
+      const index = ((session.fillerIndex || 0) + i) % fillers.length;
+      const pcm = this.cache.get(this.getCacheKey(session, fillers[index]))?.pcm;
+      if (pcm) {
+        session.fillerIndex = index + 1;
+        return { filler: fillers[index], pcm };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Play a filler if no reply audio is ready after FILLER_DELAY_MS
+   *
+   * @param {Object} session - Voice session
+   * @param {AbortSignal} signal - Signal of the bot turn (barge-in drops the filler too)
+   * @returns {Function} Cancels the timer (call once the reply is done)
+   */
+  schedule(session, signal) {
+    if (!session.fillers || session.fillers.length === 0) {
+      return () => {};
+    }
+    const timer = setTimeout(() => {
+      if (signal?.aborted || !session.isActive || playbackService.hasAudio(session)) {
+        return;
+      }
+      const next = this.pick(session);
+      if (!next) {
+        return;
+      }
+      console.log(`💭 [${session.callId}] Reply not ready after ${this.delayMs}ms, playing filler "${next.filler}"`);
+      playbackService.play(session, next.pcm, { priority: 'filler', signal, interruptible: true });
+    }, this.delayMs);
+    return () => clearTimeout(timer);
+  }
+}
+
+export const fillerService = new FillerService();
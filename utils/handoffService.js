@@ -0,0 +1,232 @@
+/**
+ * Handoff Service
+ * Transfers a live call from the voicebot to a human agent
+ *
+ * Modes (AGENT_TRANSFER_MODE):
+ *   flow - the voicebot stream is closed and Exotel continues with the next applet in the
+ *          call flow; a Connect applet whose "dynamic URL" points at GET /exotel/connect-target
+ *          dials the agent numbers stored on the handoff
+ *   api  - the voicebot stream is closed and a new Connect API call bridges the agent
+ *          (dialed first) with the customer
+ * The transcript so far is stored on the handoff and posted to AGENT_HANDOFF_WEBHOOK_URL.
+ */
+
+import dotenv from 'dotenv';
+import axios from 'axios';
+import Handoff from '../models/Handoff.js';
+import CallAttempt from '../models/CallAttempt.js';
+import { connectDB } from '../config/db.js';
+import { callScheduler } from './callScheduler.js';
+import { monitoringService } from './monitoringService.js';
+import { normalizePhoneNumber } from './phoneNumber.js';
+
+dotenv.config();
+
+/**
+ * Parse agent numbers from a comma-separated string or array
+ * @param {string|string[]} value - Agent numbers
+ * @returns {string[]} E.164 numbers (invalid entries dropped)
+ */
+function parseTargets(value) {
+  if (!value) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(number => normalizePhoneNumber(String(number).trim())).filter(Boolean);
+}
+
+class HandoffService {
+  constructor() {
+    this.mode = process.env.AGENT_TRANSFER_MODE === 'api' ? 'api' : 'flow';
+    this.defaultTargets = parseTargets(process.env.AGENT_TRANSFER_NUMBERS);
+    this.holdMessage = process.env.AGENT_HOLD_MESSAGE ||
+      'Please hold, I am connecting you to one of our team members.';
+    this.webhookUrl = process.env.AGENT_HANDOFF_WEBHOOK_URL || null;
+  }
+
+  /**
+   * Agent numbers for a call (transfer_number per-call parameter, else AGENT_TRANSFER_NUMBERS)
+   * @param {Object} session - Voice session
+   * @returns {string[]} Agent numbers
+   */
+  getTargets(session) {
+    const perCall = parseTargets(session?.customParameters?.transfer_number);
+    return perCall.length > 0 ? perCall : this.defaultTargets;
+  }
+
+  /**
+   * Check whether the call can be transferred at all
+   * @param {Object} session - Voice session
+   * @returns {boolean}
+   */
+  isEnabled(session) {
+    return this.getTargets(session).length > 0;
+  }
+
+  /**
+   * Hold message played before the stream is closed (hold_message per-call parameter, else AGENT_HOLD_MESSAGE)
+   * @param {Object} session - Voice session
+   * @returns {string}
+   */
+  getHoldMessage(session) {
+    return session?.customParameters?.hold_message || this.holdMessage;
+  }
+
+  /**
+   * Find the customer's number for a call (the dialed number for outbound attempts)
+   * @param {Object} session - Voice session
+   * @returns {Promise<string|null>}
+   */
+  async resolveCustomerNumber(session) {
+    if (session.callSid) {
+      const attempt = await CallAttempt.findOne({ callSid: session.callSid }).select('phoneNumber').lean();
+      if (attempt) {
+        return attempt.phoneNumber;
+      }
+    }
+    return normalizePhoneNumber(session.from) || session.from || null;
+  }
+
+  /**
+   * Record a handoff with the transcript so far and notify the agent webhook
+   *
+   * @param {Object} session - Voice session
+   * @param {Object} request - { reason, triggerText } set by aiService
+   * @returns {Promise<Object|null>} Handoff document or null on failure
+   */
+  async createHandoff(session, request) {
+    try {
+      await connectDB();
+
+      const transcript = (session.conversationHistory || [])
+        .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && msg.content)
+        .map(msg => ({ role: msg.role, content: msg.content }));
+
+      const handoff = await Handoff.create({
+        callId: session.callId,
+        callSid: session.callSid || undefined,
+        customerNumber: await this.resolveCustomerNumber(session) || undefined,
+        reason: request.reason,
+        triggerText: request.triggerText,
+        targets: this.getTargets(session),
+        mode: this.mode,
+        transcript
+      });
+
+      // Link the transcript saved so far (it is updated again when the stream closes)
+      session.handoff = { id: handoff._id.toString(), reason: handoff.reason };
+      const savedTranscript = await monitoringService.saveTranscript(session);
+      if (savedTranscript) {
+        handoff.transcriptId = savedTranscript._id;
+        await handoff.save();
+      }
+
+      monitoringService.addLog(session.callId, 'info', `Handoff to agent requested (${handoff.reason})`, {
+        handoffId: handoff._id,
+        targets: handoff.targets,
+        mode: handoff.mode
+      });
+
+      this.notifyAgent(handoff);
+      return handoff;
+    } catch (error) {
+      console.error(`❌ [${session.callId}] Error creating handoff:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Post the handoff (with transcript) to AGENT_HANDOFF_WEBHOOK_URL, if configured
+   * @param {Object} handoff - Handoff document
+   */
+  async notifyAgent(handoff) {
+    if (!this.webhookUrl) {
+      return;
+    }
+
+    try {
+      await axios.post(this.webhookUrl, {
+        event: 'handoff',
+        handoffId: handoff._id,
+        callSid: handoff.callSid || null,
+        customerNumber: handoff.customerNumber || null,
+        reason: handoff.reason,
+        triggerText: handoff.triggerText || null,
+        targets: handoff.targets,
+        transcript: handoff.transcript
+      }, { timeout: 5000 });
+      console.log(`📨 Handoff ${handoff._id} sent to agent webhook`);
+    } catch (error) {
+      console.error(`❌ Error notifying agent webhook for handoff ${handoff._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Complete the transfer after the voicebot stream was closed
+   * In api mode places the agent bridge call; in flow mode Exotel fetches the target itself
+   *
+   * @param {Object} handoff - Handoff document
+   * @returns {Promise<Object>} Updated handoff
+   */
+  async bridge(handoff) {
+    if (handoff.mode !== 'api') {
+      return handoff;
+    }
+
+    try {
+      if (!handoff.customerNumber) {
+        throw new Error('Customer number unknown');
+      }
+
+      const attempt = handoff.callSid
+        ? await CallAttempt.findOne({ callSid: handoff.callSid }).select('from').lean()
+        : null;
+      const result = await callScheduler.getCaller().connectCall(handoff.targets[0], handoff.customerNumber, {
+        callerId: attempt?.from || undefined,
+        customField: `handoff_${handoff._id}`
+      });
+
+      if (!result.success) {
+        throw new Error(typeof result.error === 'string' ? result.error : JSON.stringify(result.error));
+      }
+
+      handoff.status = 'transferred';
+      handoff.bridgeCallSid = result.callSid;
+      handoff.transferredAt = new Date();
+      console.log(`🔀 Handoff ${handoff._id}: agent ${handoff.targets[0]} bridged to ${handoff.customerNumber} (CallSid: ${result.callSid})`);
+    } catch (error) {
+      handoff.status = 'failed';
+      handoff.error = error.message;
+      console.error(`❌ Handoff ${handoff._id} bridge failed:`, error.message);
+    }
+
+    await handoff.save();
+    return handoff;
+  }
+
+  /**
+   * Agent numbers for Exotel's Connect applet (dynamic URL) after the voicebot closed the stream
+   * Marks the latest pending handoff of the call as transferred
+   *
+   * @param {string} callSid - Exotel CallSid
+   * @returns {Promise<{handoff: Object|null, targets: string[]}>}
+   */
+  async getConnectTarget(callSid) {
+    await connectDB();
+
+    const handoff = callSid
+      ? await Handoff.findOneAndUpdate(
+        { callSid, status: 'pending' },
+        { status: 'transferred', transferredAt: new Date() },
+        { sort: { createdAt: -1 }, new: true }
+      )
+      : null;
+
+    return {
+      handoff,
+      targets: handoff?.targets?.length ? handoff.targets : this.defaultTargets
+    };
+  }
+}
+
+export const handoffService = new HandoffService();
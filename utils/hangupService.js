@@ -0,0 +1,178 @@
+/**
+ * Hangup Service
+ * Decides when the bot ends a call itself and what it says before hanging up
+ *
+ * A call is ended by the bot when:
+ *   caller-goodbye        - the caller says goodbye ("bye", "rakhta hoon", "aur kuch nahi")
+ *   conversation-complete - the model starts its reply with HANGUP_MARKER (task done, caller not interested)
+ *   no-response           - the caller stays silent for HANGUP_SILENCE_TIMEOUT_MS after
+ *                           HANGUP_SILENCE_PROMPTS "can you hear me?" prompts (caller unreachable)
+ *   answering-machine     - answering machine detection hung up (see amdService)
+ *   callback-scheduled    - the callback the caller asked for was scheduled (see callbackService)
+ * The closing line is played, its mark acknowledgement awaited and the stream closed; with no
+ * applet after the Voicebot applet in the Exotel flow, closing the stream ends the call.
+ * Disabled per call with the auto_hangup=false parameter or globally with BOT_HANGUP_ENABLED=false.
+ */
+
+import dotenv from 'dotenv';
+import { monitoringService } from './monitoringService.js';
+import { isDisabled } from './callContextService.js';
+
+dotenv.config();
+
+// Reply prefix the model uses to end the call after its closing line
+const HANGUP_MARKER = '[END_CALL]';
+// Closing phrases (English / Hinglish / Hindi)
+const CLOSING = String.raw`(?:bye(?: bye)?|good ?bye|that'?s all|nothing else|talk to you later|have a (?:nice|good) day|alvida|(?:main |mai )?(?:phone |call )?rakh(?:ta|ti) (?:hoon|hu|hun)|(?:main |mai )?(?:phone |call )?rakh (?:raha|rahi) (?:hoon|hu|hun)|call (?:kaat|kat) (?:do|rahe|raha|rahi)(?: hoon| hu| hain)?|bas itna hi(?: tha)?|aur kuch nahi(?: chahiye)?|अलविदा|बाय|फोन रख(?:ता|ती) (?:हूँ|हूं))`;
+// Words that may accompany a closing ("ok bye", "bas itna hi, thank you")
+const POLITE = String.raw`(?:ok(?:ay)?|ji|haan|han|theek hai|thik hai|achha|acha|thank you(?: so much)?|thanks(?: a lot)?|dhanyavaad|dhanyawad|shukriya|bas|sir|madam|ma'?am|no|nahi|that'?s it|धन्यवाद|ठीक है|जी)`;
+// Caller ends the conversation: the whole utterance is a closing; anything more ("that's all I
+// wanted to ask, what is the rate?") is left to the model's [END_CALL] decision
+const GOODBYE_PATTERN = new RegExp(String.raw`^(?:${POLITE} )*${CLOSING}(?: (?:${POLITE}|${CLOSING}))*$`, 'i');
+
+class HangupService {
+  constructor() {
+    this.enabled = process.env.BOT_HANGUP_ENABLED !== 'false';
+    this.closingMessage = process.env.HANGUP_CLOSING_MESSAGE ||
+      'Thank you for your time. Have a nice day!';
+    this.silencePrompt = process.env.HANGUP_SILENCE_PROMPT || 'Hello, can you hear me?';
+    this.noResponseMessage = process.env.HANGUP_NO_RESPONSE_MESSAGE ||
+      'I am unable to hear you, so I will end the call now. Please call us back anytime. Goodbye!';
+    this.silenceTimeoutMs = parseInt(process.env.HANGUP_SILENCE_TIMEOUT_MS) || 15000;
+    this.silencePrompts = parseInt(process.env.HANGUP_SILENCE_PROMPTS ?? '1', 10);
+    if (isNaN(this.silencePrompts) || this.silencePrompts < 0) {
+      this.silencePrompts = 1;
+    }
+  }
+
+  /**
+   * Check whether the bot may end this call (auto_hangup per-call parameter, else BOT_HANGUP_ENABLED)
+   * @param {Object} session - Voice session
+   * @returns {boolean}
+   */
+  isEnabled(session) {
+    const perCall = session?.customParameters?.auto_hangup;
+    if (perCall !== undefined && perCall !== null && perCall !== '') {
+      return !isDisabled(perCall);
+    }
+    return this.enabled;
+  }
+
+  /**
+   * Generate the end-of-call instruction (only when the bot may hang up)
+   * @returns {string} Prompt text
+   */
+  generateHangupPrompt() {
+    return `Jab baat poori ho jaaye (caller bye bole, kaam ho jaaye, ya caller aage baat na karna chahe), to apna jawab ${HANGUP_MARKER} se shuru karo ` +
+      'aur ek chhoti closing line bolo (dhanyavaad / goodbye). Uske baad call kaat di jaayegi.';
+  }
+
+  /**
+   * Detect a caller turn that is only a goodbye ("ok bye", "bas itna hi, thank you")
+   * @param {string} userText - Caller input as text
+   * @returns {Object|null} { reason, triggerText } or null
+   */
+  detectGoodbye(userText) {
+    const utterance = String(userText || '').toLowerCase().replace(/[.,!?।…"]+/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!utterance || !GOODBYE_PATTERN.test(utterance)) {
+      return null;
+    }
+    return { reason: 'caller-goodbye', triggerText: userText };
+  }
+
+  /**
+   * Closing line when the model gave none (closing_message per-call parameter, else HANGUP_CLOSING_MESSAGE)
+   * @param {Object} session - Voice session
+   * @returns {string}
+   */
+  getClosingMessage(session) {
+    return session?.customParameters?.closing_message || this.closingMessage;
+  }
+
+  /**
+   * Prompt spoken when the caller has been silent (silence_prompt per-call parameter, else HANGUP_SILENCE_PROMPT)
+   * @param {Object} session - Voice session
+   * @returns {string}
+   */
+  getSilencePrompt(session) {
+    return session?.customParameters?.silence_prompt || this.silencePrompt;
+  }
+
+  /**
+   * Closing line for an unresponsive caller (HANGUP_NO_RESPONSE_MESSAGE)
+   * @returns {string}
+   */
+  getNoResponseMessage() {
+    return this.noResponseMessage;
+  }
+
+  /**
+   * Note caller activity (speech or keypad input): restarts the silence timeout
+   * @param {Object} session - Voice session
+   */
+  noteCallerActivity(session) {
+    session.lastActivityAt = Date.now();
+    session.silencePromptCount = 0;
+  }
+
+  /**
+   * Note bot audio: silence is measured from the end of its playback
+   * @param {Object} session - Voice session
+   * @param {number} playbackMs - Duration of the audio just sent
+   */
+  noteBotAudio(session, playbackMs) {
+    session.lastActivityAt = Math.max(session.lastActivityAt || 0, Date.now() + playbackMs);
+  }
+
+  /**
+   * Check whether the caller has been silent for HANGUP_SILENCE_TIMEOUT_MS
+   * @param {Object} session - Voice session
+   * @returns {boolean}
+   */
+  hasSilenceTimedOut(session) {
+    if (!session.lastActivityAt || !this.isEnabled(session)) {
+      return false;
+    }
+    return Date.now() - session.lastActivityAt >= this.silenceTimeoutMs;
+  }
+
+  /**
+   * Decide what to do about caller silence
+   * @param {Object} session - Voice session
+   * @returns {string|null} prompt (ask whether the caller can hear), hangup, or null (keep waiting)
+   */
+  checkSilence(session) {
+    if (!this.hasSilenceTimedOut(session)) {
+      return null;
+    }
+
+    if ((session.silencePromptCount || 0) < this.silencePrompts) {
+      session.silencePromptCount = (session.silencePromptCount || 0) + 1;
+      return 'prompt';
+    }
+    return 'hangup';
+  }
+
+  /**
+   * Store why and how the bot ended the call (saved with the transcript)
+   *
+   * @param {Object} session - Voice session
+   * @param {Object} request - { reason, triggerText }
+   * @param {Object} details - { closingText, closingPlayed }
+   */
+  recordHangup(session, request, { closingText = null, closingPlayed = false } = {}) {
+    session.hangup = {
+      reason: request.reason,
+      triggerText: request.triggerText || null,
+      closingText,
+      closingPlayed,
+      at: new Date()
+    };
+    monitoringService.addLog(session.callId, 'info', `Call ended by the bot (${request.reason})`, {
+      closingPlayed
+    });
+  }
+}
+
+export const hangupService = new HangupService();
+export { HANGUP_MARKER };
@@ -0,0 +1,188 @@
+/**
+ * Idempotency Service
+ * Makes POST /call safe to retry: the first request with an Idempotency-Key header
+ * stores its response (and CallSid) in MongoDB; repeated requests with the same key
+ * within IDEMPOTENCY_WINDOW_HOURS get that response back instead of placing a new call.
+ *
+ * A key reused with a different request body is rejected (422), and a repeat that
+ * arrives while the first request is still dialing is rejected (409). A key left in progress
+ * longer than IDEMPOTENCY_IN_PROGRESS_TIMEOUT_MS (its request died before storing a result)
+ * is taken over by the next repeat, so the client can still retry safely.
+ */
+
+import { createHash } from 'crypto';
+import dotenv from 'dotenv';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { connectDB } from '../config/db.js';
+
+dotenv.config();
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serialize a value with object keys sorted, so equal bodies hash the same
+ * @param {*} value - Request body
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+class IdempotencyService {
+  constructor() {
+    this.windowMs = (parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+    // Longer than a dial can take (EXOTEL_API_TIMEOUT_MS, default 30s)
+    this.inProgressTimeoutMs = parseInt(process.env.IDEMPOTENCY_IN_PROGRESS_TIMEOUT_MS) || 60 * 1000;
+  }
+
+  /**
+   * Validate an Idempotency-Key header value
+   * @param {string} key - Header value
+   * @returns {string|null} Error message or null if valid
+   */
+  validateKey(key) {
+    if (typeof key !== 'string' || !key.trim()) {
+      return 'Idempotency-Key must not be empty';
+    }
+    if (key.length > MAX_KEY_LENGTH) {
+      return `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Hash a request body
+   * @param {Object} body - Request body
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRequest(body) {
+    return createHash('sha256').update(stableStringify(body || {})).digest('hex');
+  }
+
+  /**
+   * Claim a key for a new request, or find the stored result of an earlier one
+   *
+   * @param {string} key - Idempotency-Key header value
+   * @param {Object} body - Request body
+   * @returns {Promise<{started: boolean, startedAt: Date|null, record: Object|null, error: string|null, statusCode: number|null}>}
+   *   started: this request owns the key and should proceed (then call complete or release with startedAt)
+   *   record: completed earlier request whose response should be replayed
+   *   error/statusCode: the key cannot be used for this request (409 or 422)
+   */
+  async begin(key, body) {
+    await connectDB();
+
+    const requestHash = this.hashRequest(body);
+    try {
+      const startedAt = new Date();
+      await IdempotencyKey.create({
+        key,
+        requestHash,
+        startedAt,
+        expiresAt: new Date(Date.now() + this.windowMs)
+      });
+      return { started: true, startedAt, record: null, error: null, statusCode: null };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    const record = await IdempotencyKey.findOne({ key }).lean();
+    // Expired but not yet removed by MongoDB's TTL monitor: start over
+    if (!record || record.expiresAt <= new Date()) {
+      await IdempotencyKey.deleteOne({ key, expiresAt: { $lte: new Date() } });
+      return this.begin(key, body);
+    }
+
+    if (record.requestHash !== requestHash) {
+      return {
+        started: false,
+        startedAt: null,
+        record: null,
+        error: 'Idempotency-Key was already used with a different request body',
+        statusCode: 422
+      };
+    }
+    if (record.status !== 'completed') {
+      const takenOver = await this.takeOver(record);
+      if (takenOver) {
+        console.warn(`⚠️  Idempotency-Key ${key} was in progress for over ${Math.round(this.inProgressTimeoutMs / 1000)}s, taking it over`);
+        return { started: true, startedAt: takenOver, record: null, error: null, statusCode: null };
+      }
+      return {
+        started: false,
+        startedAt: null,
+        record: null,
+        error: 'A request with this Idempotency-Key is still being processed',
+        statusCode: 409
+      };
+    }
+    return { started: false, startedAt: null, record, error: null, statusCode: null };
+  }
+
+  /**
+   * Claim an in-progress key whose request has not finished within the takeover timeout
+   * (only one of several concurrent repeats succeeds)
+   * @param {Object} record - In-progress key
+   * @returns {Promise<Date|null>} New startedAt of the claim, or null when the key is not stale
+   */
+  async takeOver(record) {
+    // Keys stored before startedAt existed were claimed at creation
+    const startedAt = record.startedAt || record.createdAt;
+    if (!startedAt || Date.now() - startedAt.getTime() < this.inProgressTimeoutMs) {
+      return null;
+    }
+    const now = new Date();
+    const result = await IdempotencyKey.updateOne(
+      { key: record.key, status: 'in-progress', startedAt: record.startedAt ?? { $exists: false } },
+      { startedAt: now }
+    );
+    return result.modifiedCount === 1 ? now : null;
+  }
+
+  /**
+   * Store the response of the request that owns a key
+   *
+   * @param {string} key - Idempotency-Key header value
+   * @param {number} statusCode - HTTP status sent
+   * @param {Object} response - Response body sent
+   * @param {Date} startedAt - startedAt of the claim (from begin); a key taken over since is left alone
+   * @returns {Promise<void>}
+   */
+  async complete(key, statusCode, response, startedAt) {
+    try {
+      await IdempotencyKey.updateOne({ key, startedAt }, {
+        status: 'completed',
+        statusCode,
+        response,
+        callSid: response.callSid || undefined,
+        attemptId: response.attemptId || undefined
+      });
+    } catch (error) {
+      console.error(`❌ Error storing response for Idempotency-Key ${key}:`, error.message);
+    }
+  }
+
+  /**
+   * Give up a key whose request ended before a call was placed, so it can be retried
+   * @param {string} key - Idempotency-Key header value
+   * @param {Date} startedAt - startedAt of the claim (from begin); a key taken over since is left alone
+   * @returns {Promise<void>}
+   */
+  async release(key, startedAt) {
+    try {
+      await IdempotencyKey.deleteOne({ key, status: 'in-progress', startedAt });
+    } catch (error) {
+      console.error(`❌ Error releasing Idempotency-Key ${key}:`, error.message);
+    }
+  }
+}
+
+export const idempotencyService = new IdempotencyService();
@@ -5,6 +5,7 @@
 
 import Transcript from '../models/Transcript.js';
 import { connectDB } from '../config/db.js';
+import { amdService } from './amdService.js';
 
 class MonitoringService {
   constructor() {
@@ -69,21 +70,37 @@ class MonitoringService {
         startedAt: session.connectedAt || new Date(),
         endedAt: new Date(),
         status: 'completed',
+        answeringMachine: session.amd ? amdService.toRecord(session.amd) : null,
+        callback: session.callbackResult || null,
+        hangup: session.hangup || null,
         metadata: {
           streamSid: session.streamSid || null,
           greetingSent: session.greetingSent || false,
           totalTurns: Math.floor((session.conversationHistory?.length || 0) / 2),
           lastUserText: session.lastUserText || null,
-          lastBotText: session.lastBotText || null
+          lastBotText: session.lastBotText || null,
+          handoffId: session.handoff?.id || null,
+          handoffReason: session.handoff?.reason || null
         }
       };
 
-      // Try to find existing transcript (in case call was already saved)
-      let transcript = await Transcript.findOne({ callId: session.callId });
+      // Try to find existing transcript (in case call was already saved or finalized by the status callback)
+      let transcript = await Transcript.findOne(session.callSid ? { callSid: session.callSid } : { callId: session.callId });
 
       if (transcript) {
-        // Update existing transcript
-        Object.assign(transcript, transcriptData);
+        // Carrier-reported fields from the status callback take precedence
+        const carrierFinalized = Boolean(transcript.metadata?.get('carrierStatus'));
+        for (const [key, value] of Object.entries(transcriptData)) {
+          if (value === null || value === undefined) continue;
+          if (carrierFinalized && ['status', 'duration', 'startedAt', 'endedAt', 'direction'].includes(key)) continue;
+          if (key === 'metadata') {
+            for (const [metaKey, metaValue] of Object.entries(value)) {
+              transcript.metadata.set(metaKey, metaValue);
+            }
+            continue;
+          }
+          transcript[key] = value;
+        }
         await transcript.save();
         this.addLog(session.callId, 'info', 'Transcript updated in MongoDB', { transcriptId: transcript._id });
       } else {
@@ -101,6 +118,47 @@ class MonitoringService {
     }
   }
 
+  /**
+   * Apply a carrier call status (from Exotel's StatusCallback) to the transcript of a call
+   * Creates the transcript if the call never reached the voicebot (busy, no-answer, ...)
+   *
+   * @param {string} callSid - Exotel CallSid
+   * @param {Object} status - { status, from, to, direction, duration, startedAt, endedAt, recordingUrl }
+   * @returns {Promise<Object|null>} Updated transcript or null
+   */
+  async applyCallStatus(callSid, status) {
+    try {
+      await connectDB();
+
+      const update = {
+        status: status.status,
+        endedAt: status.endedAt || new Date(),
+        'metadata.carrierStatus': status.status
+      };
+      if (status.from) update.from = status.from;
+      if (status.to) update.to = status.to;
+      if (status.direction) update.direction = status.direction;
+      if (status.duration !== null && status.duration !== undefined) update.duration = status.duration;
+      if (status.startedAt) update.startedAt = status.startedAt;
+      if (status.recordingUrl) update['metadata.recordingUrl'] = status.recordingUrl;
+
+      const transcript = await Transcript.findOneAndUpdate(
+        { callSid },
+        {
+          $set: update,
+          $setOnInsert: { callId: callSid }
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      this.addLog(callSid, 'info', `Call status from carrier: ${status.status}`, { transcriptId: transcript._id });
+      return transcript;
+    } catch (error) {
+      this.addLog(callSid, 'error', 'Failed to apply call status', { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Get recent logs
    * @param {number} limit - Number of logs to return
@@ -13,6 +13,8 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 let cachedPersona = null;
+let cachedKeypadMenu = null;
+let cachedFillers = null;
 let cacheTimestamp = null;
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes cache
 
@@ -66,6 +68,8 @@ async function loadPersonaFromMongo(name = 'default') {
 
     // Update cache
     cachedPersona = persona.content;
+    cachedKeypadMenu = persona.keypadMenu || null;
+    cachedFillers = persona.fillers?.length ? persona.fillers : null;
     cacheTimestamp = Date.now();
 
     console.log(`✅ Loaded persona "${name}" from MongoDB (${persona.content.length} chars)`);
@@ -77,19 +81,43 @@ async function loadPersonaFromMongo(name = 'default') {
     // Fallback to local file if DB fails
     const fallback = getFallbackPersona();
     cachedPersona = fallback;
+    cachedKeypadMenu = null;
+    cachedFillers = null;
     cacheTimestamp = Date.now();
     console.warn('⚠️  Using fallback persona from local file');
     return fallback;
   }
 }
 
+/**
+ * Load the persona's keypad menu from MongoDB (shares the persona cache)
+ * @param {string} name - Persona name (default: "default")
+ * @returns {Promise<Object|null>} Keypad menu or null if the persona has none
+ */
+async function loadKeypadMenuFromMongo(name = 'default') {
+  await loadPersonaFromMongo(name);
+  return cachedKeypadMenu;
+}
+
+/**
+ * Load the persona's thinking fillers from MongoDB (shares the persona cache)
+ * @param {string} name - Persona name (default: "default")
+ * @returns {Promise<string[]|null>} Fillers or null if the persona has none
+ */
+async function loadFillersFromMongo(name = 'default') {
+  await loadPersonaFromMongo(name);
+  return cachedFillers;
+}
+
 /**
  * Update persona in MongoDB
  * @param {string} content - New persona content
  * @param {string} name - Persona name (default: "default")
+ * @param {Object|null} keypadMenu - Keypad menu (undefined keeps the stored menu, null removes it)
+ * @param {string[]|null} fillers - Thinking fillers (undefined keeps the stored fillers, null removes them)
  * @returns {Promise<Object>} Updated persona document
  */
-async function updatePersona(content, name = 'default') {
+async function updatePersona(content, name = 'default', keypadMenu = undefined, fillers = undefined) {
   try {
     await connectDB();
 
@@ -97,6 +125,8 @@ async function updatePersona(content, name = 'default') {
       { name },
       { 
         content: content.trim(),
+        ...(keypadMenu !== undefined && { keypadMenu }),
+        ...(fillers !== undefined && { fillers: fillers || [] }),
         updatedAt: new Date()
       },
       { 
@@ -108,6 +138,8 @@ async function updatePersona(content, name = 'default') {
 
     // Clear cache
     cachedPersona = null;
+    cachedKeypadMenu = null;
+    cachedFillers = null;
     cacheTimestamp = null;
 
     console.log(`✅ Updated persona "${name}" in MongoDB`);
@@ -139,11 +171,15 @@ async function getPersonaDocument(name = 'default') {
  */
 function clearPersonaCache() {
   cachedPersona = null;
+  cachedKeypadMenu = null;
+  cachedFillers = null;
   cacheTimestamp = null;
 }
 
 export { 
   loadPersonaFromMongo, 
+  loadKeypadMenuFromMongo, 
+  loadFillersFromMongo, 
   updatePersona, 
   getPersonaDocument,
   clearPersonaCache 
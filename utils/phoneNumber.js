@@ -0,0 +1,163 @@
+/**
+ * Phone Number Utility
+ * Parses Indian local formats and international numbers into E.164 so the
+ * same subscriber always compares equal (calls, campaigns, DNC list)
+ *
+ * Accepted Indian formats:
+ *   9876543210, 09876543210, 919876543210, +91 98765 43210, 0091-9876543210 (mobile)
+ *   022 2345 6789, 0-80-23456789, 01234-567890 (landline with STD code)
+ *   1800-123-4567, 1800 1234 5678, 1860 500 1111 (toll-free: 1800/1860 + 6-8 digits)
+ * International numbers must carry + or 00 followed by the country code.
+ */
+
+const INDIA_COUNTRY_CODE = '91';
+
+// Country calling codes that are one or two digits long (everything else is three)
+const ONE_DIGIT_CODES = ['1', '7'];
+const TWO_DIGIT_CODES = [
+  '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+  '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66',
+  '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+];
+
+/**
+ * Split international digits (no +) into country code and national number
+ * @param {string} digits - Country code followed by the national number
+ * @returns {{countryCode: string, nationalNumber: string}}
+ */
+function splitCountryCode(digits) {
+  let length = 3;
+  if (ONE_DIGIT_CODES.includes(digits.slice(0, 1))) {
+    length = 1;
+  } else if (TWO_DIGIT_CODES.includes(digits.slice(0, 2))) {
+    length = 2;
+  }
+  return { countryCode: digits.slice(0, length), nationalNumber: digits.slice(length) };
+}
+
+/**
+ * Classify a 10+ digit Indian national number (without trunk prefix 0)
+ * STD codes starting 6-9 (e.g. 80 Bengaluru, 79 Ahmedabad) overlap the mobile
+ * series, so those are only treated as landlines when written with a separate
+ * STD code ("080-23456789", "(0612) 2345678")
+ *
+ * @param {string} nationalNumber - National significant number
+ * @param {boolean} writtenWithStdCode - Input separated a 0-prefixed STD code
+ * @returns {string|null} 'mobile', 'landline', 'toll-free' or null if not a valid Indian number
+ */
+function classifyIndianNumber(nationalNumber, writtenWithStdCode = false) {
+  // 1800 / 1860 followed by 6 to 8 digits (10-12 digits in total)
+  if (/^18[06]0\d{6,8}$/.test(nationalNumber)) {
+    return 'toll-free';
+  }
+  if (nationalNumber.length !== 10) {
+    return null;
+  }
+  if (/^[6-9]/.test(nationalNumber)) {
+    return writtenWithStdCode ? 'landline' : 'mobile';
+  }
+  // STD code (2-4 digits, starting 1-8) + subscriber number, 10 digits in total
+  if (/^[1-8]/.test(nationalNumber)) {
+    return 'landline';
+  }
+  return null;
+}
+
+/**
+ * Parse a phone number
+ * @param {string} input - Raw number as typed or uploaded
+ * @returns {{valid: boolean, e164: string|null, countryCode: string|null, nationalNumber: string|null,
+ *            type: string, error: string|null}} type is mobile, landline, toll-free or unknown
+ */
+function parsePhoneNumber(input) {
+  const invalid = (error) => ({ valid: false, e164: null, countryCode: null, nationalNumber: null, type: 'unknown', error });
+
+  if (input === undefined || input === null || String(input).trim() === '') {
+    return invalid('Phone number is required');
+  }
+
+  const raw = String(input).trim();
+  if (/[a-z]/i.test(raw.replace(/(ext\.?|x)\s*\d+$/i, ''))) {
+    return invalid(`Invalid phone number "${raw}": contains letters`);
+  }
+
+  const hasPlus = raw.startsWith('+');
+  let digits = raw.replace(/(ext\.?|x)\s*\d+$/i, '').replace(/\D/g, '');
+  let international = hasPlus;
+
+  if (!hasPlus && digits.startsWith('00')) {
+    // 00 international access prefix
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  let countryCode;
+  let nationalNumber;
+
+  if (international) {
+    ({ countryCode, nationalNumber } = splitCountryCode(digits));
+  } else if (digits.length === 12 && digits.startsWith(INDIA_COUNTRY_CODE) && /^[6-9]/.test(digits.slice(2))) {
+    // 91XXXXXXXXXX without + (common in exported sheets)
+    countryCode = INDIA_COUNTRY_CODE;
+    nationalNumber = digits.slice(2);
+  } else {
+    // Local Indian format: strip the trunk prefix 0
+    countryCode = INDIA_COUNTRY_CODE;
+    nationalNumber = digits.replace(/^0+/, '');
+  }
+
+  if (countryCode === INDIA_COUNTRY_CODE) {
+    // "+91 0XXXXXXXXXX" is a frequent mistake; the trunk 0 is never dialed after 91
+    nationalNumber = nationalNumber.replace(/^0+/, '');
+    const writtenWithStdCode = /^(\+91[\s-]*)?\(?0[\s-]?[1-9]\d{1,3}\)?[\s-]+\d/.test(raw);
+    const type = classifyIndianNumber(nationalNumber, writtenWithStdCode);
+    if (!type) {
+      return invalid(`Invalid Indian phone number "${raw}"`);
+    }
+    return {
+      valid: true,
+      e164: `+${INDIA_COUNTRY_CODE}${nationalNumber}`,
+      countryCode: INDIA_COUNTRY_CODE,
+      nationalNumber,
+      type,
+      error: null
+    };
+  }
+
+  // E.164 allows at most 15 digits; national numbers never start with 0
+  const totalLength = countryCode.length + nationalNumber.length;
+  if (countryCode.startsWith('0') || nationalNumber.length < 4 || totalLength < 8 || totalLength > 15) {
+    return invalid(`Invalid international phone number "${raw}"`);
+  }
+
+  return {
+    valid: true,
+    e164: `+${countryCode}${nationalNumber}`,
+    countryCode,
+    nationalNumber,
+    type: 'unknown',
+    error: null
+  };
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} input - Raw number
+ * @returns {string|null} E.164 number or null if invalid
+ */
+function normalizePhoneNumber(input) {
+  return parsePhoneNumber(input).e164;
+}
+
+/**
+ * Check whether two numbers belong to the same subscriber
+ * @param {string} a - First number
+ * @param {string} b - Second number
+ * @returns {boolean}
+ */
+function isSamePhoneNumber(a, b) {
+  const first = normalizePhoneNumber(a);
+  return first !== null && first === normalizePhoneNumber(b);
+}
+
+export { parsePhoneNumber, normalizePhoneNumber, isSamePhoneNumber };
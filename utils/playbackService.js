@@ -0,0 +1,458 @@
+/**
+ * Playback Service
+ * Schedules the bot's outbound audio per call and tracks what the caller has actually heard
+ *
+ * Audio is queued in the order it was requested (a slot is reserved before synthesis, so
+ * sentences synthesized in parallel still play in order) and sent at real-time cadence:
+ * no more than PLAYBACK_LEAD_MS of audio is ever buffered at the provider, so a clear
+ * (barge-in) drops little and the server knows what is still unplayed.
+ *
+ * Each queued piece of audio (a sentence) ends with a mark named seg_<n>. The provider echoes
+ * a mark once the audio before it has played, which moves the acknowledged playback position
+ * to the end of that sentence (see acknowledge and getPosition).
+ *
+ * Every piece of bot audio and every mark goes through this queue, so only one sender writes
+ * to the socket and sequence numbers increase monotonically. Items are ordered by priority
+ * (PLAYBACK_PRIORITIES), then in the order they were queued; the item being sent is never
+ * preempted, only cancelled (cancelCurrent, cancelAll).
+ *
+ * Interruptible items (thinking fillers) may play while the audio ahead of them is still being
+ * synthesized, and give way to it: once any other audio is ready they are dropped, and the one
+ * being sent ends with a short fade-out so it is cut cleanly.
+ */
+
+import dotenv from 'dotenv';
+import { recordingService } from './recordingService.js';
+
+dotenv.config();
+
+// Sentences kept in the heard history
+const MAX_HEARD_SEGMENTS = 20;
+// Audio always left buffered before the next chunk is sent, so timer jitter does not cause gaps
+const MIN_AHEAD_MS = 100;
+
+// Lower plays first: a greeting goes ahead of everything queued, fillers only play when nothing else waits
+const PLAYBACK_PRIORITIES = {
+  greeting: 0,
+  system: 1, // Prompts from the call flow: silence prompt, keypad options, hold and closing messages
+  reply: 2,
+  filler: 3
+};
+
+/**
+ * Fade a chunk of 16-bit PCM linearly to silence
+ * @param {Buffer} pcm - 16-bit PCM
+ * @returns {Buffer} Faded copy
+ */
+function fadeOut(pcm) {
+  const samples = pcm.length / 2;
+  const faded = Buffer.alloc(pcm.length);
+  for (let i = 0; i < samples; i++) {
+    faded.writeInt16LE(Math.round(pcm.readInt16LE(i * 2) * (1 - (i + 1) / samples)), i * 2);
+  }
+  return faded;
+}
+
+class PlaybackService {
+  constructor() {
+    this.leadMs = parseInt(process.env.PLAYBACK_LEAD_MS) || 300;
+  }
+
+  /**
+   * Playback state of a session, created on first use
+   * @param {Object} session - Voice session
+   * @returns {Object}
+   */
+  getState(session) {
+    if (!session.playback) {
+      session.playback = {
+        queue: [], // Reserved and filled items waiting to be sent, in playback order
+        pumping: false,
+        sending: null, // Item being sent
+        current: null, // { text, startMs } of the item being sent
+        generation: 0, // Bumped by clear: the item being sent stops
+        segmentCount: 0,
+        segments: new Map(), // seg_<n> mark -> { text, startMs, endMs } sent but not yet acknowledged
+        heard: [], // Acknowledged sentences, oldest first
+        sentMs: 0, // Audio sent since the call started
+        sentUntil: 0, // When the provider finishes playing the audio sent so far
+        acknowledgedMs: 0 // End of the last acknowledged sentence
+      };
+    }
+    return session.playback;
+  }
+
+  /**
+   * Reserve the next place in the playback queue
+   *
+   * @param {Object} session - Voice session
+   * @param {Object} options - { text, priority: key of PLAYBACK_PRIORITIES (default reply),
+   *   signal: AbortSignal that drops the audio, markName: mark sent after it,
+   *   interruptible: plays ahead of audio not yet ready and is cut when other audio is }
+   * @returns {Object} Queue item, passed to fill or cancel
+   * @throws {Error} Unknown priority
+   */
+  reserve(session, { text = null, priority = 'reply', signal = null, markName = null, interruptible = false } = {}) {
+    if (!(priority in PLAYBACK_PRIORITIES)) {
+      throw new Error(`Unknown playback priority: ${priority}`);
+    }
+    const state = this.getState(session);
+    const item = { text, priority, rank: PLAYBACK_PRIORITIES[priority], signal, markName, interruptible, pcm: null, cancelled: false, fadeOut: false };
+    item.done = new Promise(resolve => {
+      item.resolve = resolve;
+    });
+
+    // Behind items of the same or higher priority (the item being sent is no longer queued)
+    let index = 0;
+    while (index < state.queue.length && state.queue[index].rank <= item.rank) {
+      index++;
+    }
+    state.queue.splice(index, 0, item);
+    return item;
+  }
+
+  /**
+   * Provide the audio of a reserved item and wait until it has been sent
+   *
+   * @param {Object} session - Voice session
+   * @param {Object} item - Item from reserve
+   * @param {Buffer} pcm - 16-bit PCM at the session sample rate
+   * @returns {Promise<{sentBytes: number, stopped: string|null}>}
+   *   stopped: interrupted (aborted or cleared), closed (stream closed) or null when all was sent
+   */
+  fill(session, item, pcm) {
+    item.pcm = pcm;
+    if (!item.interruptible && pcm.length > 0) {
+      this.interruptFillers(session, item);
+    }
+    this.pump(session);
+    return item.done;
+  }
+
+  /**
+   * Queue audio and wait until it has been sent
+   * @param {Object} session - Voice session
+   * @param {Buffer} pcm - 16-bit PCM at the session sample rate
+   * @param {Object} options - See reserve
+   * @returns {Promise<{sentBytes: number, stopped: string|null}>}
+   */
+  play(session, pcm, options = {}) {
+    return this.fill(session, this.reserve(session, options), pcm);
+  }
+
+  /**
+   * Queue a mark behind all the audio queued so far (at the lowest priority)
+   * @param {Object} session - Voice session
+   * @param {string} markName - Mark name
+   * @returns {Promise<{sentBytes: number, stopped: string|null}>}
+   */
+  queueMark(session, markName) {
+    return this.play(session, Buffer.alloc(0), { markName, priority: 'filler' });
+  }
+
+  /**
+   * Drop one item: a waiting item is removed (e.g. its synthesis failed) so the audio behind it
+   * is not held up; the item being sent stops at its next chunk and the queue moves on
+   * @param {Object} session - Voice session
+   * @param {Object} item - Item from reserve
+   */
+  cancel(session, item) {
+    const state = this.getState(session);
+    if (item === state.sending) {
+      item.cancelled = true;
+      return;
+    }
+    const index = state.queue.indexOf(item);
+    if (index === -1) {
+      return;
+    }
+    item.cancelled = true;
+    state.queue.splice(index, 1);
+    item.resolve({ sentBytes: 0, stopped: 'interrupted' });
+    this.pump(session);
+  }
+
+  /**
+   * Stop the item being sent; the audio queued behind it plays next
+   * Up to PLAYBACK_LEAD_MS of it is already buffered at the provider and still plays
+   * @param {Object} session - Voice session
+   * @returns {Object|null} The cancelled item, or null when nothing was being sent
+   */
+  cancelCurrent(session) {
+    const item = this.getState(session).sending;
+    if (!item) {
+      return null;
+    }
+    this.cancel(session, item);
+    return item;
+  }
+
+  /**
+   * Give way to audio that is ready: drop the interruptible items (fillers) still waiting and
+   * fade out the one being sent
+   * @param {Object} session - Voice session
+   * @param {Object} except - Item that is not dropped (the one that became ready)
+   */
+  interruptFillers(session, except = null) {
+    const state = this.getState(session);
+    for (const item of [...state.queue, state.sending]) {
+      if (item && item !== except && item.interruptible && !item.cancelled) {
+        item.fadeOut = item === state.sending;
+        this.cancel(session, item);
+      }
+    }
+  }
+
+  /**
+   * Next item to send: the head of the queue once it has its audio, else an interruptible item
+   * that is ready while the audio ahead of it is still being synthesized
+   * @param {Object} state - Playback state
+   * @returns {Object|null}
+   */
+  nextItem(state) {
+    if (state.queue.length === 0) {
+      return null;
+    }
+    if (state.queue[0].pcm) {
+      return state.queue[0];
+    }
+    return state.queue.find(item => item.interruptible && item.pcm) || null;
+  }
+
+  /**
+   * Send queued items in order while the next one has its audio
+   * @param {Object} session - Voice session
+   */
+  async pump(session) {
+    const state = this.getState(session);
+    if (state.pumping) {
+      return;
+    }
+    state.pumping = true;
+    try {
+      let item;
+      while ((item = this.nextItem(state))) {
+        state.queue.splice(state.queue.indexOf(item), 1);
+        state.sending = item;
+        let result;
+        try {
+          result = await this.sendItem(session, state, item);
+        } catch (error) {
+          console.error(`❌ [${session.callId}] Error sending audio:`, error.message);
+          result = { sentBytes: 0, stopped: 'closed' };
+        }
+        state.sending = null;
+        item.resolve(result);
+      }
+    } finally {
+      state.pumping = false;
+    }
+  }
+
+  /**
+   * Send one item at real-time cadence, followed by its marks
+   * @param {Object} session - Voice session
+   * @param {Object} state - Playback state
+   * @param {Object} item - Queue item with audio
+   * @returns {Promise<{sentBytes: number, stopped: string|null}>}
+   */
+  async sendItem(session, state, item) {
+    const ws = session.ws;
+    const generation = state.generation;
+    const chunkSize = session.adapter.getChunkSize(session);
+    const bytesPerMs = (session.sampleRate * 2) / 1000;
+    const startMs = state.sentMs;
+    let sentBytes = 0;
+    let stopped = null;
+    let fading = false;
+
+    state.current = { text: item.text, startMs };
+
+    for (let offset = 0; offset < item.pcm.length; offset += chunkSize) {
+      let chunk = item.pcm.subarray(offset, offset + chunkSize);
+      const chunkMs = chunk.length / bytesPerMs;
+      // Keep at most leadMs of audio buffered at the provider (more when a chunk alone is longer)
+      const waitMs = state.sentUntil - Date.now() - Math.max(this.leadMs - chunkMs, MIN_AHEAD_MS);
+      if (waitMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      }
+      if (ws.readyState !== 1) {
+        stopped = 'closed';
+        break;
+      }
+      if (item.signal?.aborted || state.generation !== generation) {
+        stopped = 'interrupted';
+        break;
+      }
+      if (item.cancelled) {
+        if (!item.fadeOut || fading) {
+          stopped = 'interrupted';
+          break;
+        }
+        // One last chunk, faded to silence so the cut does not click
+        fading = true;
+        chunk = fadeOut(chunk);
+      }
+
+      ws.send(session.adapter.buildMediaMessage(session, chunk));
+      session.sequenceNumber++;
+      const playAt = Math.max(state.sentUntil, Date.now());
+      recordingService.captureOutbound(session, chunk, playAt);
+      state.sentUntil = playAt + chunkMs;
+      state.sentMs += chunkMs;
+      sentBytes += chunk.length;
+      if (fading) {
+        stopped = 'interrupted';
+        break;
+      }
+    }
+
+    state.current = null;
+    if (!stopped && (ws.readyState !== 1 || item.cancelled || item.signal?.aborted || state.generation !== generation)) {
+      stopped = ws.readyState !== 1 ? 'closed' : 'interrupted';
+    }
+    if (stopped) {
+      return { sentBytes, stopped };
+    }
+
+    // Sentence boundary: its acknowledgement moves the playback position
+    if (sentBytes > 0) {
+      const name = `seg_${++state.segmentCount}`;
+      state.segments.set(name, { text: item.text, startMs, endMs: state.sentMs });
+      ws.send(session.adapter.buildMarkMessage(session, name));
+    }
+    if (item.markName) {
+      ws.send(session.adapter.buildMarkMessage(session, item.markName));
+    }
+    return { sentBytes, stopped: null };
+  }
+
+  /**
+   * Record a mark acknowledgement from the provider
+   * @param {Object} session - Voice session
+   * @param {string} name - Mark name
+   * @returns {boolean} True if it was a sentence mark of this service
+   */
+  acknowledge(session, name) {
+    const state = this.getState(session);
+    const segment = state.segments.get(name);
+    if (!segment) {
+      return false;
+    }
+    // Marks are echoed in order: earlier sentences have been played too
+    for (const [key, earlier] of state.segments) {
+      if (earlier.endMs > segment.endMs) break;
+      state.segments.delete(key);
+      if (earlier.text) {
+        state.heard.push(earlier.text);
+      }
+    }
+    if (state.heard.length > MAX_HEARD_SEGMENTS) {
+      state.heard.splice(0, state.heard.length - MAX_HEARD_SEGMENTS);
+    }
+    state.acknowledgedMs = Math.max(state.acknowledgedMs, segment.endMs);
+    return true;
+  }
+
+  /**
+   * Audio sent to the provider that has not been played yet
+   * @param {Object} session - Voice session
+   * @returns {number} Milliseconds
+   */
+  getBufferedMs(session) {
+    return Math.max(0, this.getState(session).sentUntil - Date.now());
+  }
+
+  /**
+   * Check whether bot audio is playing or queued
+   * @param {Object} session - Voice session
+   * @returns {boolean}
+   */
+  isPlaying(session) {
+    const state = this.getState(session);
+    return state.queue.length > 0 || state.sending !== null || this.getBufferedMs(session) > 0;
+  }
+
+  /**
+   * Check whether bot audio is audible or ready to be sent (reserved slots still being
+   * synthesized do not count)
+   * @param {Object} session - Voice session
+   * @returns {boolean}
+   */
+  hasAudio(session) {
+    const state = this.getState(session);
+    return state.sending !== null || state.queue.some(item => item.pcm?.length > 0) || this.getBufferedMs(session) > 0;
+  }
+
+  /**
+   * Current playback position
+   *
+   * @param {Object} session - Voice session
+   * @returns {{sentMs: number, playedMs: number, acknowledgedMs: number, bufferedMs: number, segment: string|null}}
+   *   playedMs: acknowledged position, or later when the audio sent since must have played by now;
+   *   segment: text of the sentence playing at that position
+   */
+  getPosition(session) {
+    const state = this.getState(session);
+    const bufferedMs = this.getBufferedMs(session);
+    const playedMs = Math.max(state.acknowledgedMs, state.sentMs - bufferedMs);
+    let segment = null;
+    for (const candidate of state.segments.values()) {
+      if (candidate.startMs <= playedMs && playedMs < candidate.endMs) {
+        segment = candidate.text;
+        break;
+      }
+    }
+    if (!segment && state.current && playedMs >= state.current.startMs) {
+      segment = state.current.text;
+    }
+    return {
+      sentMs: Math.round(state.sentMs),
+      playedMs: Math.round(playedMs),
+      acknowledgedMs: Math.round(state.acknowledgedMs),
+      bufferedMs: Math.round(bufferedMs),
+      segment
+    };
+  }
+
+  /**
+   * Sentences the caller has heard to the end (acknowledged), oldest first
+   * @param {Object} session - Voice session
+   * @returns {string[]}
+   */
+  getHeard(session) {
+    return [...this.getState(session).heard];
+  }
+
+  /**
+   * Drop all queued and unplayed audio (barge-in, provider clear, end of call)
+   * The provider's own buffer is cleared by the caller of this method
+   *
+   * @param {Object} session - Voice session
+   * @returns {{stopped: boolean, position: Object}} stopped: audio was playing or queued;
+   *   position: playback position at the time of the clear
+   */
+  cancelAll(session) {
+    const state = this.getState(session);
+    const stopped = this.isPlaying(session);
+    const position = this.getPosition(session);
+
+    state.generation++;
+    // The item being sent stops at its next chunk and reports what it sent
+    const dropped = state.queue.splice(0);
+    for (const item of dropped) {
+      item.resolve({ sentBytes: 0, stopped: 'interrupted' });
+    }
+    // Unplayed sentences were not heard; their marks may still be echoed by the clear
+    state.segments.clear();
+    if (stopped) {
+      recordingService.truncateOutbound(session, Date.now());
+    }
+    state.sentMs = position.playedMs;
+    state.sentUntil = 0;
+    return { stopped, position };
+  }
+}
+
+export const playbackService = new PlaybackService();
+export { PLAYBACK_PRIORITIES };
@@ -0,0 +1,338 @@
+/**
+ * Recording Service
+ * Records calls as stereo WAV: the caller's inbound audio on the left channel and the exact
+ * bot audio sent to the provider on the right
+ *
+ * Bot chunks are placed on the timeline at the time they play (after the audio queued before
+ * them), and audio the provider dropped on a clear (barge-in, end of call) is cut, so the right
+ * channel is what the caller heard. The recording is saved when the call ends, linked from the
+ * call's Transcript and deleted after RECORDING_RETENTION_DAYS.
+ *
+ * Storage (RECORDING_STORAGE):
+ *   local  - WAV files in RECORDING_DIR (default ./recordings)
+ *   gridfs - the "recordings" GridFS bucket of the MongoDB database
+ * Enabled globally with RECORDING_ENABLED=true or per call with the record parameter.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { createReadStream } from 'fs';
+import { mkdir, writeFile, unlink } from 'fs/promises';
+import { join, resolve } from 'path';
+import Recording from '../models/Recording.js';
+import Transcript from '../models/Transcript.js';
+import { connectDB } from '../config/db.js';
+import { audioConverter } from './audioConverter.js';
+import { monitoringService } from './monitoringService.js';
+import { isDisabled } from './callContextService.js';
+
+dotenv.config();
+
+const GRIDFS_BUCKET = 'recordings';
+
+class RecordingService {
+  constructor() {
+    this.enabled = process.env.RECORDING_ENABLED === 'true';
+    this.storage = process.env.RECORDING_STORAGE === 'gridfs' ? 'gridfs' : 'local';
+    this.directory = resolve(process.env.RECORDING_DIR || 'recordings');
+    const retentionDays = parseInt(process.env.RECORDING_RETENTION_DAYS);
+    this.retentionDays = Number.isNaN(retentionDays) ? 30 : retentionDays; // 0 keeps recordings
+    this.maxSeconds = parseInt(process.env.RECORDING_MAX_SECONDS) || 30 * 60;
+    this.sweepIntervalMs = parseInt(process.env.RECORDING_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Check whether this call is recorded (record per-call parameter, else RECORDING_ENABLED)
+   * @param {Object} session - Voice session
+   * @returns {boolean}
+   */
+  isEnabled(session) {
+    const perCall = session?.customParameters?.record;
+    if (perCall !== undefined && perCall !== null && perCall !== '') {
+      return !isDisabled(perCall);
+    }
+    return this.enabled;
+  }
+
+  /**
+   * Start recording a call (once the stream format is known)
+   * @param {Object} session - Voice session
+   */
+  begin(session) {
+    if (session.recording || !this.isEnabled(session)) {
+      return;
+    }
+    session.recording = {
+      startedAt: Date.now(),
+      sampleRate: session.sampleRate,
+      maxSamples: this.maxSeconds * session.sampleRate,
+      inbound: [], // Caller audio in arrival order
+      inboundSamples: 0,
+      outbound: [], // { offset (samples from the start), pcm } in playback order
+      truncated: false
+    };
+    console.log(`⏺️  [${session.callId}] Recording call (${session.sampleRate}Hz)`);
+  }
+
+  /**
+   * Add caller audio (left channel)
+   * @param {Object} session - Voice session
+   * @param {Buffer} pcm - 16-bit PCM at the session sample rate
+   */
+  captureInbound(session, pcm) {
+    const recording = session.recording;
+    if (!recording) {
+      return;
+    }
+    const samples = pcm.length / 2;
+    if (recording.inboundSamples + samples > recording.maxSamples) {
+      recording.truncated = true;
+      return;
+    }
+    recording.inbound.push(Buffer.from(pcm));
+    recording.inboundSamples += samples;
+  }
+
+  /**
+   * Add bot audio sent to the provider (right channel)
+   * @param {Object} session - Voice session
+   * @param {Buffer} pcm - 16-bit PCM at the session sample rate
+   * @param {number} playAt - When the provider plays it (epoch ms)
+   */
+  captureOutbound(session, pcm, playAt) {
+    const recording = session.recording;
+    if (!recording) {
+      return;
+    }
+    const offset = Math.max(0, Math.round((playAt - recording.startedAt) * recording.sampleRate / 1000));
+    if (offset + pcm.length / 2 > recording.maxSamples) {
+      recording.truncated = true;
+      return;
+    }
+    recording.outbound.push({ offset, pcm: Buffer.from(pcm) });
+  }
+
+  /**
+   * Cut bot audio from a point on: the provider dropped it (clear) before it was played
+   * @param {Object} session - Voice session
+   * @param {number} at - Time of the clear (epoch ms)
+   */
+  truncateOutbound(session, at) {
+    const recording = session.recording;
+    if (!recording) {
+      return;
+    }
+    const cut = Math.round((at - recording.startedAt) * recording.sampleRate / 1000);
+    recording.outbound = recording.outbound
+      .filter(chunk => chunk.offset < cut)
+      .map(chunk => {
+        const keepBytes = (cut - chunk.offset) * 2;
+        return keepBytes < chunk.pcm.length ? { offset: chunk.offset, pcm: chunk.pcm.subarray(0, keepBytes) } : chunk;
+      });
+  }
+
+  /**
+   * Mix the captured audio into an interleaved stereo WAV
+   * @param {Object} recording - Session recording state
+   * @returns {{wav: Buffer, durationMs: number}}
+   */
+  buildWav(recording) {
+    let samples = recording.inboundSamples;
+    for (const chunk of recording.outbound) {
+      samples = Math.max(samples, chunk.offset + chunk.pcm.length / 2);
+    }
+
+    const stereo = Buffer.alloc(samples * 4);
+    let position = 0;
+    for (const pcm of recording.inbound) {
+      for (let i = 0; i < pcm.length; i += 2) {
+        stereo.writeInt16LE(pcm.readInt16LE(i), position * 4);
+        position++;
+      }
+    }
+    for (const chunk of recording.outbound) {
+      for (let i = 0; i < chunk.pcm.length; i += 2) {
+        stereo.writeInt16LE(chunk.pcm.readInt16LE(i), (chunk.offset + i / 2) * 4 + 2);
+      }
+    }
+
+    return {
+      wav: audioConverter.createWav(stereo, recording.sampleRate, 2),
+      durationMs: Math.round(samples / recording.sampleRate * 1000)
+    };
+  }
+
+  /**
+   * GridFS bucket for recordings (MongoDB must be connected)
+   * @returns {GridFSBucket}
+   */
+  getBucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: GRIDFS_BUCKET });
+  }
+
+  /**
+   * Store the recording of an ended call and link it from its Transcript
+   *
+   * @param {Object} session - Voice session
+   * @param {Object|null} transcript - Saved Transcript of the call
+   * @returns {Promise<Object|null>} Recording, or null when the call was not recorded or saving failed
+   */
+  async save(session, transcript) {
+    const recording = session.recording;
+    if (!recording) {
+      return null;
+    }
+    session.recording = null;
+    if (recording.inboundSamples === 0 && recording.outbound.length === 0) {
+      return null;
+    }
+
+    const { wav, durationMs } = this.buildWav(recording);
+    const filename = `${(session.callSid || session.callId).replace(/[^\w.-]/g, '_')}_${recording.startedAt}.wav`;
+    let stored = null;
+    try {
+      await connectDB();
+      stored = await this.writeFile(filename, wav, session);
+
+      const saved = await Recording.create({
+        callId: session.callId,
+        callSid: session.callSid || null,
+        transcriptId: transcript?._id || null,
+        storage: this.storage,
+        ...stored,
+        sampleRate: recording.sampleRate,
+        channels: 2,
+        durationMs,
+        sizeBytes: wav.length,
+        truncated: recording.truncated,
+        expiresAt: this.retentionDays > 0 ? new Date(Date.now() + this.retentionDays * 24 * 60 * 60 * 1000) : null
+      });
+      if (transcript?._id) {
+        await Transcript.updateOne({ _id: transcript._id }, { recordingId: saved._id });
+      }
+
+      console.log(`💾 [${session.callId}] Recording saved (${Math.round(durationMs / 1000)}s, ${this.storage})`);
+      monitoringService.addLog(session.callId, 'success', 'Call recording saved', {
+        recordingId: saved._id,
+        durationMs,
+        sizeBytes: wav.length
+      });
+      return saved;
+    } catch (error) {
+      console.error(`❌ [${session.callId}] Error saving recording:`, error.message);
+      monitoringService.addLog(session.callId, 'error', 'Failed to save call recording', { error: error.message });
+      // No Recording document points at the file: do not leave it behind
+      if (stored) {
+        await this.deleteFile({ storage: this.storage, ...stored }).catch(() => {});
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write a WAV file to the configured storage
+   * @param {string} filename - File name
+   * @param {Buffer} wav - WAV file
+   * @param {Object} session - Voice session (GridFS metadata)
+   * @returns {Promise<Object>} { path } (local) or { fileId } (gridfs)
+   */
+  async writeFile(filename, wav, session) {
+    if (this.storage === 'local') {
+      await mkdir(this.directory, { recursive: true });
+      const path = join(this.directory, filename);
+      await writeFile(path, wav);
+      return { path };
+    }
+
+    return new Promise((resolveUpload, reject) => {
+      const upload = this.getBucket().openUploadStream(filename, {
+        contentType: 'audio/wav',
+        metadata: { callId: session.callId, callSid: session.callSid || null }
+      });
+      upload.on('error', reject);
+      upload.on('finish', () => resolveUpload({ fileId: upload.id }));
+      upload.end(wav);
+    });
+  }
+
+  /**
+   * Delete the stored file of a recording
+   * @param {Object} recording - Recording document (storage, path or fileId)
+   * @returns {Promise<void>}
+   */
+  async deleteFile(recording) {
+    try {
+      if (recording.storage === 'local') {
+        await unlink(recording.path);
+      } else {
+        await this.getBucket().delete(recording.fileId);
+      }
+    } catch (error) {
+      // Already gone
+      if (error.code !== 'ENOENT' && !/FileNotFound|not found/i.test(error.message)) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Read a byte range of a recording's file
+   *
+   * @param {Object} recording - Recording document
+   * @param {Object} range - { start, end } inclusive byte offsets (default: whole file)
+   * @returns {Readable}
+   */
+  createReadStream(recording, range = {}) {
+    const start = range.start ?? 0;
+    const end = range.end ?? recording.sizeBytes - 1;
+    if (recording.storage === 'local') {
+      return createReadStream(recording.path, { start, end });
+    }
+    // GridFS end offsets are exclusive
+    return this.getBucket().openDownloadStream(recording.fileId, { start, end: end + 1 });
+  }
+
+  /**
+   * Delete recordings past their retention
+   * @returns {Promise<number>} Recordings deleted
+   */
+  async sweep() {
+    await connectDB();
+    const expired = await Recording.find({ expiresAt: { $lte: new Date() } }).limit(500);
+    let deleted = 0;
+    for (const recording of expired) {
+      try {
+        await this.deleteFile(recording);
+        await recording.deleteOne();
+        if (recording.transcriptId) {
+          await Transcript.updateOne({ _id: recording.transcriptId }, { $unset: { recordingId: 1 } });
+        }
+        deleted++;
+      } catch (error) {
+        console.error(`❌ Error deleting recording ${recording._id}:`, error.message);
+      }
+    }
+    if (deleted > 0) {
+      console.log(`🧹 Deleted ${deleted} expired call recording(s)`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Start the retention sweep (idempotent)
+   */
+  start() {
+    if (this.timer || this.retentionDays <= 0) {
+      return;
+    }
+    const run = () => this.sweep().catch(error => {
+      console.warn('⚠️  Recording retention sweep failed:', error.message);
+    });
+    this.timer = setInterval(run, this.sweepIntervalMs);
+    this.timer.unref();
+    run();
+  }
+}
+
+export const recordingService = new RecordingService();
@@ -0,0 +1,187 @@
+/**
+ * Retry Policy Utility
+ * Decides whether and when an unanswered outbound call is re-dialed
+ *
+ * Policy format:
+ * {
+ *   maxAttempts: 3,
+ *   rules: {
+ *     busy: { delayMinutes: 15 },
+ *     'no-answer': { delayMinutes: 30, maxAttempts: 2 },
+ *     failed: { delayMinutes: 5 }
+ *   }
+ * }
+ * Outcomes without a rule (e.g. completed) are never retried.
+ * maxAttempts is capped at MAX_ATTEMPTS_LIMIT and delays are at least MIN_DELAY_MINUTES, so a
+ * policy can never re-dial a number in a tight loop.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  rules: {
+    busy: { delayMinutes: 15 },
+    'no-answer': { delayMinutes: 30 },
+    failed: { delayMinutes: 5 }
+  }
+};
+
+// Attempts allowed per number (including the first call)
+const MAX_ATTEMPTS_LIMIT = 10;
+// Shortest wait before a re-dial
+const MIN_DELAY_MINUTES = 1;
+
+let cachedPolicy = null;
+
+/**
+ * Validate a maxAttempts value
+ * @param {*} value - maxAttempts
+ * @returns {string|null} Error message or null if valid
+ */
+function validateMaxAttempts(value) {
+  if (!Number.isInteger(value) || value < 1 || value > MAX_ATTEMPTS_LIMIT) {
+    return `maxAttempts must be an integer between 1 and ${MAX_ATTEMPTS_LIMIT}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a retry policy override from a request
+ * @param {*} policy - Partial policy (maxAttempts and/or rules)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateRetryPolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return null;
+  }
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'retryPolicy must be an object';
+  }
+  if (policy.maxAttempts !== undefined) {
+    const error = validateMaxAttempts(policy.maxAttempts);
+    if (error) return error;
+  }
+  if (policy.rules === undefined) {
+    return null;
+  }
+  if (!policy.rules || typeof policy.rules !== 'object' || Array.isArray(policy.rules)) {
+    return 'retryPolicy.rules must be an object';
+  }
+  for (const [outcome, rule] of Object.entries(policy.rules)) {
+    // null removes the default rule: the outcome is not retried
+    if (rule === null) {
+      continue;
+    }
+    if (typeof rule !== 'object' || Array.isArray(rule)) {
+      return `retryPolicy.rules.${outcome} must be an object or null`;
+    }
+    if (typeof rule.delayMinutes !== 'number' || !Number.isFinite(rule.delayMinutes) || rule.delayMinutes < MIN_DELAY_MINUTES) {
+      return `retryPolicy.rules.${outcome}.delayMinutes must be a number of at least ${MIN_DELAY_MINUTES}`;
+    }
+    if (rule.maxAttempts !== undefined) {
+      const error = validateMaxAttempts(rule.maxAttempts);
+      if (error) return `retryPolicy.rules.${outcome}.${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Bring maxAttempts into the allowed range
+ * @param {*} value - maxAttempts
+ * @param {number} fallback - Used when value is not a number
+ * @returns {number}
+ */
+function clampMaxAttempts(value, fallback) {
+  const attempts = Number(value);
+  if (!Number.isFinite(attempts)) {
+    return fallback;
+  }
+  return Math.min(MAX_ATTEMPTS_LIMIT, Math.max(1, Math.floor(attempts)));
+}
+
+/**
+ * Bring a rule's delay and attempts into the allowed range
+ * @param {Object|null} rule - Retry rule
+ * @returns {Object|null}
+ */
+function clampRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return null;
+  }
+  const delayMinutes = Number(rule.delayMinutes);
+  return {
+    ...rule,
+    delayMinutes: Number.isFinite(delayMinutes) ? Math.max(MIN_DELAY_MINUTES, delayMinutes) : MIN_DELAY_MINUTES,
+    ...(rule.maxAttempts !== undefined && { maxAttempts: clampMaxAttempts(rule.maxAttempts, undefined) })
+  };
+}
+
+/**
+ * Load the default retry policy (CALL_RETRY_POLICY env JSON overrides the built-in one)
+ * @returns {Object} Retry policy
+ */
+function getDefaultRetryPolicy() {
+  if (cachedPolicy) {
+    return cachedPolicy;
+  }
+
+  cachedPolicy = DEFAULT_RETRY_POLICY;
+  if (process.env.CALL_RETRY_POLICY) {
+    try {
+      cachedPolicy = mergeRetryPolicy(DEFAULT_RETRY_POLICY, JSON.parse(process.env.CALL_RETRY_POLICY));
+    } catch (error) {
+      console.warn('⚠️  Invalid CALL_RETRY_POLICY JSON, using default retry policy:', error.message);
+    }
+  }
+
+  return cachedPolicy;
+}
+
+/**
+ * Merge a partial policy override onto a base policy
+ * Values out of range (stored before validation, or from CALL_RETRY_POLICY) are clamped
+ * @param {Object} base - Base policy
+ * @param {Object} override - Partial policy (maxAttempts and/or rules)
+ * @returns {Object} Merged policy
+ */
+function mergeRetryPolicy(base, override) {
+  if (!override || typeof override !== 'object') {
+    return base;
+  }
+
+  const rules = { ...base.rules, ...(override.rules && typeof override.rules === 'object' ? override.rules : {}) };
+  for (const outcome of Object.keys(rules)) {
+    rules[outcome] = clampRule(rules[outcome]);
+  }
+  return {
+    maxAttempts: clampMaxAttempts(override.maxAttempts ?? base.maxAttempts, base.maxAttempts),
+    rules
+  };
+}
+
+/**
+ * Get the delay before the next attempt, or null if the call should not be retried
+ * @param {Object} policy - Retry policy
+ * @param {string} outcome - Outcome of the attempt (busy, no-answer, failed, ...)
+ * @param {number} attemptNumber - Number of the attempt that just ended (1-based)
+ * @returns {number|null} Delay in milliseconds or null
+ */
+function getRetryDelayMs(policy, outcome, attemptNumber) {
+  const rule = policy?.rules?.[outcome];
+  if (!rule) {
+    return null;
+  }
+
+  const maxAttempts = rule.maxAttempts ?? policy.maxAttempts ?? 1;
+  if (attemptNumber >= maxAttempts) {
+    return null;
+  }
+
+  return Math.max(0, (rule.delayMinutes ?? 0) * 60 * 1000);
+}
+
+export { DEFAULT_RETRY_POLICY, getDefaultRetryPolicy, validateRetryPolicy, mergeRetryPolicy, getRetryDelayMs };
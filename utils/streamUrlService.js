@@ -0,0 +1,125 @@
+/**
+ * Stream URL Service
+ * Signs the per-call WebSocket URL returned by the Exotel connect webhook and verifies it
+ * when the stream connects to /was
+ *
+ * The URL carries the call metadata (CallSid, From, To, Direction, CustomField), an expiry
+ * (STREAM_URL_TTL_SECONDS) and an HMAC-SHA256 signature over both (STREAM_SIGNING_SECRET).
+ * A tampered or expired URL is rejected; unsigned connections are still accepted unless
+ * STREAM_REQUIRE_SIGNATURE=true (static Voicebot applet URL, browser softphone).
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Query parameters covered by the signature, in signing order
+const SIGNED_FIELDS = [
+  ['callSid', 'call_sid'],
+  ['from', 'from'],
+  ['to', 'to'],
+  ['direction', 'direction'],
+  ['customField', 'custom_field']
+];
+const DIRECTIONS = ['inbound', 'outbound-api', 'outbound-dial'];
+const TTL_MS = (parseInt(process.env.STREAM_URL_TTL_SECONDS) || 300) * 1000;
+
+let secret = process.env.STREAM_SIGNING_SECRET;
+if (!secret) {
+  // Signed URLs then only verify on the instance that issued them
+  secret = randomBytes(32).toString('hex');
+  console.warn('⚠️  STREAM_SIGNING_SECRET not set - using a per-process secret for stream URLs');
+}
+
+/**
+ * Check whether unsigned stream connections are rejected
+ * @returns {boolean}
+ */
+function isSignatureRequired() {
+  return process.env.STREAM_REQUIRE_SIGNATURE === 'true';
+}
+
+/**
+ * Normalize an Exotel Direction value ("incoming", "outbound-api", ...)
+ * @param {string} value - Raw direction
+ * @returns {string|null} inbound, outbound-api, outbound-dial or null
+ */
+function normalizeDirection(value) {
+  if (!value) return null;
+  const direction = String(value).trim().toLowerCase();
+  if (direction === 'incoming') return 'inbound';
+  return DIRECTIONS.includes(direction) ? direction : null;
+}
+
+/**
+ * Compute the signature of the signed fields and expiry
+ * @param {URLSearchParams} query - Stream URL query
+ * @returns {string} Hex HMAC-SHA256
+ */
+function sign(query) {
+  const payload = [...SIGNED_FIELDS.map(([, name]) => query.get(name) || ''), query.get('expires') || ''].join('\n');
+  return createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Build the signed WebSocket URL for a call
+ *
+ * @param {string} baseUrl - wss:// URL of the stream endpoint (e.g. wss://host/was)
+ * @param {Object} metadata - { callSid, from, to, direction, customField }
+ * @param {Object} options - { sampleRate, encoding: appended as sample-rate and encoding (not signed) }
+ * @returns {string} Stream URL with metadata, expires and sig query parameters
+ */
+function createSignedStreamUrl(baseUrl, metadata, options = {}) {
+  const url = new URL(baseUrl);
+  for (const [field, name] of SIGNED_FIELDS) {
+    const value = field === 'direction' ? normalizeDirection(metadata.direction) : metadata[field];
+    if (value) {
+      url.searchParams.set(name, value);
+    }
+  }
+  url.searchParams.set('expires', String(Math.floor((Date.now() + TTL_MS) / 1000)));
+  url.searchParams.set('sig', sign(url.searchParams));
+  if (options.sampleRate) {
+    url.searchParams.set('sample-rate', String(options.sampleRate));
+  }
+  if (options.encoding) {
+    url.searchParams.set('encoding', String(options.encoding));
+  }
+  return url.toString();
+}
+
+/**
+ * Verify a stream URL and extract its call metadata
+ *
+ * @param {URLSearchParams} query - Query of the WebSocket request
+ * @returns {{signed: boolean, valid: boolean, metadata: Object|null, error: string|null}}
+ *   signed: the URL carries a signature; valid: the connection may proceed
+ */
+function verifyStreamUrl(query) {
+  const signature = query.get('sig');
+  if (!signature) {
+    return isSignatureRequired()
+      ? { signed: false, valid: false, metadata: null, error: 'Stream URL is not signed' }
+      : { signed: false, valid: true, metadata: null, error: null };
+  }
+
+  const expected = Buffer.from(sign(query), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return { signed: true, valid: false, metadata: null, error: 'Invalid stream URL signature' };
+  }
+
+  const expires = parseInt(query.get('expires'));
+  if (!expires || expires * 1000 < Date.now()) {
+    return { signed: true, valid: false, metadata: null, error: 'Stream URL has expired' };
+  }
+
+  const metadata = {};
+  for (const [field, name] of SIGNED_FIELDS) {
+    metadata[field] = query.get(name) || null;
+  }
+  return { signed: true, valid: true, metadata, error: null };
+}
+
+export { createSignedStreamUrl, verifyStreamUrl, normalizeDirection };
@@ -0,0 +1,320 @@
+/**
+ * Streaming Speech-to-Text Service
+ * Forwards the caller's audio to a live recognizer while the caller speaks, instead of posting
+ * each utterance to the batch API once it has ended (see sttService)
+ *
+ * A recognizer is an EventEmitter with:
+ *   sendAudio(pcm) - 16-bit PCM at the session sample rate
+ *   finalize()     - flush the audio sent so far into a final transcript
+ *   close()        - end the recognition stream
+ * and emits:
+ *   speech-start                      - the recognizer heard speech
+ *   interim { text }                  - partial transcript, may still change
+ *   final { text, speechFinal }       - transcript of a stretch of audio; speechFinal marks an
+ *                                       endpoint (the caller paused for STT_ENDPOINTING_MS)
+ *   utterance-end                     - no words for STT_UTTERANCE_END_MS (fallback endpoint in noise)
+ *   error (Error), close
+ *
+ * Providers (STT_STREAMING_PROVIDER, streaming is enabled with STT_STREAMING=true):
+ *   deepgram - Deepgram live /v1/listen WebSocket (DEEPGRAM_API_KEY)
+ *   mock     - local recognizer for tests: voice activity detection stands in for recognition and
+ *              STT_MOCK_TRANSCRIPTS ("|"-separated) are returned as the caller's turns in order
+ * Other providers are added with registerProvider(name, factory).
+ */
+
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import dotenv from 'dotenv';
+import { vadService } from './vadService.js';
+
+dotenv.config();
+
+const DEEPGRAM_LISTEN_URL = 'wss://api.deepgram.com/v1/listen';
+// Deepgram closes a stream that receives no audio for 10 seconds
+const KEEPALIVE_INTERVAL_MS = 5000;
+// Mock recognizer: one more word of the interim transcript per this much speech
+const MOCK_MS_PER_WORD = 300;
+
+/**
+ * Deepgram live transcription over a WebSocket
+ */
+class DeepgramRecognizer extends EventEmitter {
+  /**
+   * @param {Object} options - { sampleRate, language, model, endpointingMs, utteranceEndMs, apiKey }
+   */
+  constructor(options) {
+    super();
+    this.pending = []; // Audio sent before the socket opened
+    this.closed = false;
+    this.lastAudioAt = Date.now();
+
+    const params = new URLSearchParams({
+      model: options.model,
+      language: options.language,
+      encoding: 'linear16',
+      sample_rate: String(options.sampleRate),
+      channels: '1',
+      punctuate: 'true',
+      interim_results: 'true',
+      endpointing: String(options.endpointingMs),
+      utterance_end_ms: String(options.utteranceEndMs),
+      vad_events: 'true'
+    });
+    this.socket = new WebSocket(`${DEEPGRAM_LISTEN_URL}?${params}`, {
+      headers: { Authorization: `Token ${options.apiKey}` },
+      handshakeTimeout: 10000
+    });
+
+    this.socket.on('open', () => {
+      for (const chunk of this.pending) {
+        this.socket.send(chunk);
+      }
+      this.pending = [];
+      this.keepAliveTimer = setInterval(() => {
+        if (Date.now() - this.lastAudioAt >= KEEPALIVE_INTERVAL_MS) {
+          this.sendControl('KeepAlive');
+        }
+      }, KEEPALIVE_INTERVAL_MS);
+    });
+    this.socket.on('message', (data) => this.handleMessage(data));
+    this.socket.on('error', (error) => this.emit('error', error));
+    this.socket.on('close', () => {
+      this.closed = true;
+      clearInterval(this.keepAliveTimer);
+      this.emit('close');
+    });
+  }
+
+  /**
+   * Map a Deepgram message to recognizer events
+   * @param {Buffer|string} data - Message payload (JSON)
+   */
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      return;
+    }
+
+    if (message.type === 'SpeechStarted') {
+      this.emit('speech-start');
+    } else if (message.type === 'UtteranceEnd') {
+      this.emit('utterance-end');
+    } else if (message.type === 'Results') {
+      const text = message.channel?.alternatives?.[0]?.transcript?.trim() || '';
+      if (message.is_final) {
+        this.emit('final', { text, speechFinal: Boolean(message.speech_final) });
+      } else if (text) {
+        this.emit('interim', { text });
+      }
+    }
+  }
+
+  /**
+   * Send a control message (KeepAlive, Finalize, CloseStream)
+   * @param {string} type - Message type
+   */
+  sendControl(type) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type }));
+    }
+  }
+
+  /**
+   * Stream caller audio to Deepgram
+   * @param {Buffer} pcm - 16-bit PCM
+   */
+  sendAudio(pcm) {
+    if (this.closed) {
+      return;
+    }
+    this.lastAudioAt = Date.now();
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(pcm);
+    } else if (this.socket.readyState === WebSocket.CONNECTING) {
+      this.pending.push(pcm);
+    }
+  }
+
+  /**
+   * Ask Deepgram to transcribe the audio received so far
+   */
+  finalize() {
+    this.sendControl('Finalize');
+  }
+
+  /**
+   * End the stream; Deepgram sends the last results and closes the socket
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    clearInterval(this.keepAliveTimer);
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.sendControl('CloseStream');
+    } else {
+      this.socket.terminate();
+    }
+  }
+}
+
+/**
+ * Local recognizer for tests: detects utterances with vadService and "recognizes" each one as the
+ * next scripted transcript, emitting the same events as a live provider
+ */
+class MockRecognizer extends EventEmitter {
+  /**
+   * @param {Object} options - { sampleRate, transcripts: string[] }
+   */
+  constructor(options) {
+    super();
+    this.state = { sampleRate: options.sampleRate }; // Holds the detector state (state.vad)
+    this.transcripts = [...(options.transcripts || [])];
+    this.turn = 0;
+    this.current = null; // { words, speechMs, shown } of the utterance being "recognized"
+    this.closed = false;
+  }
+
+  /**
+   * Next scripted transcript (the last one repeats once the script is used up)
+   * @returns {string}
+   */
+  nextTranscript() {
+    if (this.transcripts.length === 0) {
+      return `mock utterance ${this.turn + 1}`;
+    }
+    return this.transcripts[Math.min(this.turn, this.transcripts.length - 1)];
+  }
+
+  /**
+   * Run caller audio through the detector and emit recognizer events
+   * @param {Buffer} pcm - 16-bit PCM
+   */
+  sendAudio(pcm) {
+    if (this.closed) {
+      return;
+    }
+    for (const event of vadService.process(this.state, pcm)) {
+      if (event.type === 'speech-start') {
+        this.current = { words: this.nextTranscript().split(/\s+/), speechMs: 0, shown: 0 };
+        this.emit('speech-start');
+      } else if (event.type === 'utterance' && event.reason === 'end-of-speech') {
+        // A max-length split keeps the same turn going; coughs and clicks never produce an utterance
+        this.emitFinal();
+      }
+    }
+
+    if (this.current && vadService.isSpeaking(this.state)) {
+      this.current.speechMs += (pcm.length / 2 / this.state.sampleRate) * 1000;
+      const shown = Math.min(this.current.words.length, Math.ceil(this.current.speechMs / MOCK_MS_PER_WORD));
+      if (shown > this.current.shown) {
+        this.current.shown = shown;
+        this.emit('interim', { text: this.current.words.slice(0, shown).join(' ') });
+      }
+    }
+  }
+
+  /**
+   * Emit the transcript of the utterance in progress as an endpoint
+   */
+  emitFinal() {
+    if (!this.current) {
+      return;
+    }
+    const text = this.current.words.join(' ');
+    this.current = null;
+    this.turn++;
+    this.emit('final', { text, speechFinal: true });
+    this.emit('utterance-end');
+  }
+
+  /**
+   * Transcribe the utterance in progress now
+   */
+  finalize() {
+    if (vadService.flush(this.state)) {
+      this.emitFinal();
+    }
+  }
+
+  /**
+   * End recognition
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.emit('close');
+  }
+}
+
+class StreamingSttService {
+  constructor() {
+    this.enabled = process.env.STT_STREAMING === 'true';
+    this.provider = process.env.STT_STREAMING_PROVIDER || 'deepgram';
+    this.language = process.env.STT_LANGUAGE || 'en';
+    this.model = process.env.STT_STREAMING_MODEL || 'nova-2';
+    this.endpointingMs = parseInt(process.env.STT_ENDPOINTING_MS) || 300;
+    this.utteranceEndMs = parseInt(process.env.STT_UTTERANCE_END_MS) || 1000;
+    this.mockTranscripts = (process.env.STT_MOCK_TRANSCRIPTS || '')
+      .split('|')
+      .map(text => text.trim())
+      .filter(Boolean);
+    this.providers = new Map([
+      ['deepgram', (options) => {
+        const apiKey = process.env.DEEPGRAM_API_KEY;
+        if (!apiKey) {
+          throw new Error('DEEPGRAM_API_KEY not configured for streaming STT');
+        }
+        return new DeepgramRecognizer({ ...options, apiKey });
+      }],
+      ['mock', (options) => new MockRecognizer({ transcripts: this.mockTranscripts, ...options })]
+    ]);
+  }
+
+  /**
+   * Check whether calls use streaming recognition (STT_STREAMING=true)
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Add (or replace) a recognizer provider
+   * @param {string} name - Provider name used in STT_STREAMING_PROVIDER
+   * @param {Function} factory - (options) => recognizer, options: { sampleRate, language, model, endpointingMs, utteranceEndMs }
+   */
+  registerProvider(name, factory) {
+    this.providers.set(name, factory);
+  }
+
+  /**
+   * Open a recognizer for one call
+   *
+   * @param {Object} options - { sampleRate, provider, transcripts (mock) }
+   * @returns {EventEmitter} Recognizer
+   * @throws {Error} Unknown provider or provider not configured
+   */
+  createRecognizer(options) {
+    const name = options.provider || this.provider;
+    const factory = this.providers.get(name);
+    if (!factory) {
+      throw new Error(`Unknown streaming STT provider: ${name}`);
+    }
+    return factory({
+      language: this.language,
+      model: this.model,
+      endpointingMs: this.endpointingMs,
+      utteranceEndMs: this.utteranceEndMs,
+      ...options
+    });
+  }
+}
+
+export const streamingSttService = new StreamingSttService();
+export { DeepgramRecognizer, MockRecognizer };
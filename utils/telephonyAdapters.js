@@ -0,0 +1,326 @@
+/**
+ * Telephony Adapters
+ * Translate provider WebSocket framing to/from the provider-neutral events used by
+ * the voice pipeline in server.js, so STT → LLM → TTS only ever sees 16-bit PCM
+ * (payloads are converted with the session's codec, see utils/audioCodecs.js)
+ *
+ * Normalized inbound event:
+ * {
+ *   type: 'connected' | 'start' | 'media' | 'stop' | 'mark' | 'dtmf' | 'clear' | 'unknown',
+ *   streamSid, callSid, from, to, customParameters,                // connected/start
+ *   mediaFormat ({ encoding, sampleRate } as sent, may be partial), // start
+ *   track, audio (Buffer, 16-bit PCM),                             // media
+ *   markName,                                                      // mark
+ *   digit,                                                         // dtmf
+ *   reason,                                                        // stop
+ *   event                                                          // raw event name
+ * }
+ *
+ * Adapters:
+ *   exotel - Exotel Voicebot applet on /was (16-bit PCM unless ?encoding= or the start event's
+ *            media_format says otherwise, stream_sid, sequence_number)
+ *   twilio - Twilio Media Streams on TWILIO_STREAM_PATH (μ-law 8kHz, streamSid)
+ */
+
+import dotenv from 'dotenv';
+import { audioCodecs } from './audioCodecs.js';
+
+dotenv.config();
+
+class ExotelAdapter {
+  constructor() {
+    this.name = 'exotel';
+  }
+
+  /**
+   * Format of the stream from the URL (?sample-rate=, default 16kHz; ?encoding=, default 16-bit PCM)
+   * @param {URL} url - WebSocket request URL
+   * @returns {{encoding: string, sampleRate: number, rejected: string[]}}
+   */
+  getMediaFormat(url) {
+    return audioCodecs.resolveFormat({
+      encoding: url.searchParams.get('encoding'),
+      sampleRate: url.searchParams.get('sample-rate')
+    }, { encoding: 'pcm16', sampleRate: 16000 });
+  }
+
+  /**
+   * Call identifier known before the start event (Exotel sends callSid/callLogId in the URL)
+   * @param {URL} url - WebSocket request URL
+   * @returns {string|null}
+   */
+  getCallId(url) {
+    return url.searchParams.get('callSid') || url.searchParams.get('callLogId') || null;
+  }
+
+  /**
+   * Normalize an Exotel message
+   * @param {Object} message - Parsed JSON message
+   * @param {Object} session - Voice session (media is decoded with session.mediaFormat)
+   * @returns {Object} Normalized event
+   */
+  parseMessage(message, session) {
+    const streamSid = message.stream_sid || message.streamSid || null;
+
+    // Clear can come as event or control message
+    if (message.clear || message.event === 'clear') {
+      return { type: 'clear', event: 'clear', streamSid };
+    }
+
+    switch (message.event) {
+      case 'connected':
+        return {
+          type: 'connected',
+          event: message.event,
+          streamSid,
+          customParameters: message.connected?.custom_parameters || message.custom_parameters || null
+        };
+
+      case 'start':
+        return {
+          type: 'start',
+          event: message.event,
+          streamSid,
+          callSid: message.start?.call_sid || null,
+          from: message.start?.from || null,
+          to: message.start?.to || null,
+          customParameters: message.start?.custom_parameters || message.custom_parameters || null,
+          mediaFormat: message.start?.media_format ? {
+            // Often just "base64" (the payload transport), which says nothing about the codec
+            encoding: message.start.media_format.encoding !== 'base64' ? message.start.media_format.encoding || null : null,
+            sampleRate: message.start.media_format.sample_rate || null
+          } : null
+        };
+
+      case 'media':
+        return {
+          type: 'media',
+          event: message.event,
+          streamSid,
+          track: message.media?.track || 'inbound',
+          audio: message.media?.payload
+            ? audioCodecs.decode(session.mediaFormat, Buffer.from(message.media.payload, 'base64'))
+            : null
+        };
+
+      case 'stop':
+        return { type: 'stop', event: message.event, streamSid, reason: message.stop?.reason || null };
+
+      case 'mark':
+        return { type: 'mark', event: message.event, streamSid, markName: message.mark?.name || null };
+
+      case 'dtmf':
+        return { type: 'dtmf', event: message.event, streamSid, digit: message.dtmf?.digit ?? null };
+
+      default:
+        return { type: 'unknown', event: message.event || null, streamSid };
+    }
+  }
+
+  /**
+   * PCM bytes per outbound media message (100ms of whole frames)
+   * Exotel payloads must be at least 3.2k and a multiple of 320 bytes
+   * @param {Object} session - Voice session
+   * @returns {number}
+   */
+  getChunkSize(session) {
+    return audioCodecs.getChunkSize(session.mediaFormat, { chunkMs: 100, minPayloadBytes: 3200, payloadMultiple: 320 });
+  }
+
+  /**
+   * Build an outbound media message (PCM is encoded with the session's codec)
+   * @param {Object} session - Voice session
+   * @param {Buffer} pcmChunk - 16-bit PCM at session.sampleRate
+   * @returns {string} JSON message
+   */
+  buildMediaMessage(session, pcmChunk) {
+    return JSON.stringify({
+      event: 'media',
+      stream_sid: session.streamSid,
+      sequence_number: session.sequenceNumber.toString(),
+      media: {
+        payload: audioCodecs.encode(session.mediaFormat, pcmChunk).toString('base64')
+      }
+    });
+  }
+
+  /**
+   * Build a mark message (echoed back once the audio before it has played)
+   * @param {Object} session - Voice session
+   * @param {string} name - Mark name
+   * @returns {string} JSON message
+   */
+  buildMarkMessage(session, name) {
+    return JSON.stringify({
+      event: 'mark',
+      stream_sid: session.streamSid,
+      mark: {
+        name
+      }
+    });
+  }
+
+  /**
+   * Build a clear message (drops audio queued for playback)
+   * @param {Object} session - Voice session
+   * @returns {string} JSON message
+   */
+  buildClearMessage(session) {
+    return JSON.stringify({
+      event: 'clear',
+      stream_sid: session.streamSid
+    });
+  }
+}
+
+class TwilioAdapter {
+  constructor() {
+    this.name = 'twilio';
+  }
+
+  /**
+   * Twilio Media Streams are always μ-law at 8kHz
+   * @returns {{encoding: string, sampleRate: number, rejected: string[]}}
+   */
+  getMediaFormat() {
+    return { encoding: 'mulaw', sampleRate: 8000, rejected: [] };
+  }
+
+  /**
+   * Twilio only sends the CallSid in the start event
+   * @returns {null}
+   */
+  getCallId() {
+    return null;
+  }
+
+  /**
+   * Normalize a Twilio Media Streams message
+   * @param {Object} message - Parsed JSON message
+   * @param {Object} session - Voice session (media is decoded with session.mediaFormat)
+   * @returns {Object} Normalized event
+   */
+  parseMessage(message, session) {
+    const streamSid = message.streamSid || message.start?.streamSid || null;
+
+    switch (message.event) {
+      case 'connected':
+        return { type: 'connected', event: message.event, streamSid, customParameters: null };
+
+      case 'start': {
+        // From/To are passed as <Parameter> elements by the TwiML from /twilio/voice
+        const customParameters = message.start?.customParameters || {};
+        return {
+          type: 'start',
+          event: message.event,
+          streamSid,
+          callSid: message.start?.callSid || null,
+          from: customParameters.from || customParameters.From || null,
+          to: customParameters.to || customParameters.To || null,
+          customParameters,
+          mediaFormat: message.start?.mediaFormat ? {
+            encoding: message.start.mediaFormat.encoding || null,
+            sampleRate: message.start.mediaFormat.sampleRate || null
+          } : null
+        };
+      }
+
+      case 'media':
+        return {
+          type: 'media',
+          event: message.event,
+          streamSid,
+          track: message.media?.track || 'inbound',
+          audio: message.media?.payload
+            ? audioCodecs.decode(session.mediaFormat, Buffer.from(message.media.payload, 'base64'))
+            : null
+        };
+
+      case 'stop':
+        return { type: 'stop', event: message.event, streamSid, reason: 'stream stopped' };
+
+      case 'mark':
+        return { type: 'mark', event: message.event, streamSid, markName: message.mark?.name || null };
+
+      case 'dtmf':
+        return { type: 'dtmf', event: message.event, streamSid, digit: message.dtmf?.digit ?? null };
+
+      default:
+        return { type: 'unknown', event: message.event || null, streamSid };
+    }
+  }
+
+  /**
+   * PCM bytes per outbound media message (100ms of whole frames)
+   * @param {Object} session - Voice session
+   * @returns {number}
+   */
+  getChunkSize(session) {
+    return audioCodecs.getChunkSize(session.mediaFormat, { chunkMs: 100 });
+  }
+
+  /**
+   * Build an outbound media message (PCM is encoded with the session's codec)
+   * @param {Object} session - Voice session
+   * @param {Buffer} pcmChunk - 16-bit PCM at session.sampleRate
+   * @returns {string} JSON message
+   */
+  buildMediaMessage(session, pcmChunk) {
+    return JSON.stringify({
+      event: 'media',
+      streamSid: session.streamSid,
+      media: {
+        payload: audioCodecs.encode(session.mediaFormat, pcmChunk).toString('base64')
+      }
+    });
+  }
+
+  /**
+   * Build a mark message (echoed back once the audio before it has played)
+   * @param {Object} session - Voice session
+   * @param {string} name - Mark name
+   * @returns {string} JSON message
+   */
+  buildMarkMessage(session, name) {
+    return JSON.stringify({
+      event: 'mark',
+      streamSid: session.streamSid,
+      mark: {
+        name
+      }
+    });
+  }
+
+  /**
+   * Build a clear message (drops audio queued for playback)
+   * @param {Object} session - Voice session
+   * @returns {string} JSON message
+   */
+  buildClearMessage(session) {
+    return JSON.stringify({
+      event: 'clear',
+      streamSid: session.streamSid
+    });
+  }
+}
+
+export const exotelAdapter = new ExotelAdapter();
+export const twilioAdapter = new TwilioAdapter();
+
+// WebSocket path → adapter
+const TWILIO_STREAM_PATH = process.env.TWILIO_STREAM_PATH || '/twilio/stream';
+const adaptersByPath = {
+  '/was': exotelAdapter,
+  [TWILIO_STREAM_PATH]: twilioAdapter
+};
+
+/**
+ * Find the adapter serving a WebSocket path
+ * @param {string} pathname - Request path
+ * @returns {Object|null} Adapter or null if the path is not a stream endpoint
+ */
+export function getAdapterForPath(pathname) {
+  return adaptersByPath[pathname] || null;
+}
+
+export { TWILIO_STREAM_PATH };
@@ -9,6 +9,9 @@ import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js';
 
 dotenv.config();
 
+// Sample rates Deepgram Aura returns as linear16
+const DEEPGRAM_SAMPLE_RATES = [8000, 16000, 24000, 32000, 48000];
+
 class TTSService {
   constructor() {
     // Always uses Deepgram - TTS_PROVIDER is not needed (ignored)
@@ -267,7 +270,8 @@ class TTSService {
 
   /**
    * Deepgram TTS (Aura)
-   * Returns MP3 format, will be converted to PCM
+   * Requests 16-bit WAV at the call's sample rate (or 24kHz, resampled in memory), so no
+   * ffmpeg decoding is needed
    */
   async synthesizeDeepgram(text, voice = 'aura-asteria-en', sampleRate = 16000) {
     if (!this.deepgramApiKey) {
@@ -280,8 +284,9 @@ class TTSService {
       // Deepgram TTS API endpoint - correct format (no model parameter, only voice)
       // Map OpenAI voice names to Deepgram voices if needed
       const deepgramVoice = this.mapVoiceToDeepgram(voice);
+      const outputRate = DEEPGRAM_SAMPLE_RATES.includes(sampleRate) ? sampleRate : 24000;
       const response = await axios.post(
-        `https://api.deepgram.com/v1/speak?voice=${encodeURIComponent(deepgramVoice)}`,
+        `https://api.deepgram.com/v1/speak?voice=${encodeURIComponent(deepgramVoice)}&encoding=linear16&container=wav&sample_rate=${outputRate}`,
         {
           text: text
         },
@@ -295,13 +300,12 @@ class TTSService {
         }
       );
 
-      // Deepgram returns MP3, convert to PCM
-      const mp3Buffer = Buffer.from(response.data);
-      console.log(`✅ Deepgram TTS complete: ${mp3Buffer.length} bytes MP3`);
+      const wavBuffer = Buffer.from(response.data);
+      console.log(`✅ Deepgram TTS complete: ${wavBuffer.length} bytes WAV (${outputRate}Hz)`);
       
-      // Convert MP3 to PCM using audioConverter
+      // Parse the WAV (and resample if needed) in memory
       const { audioConverter } = await import('./audioConverter.js');
-      const pcmBuffer = await audioConverter.convertToPCM(mp3Buffer, 'mp3', sampleRate);
+      const pcmBuffer = await audioConverter.convertToPCM(wavBuffer, 'wav', sampleRate);
       
       console.log(`✅ Deepgram audio converted to PCM: ${pcmBuffer.length} bytes`);
       return pcmBuffer;
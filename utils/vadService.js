@@ -0,0 +1,228 @@
+/**
+ * Voice Activity Detection (VAD)
+ * Splits the caller's audio into utterances so a turn is answered when the caller stops
+ * speaking, instead of after every fixed-size chunk of audio
+ *
+ * Detection (20ms frames of 16-bit PCM):
+ *   speech frame - RMS above the adaptive threshold (VAD_NOISE_RATIO x the tracked noise floor,
+ *                  at least VAD_SPEECH_THRESHOLD) with a voice-like zero-crossing rate; hiss and
+ *                  clicks cross zero far more often than voiced speech
+ *   speech start - VAD_START_MS of consecutive speech frames; the utterance keeps VAD_PRE_ROLL_MS
+ *                  of audio from before the start so the first syllable is not cut
+ *   end of speech - VAD_HANGOVER_MS of non-speech frames (pauses between words do not end the turn)
+ *   max length   - an utterance longer than VAD_MAX_UTTERANCE_MS is dispatched as is and the
+ *                  caller's next words start a new one
+ * Utterances with less than VAD_MIN_SPEECH_MS of speech (coughs, line noise) are dropped.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const FRAME_MS = 20;
+// Zero-crossing rate (crossings per sample) above which a frame sounds like noise, not voice
+const MAX_VOICE_ZCR = 0.35;
+// Noise floor tracking: share of each non-speech frame in the running estimate
+const NOISE_ADAPT_RATE = 0.05;
+// Trailing non-speech audio kept at the end of an utterance
+const TAIL_MS = 200;
+
+/**
+ * RMS energy and zero-crossing rate of one frame
+ * @param {Buffer} frame - 16-bit little-endian PCM
+ * @returns {{rms: number, zcr: number}}
+ */
+function analyzeFrame(frame) {
+  const sampleCount = frame.length / 2;
+  let sumSquares = 0;
+  let crossings = 0;
+  let previous = 0;
+  for (let i = 0; i < frame.length; i += 2) {
+    const sample = frame.readInt16LE(i);
+    sumSquares += sample * sample;
+    if (i > 0 && (sample >= 0) !== (previous >= 0)) {
+      crossings++;
+    }
+    previous = sample;
+  }
+  return {
+    rms: Math.sqrt(sumSquares / sampleCount),
+    zcr: crossings / sampleCount
+  };
+}
+
+class VadService {
+  constructor() {
+    this.speechThreshold = parseInt(process.env.VAD_SPEECH_THRESHOLD) || 300; // Minimum frame RMS counted as speech
+    this.noiseRatio = parseFloat(process.env.VAD_NOISE_RATIO) || 3;
+    this.startMs = parseInt(process.env.VAD_START_MS) || 60;
+    this.hangoverMs = parseInt(process.env.VAD_HANGOVER_MS) || 700;
+    this.preRollMs = parseInt(process.env.VAD_PRE_ROLL_MS) || 300;
+    this.minSpeechMs = parseInt(process.env.VAD_MIN_SPEECH_MS) || 200;
+    this.maxUtteranceMs = parseInt(process.env.VAD_MAX_UTTERANCE_MS) || 15000;
+  }
+
+  /**
+   * Start (or restart) detection for a session, dropping any utterance in progress
+   * @param {Object} session - Voice session
+   */
+  reset(session) {
+    session.vad = {
+      frameBytes: Math.round(session.sampleRate * FRAME_MS / 1000) * 2,
+      remainder: Buffer.alloc(0), // Bytes left over from the last chunk (less than a frame)
+      noiseFloor: 0,
+      speaking: false,
+      preRoll: [], // Last frames before speech started
+      frames: [], // Frames of the utterance in progress
+      speechRun: 0, // Consecutive speech frames
+      silenceRun: 0, // Consecutive non-speech frames
+      speechFrames: 0 // Speech frames in the utterance in progress
+    };
+  }
+
+  /**
+   * Check whether the caller is speaking (an utterance is in progress)
+   * @param {Object} session - Voice session
+   * @returns {boolean}
+   */
+  isSpeaking(session) {
+    return Boolean(session.vad?.speaking);
+  }
+
+  /**
+   * Speech heard so far in the utterance in progress
+   * @param {Object} session - Voice session
+   * @returns {number} Milliseconds of speech frames (0 when the caller is not speaking)
+   */
+  getSpeechMs(session) {
+    return this.isSpeaking(session) ? session.vad.speechFrames * FRAME_MS : 0;
+  }
+
+  /**
+   * Feed caller audio and collect what the detector found in it
+   *
+   * @param {Object} session - Voice session
+   * @param {Buffer} pcm - 16-bit little-endian PCM at session.sampleRate
+   * @returns {Array<Object>} Events in order:
+   *   { type: 'speech-start' }
+   *   { type: 'utterance', audio: Buffer, reason: 'end-of-speech'|'max-length', durationMs }
+   */
+  process(session, pcm) {
+    if (!session.vad) {
+      this.reset(session);
+    }
+    const vad = session.vad;
+    const events = [];
+
+    let data = vad.remainder.length > 0 ? Buffer.concat([vad.remainder, pcm]) : pcm;
+    let offset = 0;
+    while (data.length - offset >= vad.frameBytes) {
+      const frame = data.subarray(offset, offset + vad.frameBytes);
+      offset += vad.frameBytes;
+      const event = this.processFrame(vad, Buffer.from(frame));
+      if (event) {
+        events.push(event);
+      }
+    }
+    vad.remainder = Buffer.from(data.subarray(offset));
+    return events;
+  }
+
+  /**
+   * Run one frame through the detector
+   * @param {Object} vad - Session VAD state
+   * @param {Buffer} frame - One 20ms frame
+   * @returns {Object|null} Event, if the frame started or ended an utterance
+   */
+  processFrame(vad, frame) {
+    const { rms, zcr } = analyzeFrame(frame);
+    const threshold = Math.max(this.speechThreshold, vad.noiseFloor * this.noiseRatio);
+    // Fricatives ("s", "sh") inside an utterance fail the crossing test but only add to the hangover
+    const isSpeech = rms >= threshold && zcr <= MAX_VOICE_ZCR;
+
+    if (!vad.speaking) {
+      if (!isSpeech) {
+        vad.noiseFloor = vad.noiseFloor === 0 ? rms : vad.noiseFloor + (rms - vad.noiseFloor) * NOISE_ADAPT_RATE;
+      }
+      vad.speechRun = isSpeech ? vad.speechRun + 1 : 0;
+      vad.preRoll.push(frame);
+      const preRollFrames = Math.max(Math.ceil(this.preRollMs / FRAME_MS), Math.ceil(this.startMs / FRAME_MS));
+      if (vad.preRoll.length > preRollFrames) {
+        vad.preRoll.shift();
+      }
+
+      if (vad.speechRun * FRAME_MS < this.startMs) {
+        return null;
+      }
+      vad.speaking = true;
+      vad.frames = vad.preRoll;
+      vad.preRoll = [];
+      vad.speechFrames = vad.speechRun;
+      vad.silenceRun = 0;
+      return { type: 'speech-start' };
+    }
+
+    vad.frames.push(frame);
+    if (isSpeech) {
+      vad.speechFrames++;
+      vad.silenceRun = 0;
+    } else {
+      vad.silenceRun++;
+    }
+
+    if (vad.silenceRun * FRAME_MS >= this.hangoverMs) {
+      return this.endUtterance(vad, 'end-of-speech');
+    }
+    if (vad.frames.length * FRAME_MS >= this.maxUtteranceMs) {
+      return this.endUtterance(vad, 'max-length');
+    }
+    return null;
+  }
+
+  /**
+   * Close the utterance in progress
+   * @param {Object} vad - Session VAD state
+   * @param {string} reason - end-of-speech or max-length
+   * @returns {Object|null} Utterance event, or null when it held too little speech
+   */
+  endUtterance(vad, reason) {
+    // Keep a short tail of the hangover silence, not all of it
+    const tailFrames = Math.ceil(TAIL_MS / FRAME_MS);
+    const trim = Math.max(0, vad.silenceRun - tailFrames);
+    const frames = trim > 0 ? vad.frames.slice(0, vad.frames.length - trim) : vad.frames;
+    const speechMs = vad.speechFrames * FRAME_MS;
+
+    // Past the cap the caller is still talking: the next frames open a new utterance
+    vad.speaking = reason === 'max-length' && vad.silenceRun === 0;
+    vad.frames = [];
+    vad.preRoll = [];
+    vad.speechRun = 0;
+    vad.silenceRun = 0;
+    vad.speechFrames = 0;
+
+    if (speechMs < this.minSpeechMs) {
+      return null;
+    }
+    return {
+      type: 'utterance',
+      audio: Buffer.concat(frames),
+      reason,
+      durationMs: frames.length * FRAME_MS
+    };
+  }
+
+  /**
+   * End the utterance in progress when the stream stops
+   * @param {Object} session - Voice session
+   * @returns {Object|null} Utterance event, or null when the caller was not speaking
+   */
+  flush(session) {
+    const vad = session.vad;
+    if (!vad?.speaking) {
+      return null;
+    }
+    return this.endUtterance(vad, 'end-of-speech');
+  }
+}
+
+export const vadService = new VadService();